@@ -0,0 +1,201 @@
+// Config Loader
+// Loads and validates the .infinity config files, and hot-reloads them into running instances
+
+const fs = require('fs');
+const path = require('path');
+const { validateConfig } = require('./schemas');
+
+const CONFIG_FILES = {
+  alc: 'alc-config.json',
+  rules: 'minting-rules.json',
+  wiring: 'wiring-config.json'
+};
+
+// Relative storage adapter paths are read against the config directory, not the working directory
+function resolveStoragePaths(config, configDir) {
+  const adapters = config.distribution.storage_adapters || {};
+
+  for (const spec of Object.values(adapters)) {
+    if (typeof spec.path === 'string' && !path.isAbsolute(spec.path)) {
+      spec.path = path.resolve(configDir, spec.path);
+    }
+  }
+}
+
+class ConfigValidationError extends Error {
+  constructor(name, file, errors) {
+    super(`Invalid ${file}:\n${errors.map(e => `  ${e.path}: ${e.message}`).join('\n')}`);
+    this.name = 'ConfigValidationError';
+    this.config = name;
+    this.file = file;
+    this.errors = errors;
+  }
+}
+
+class ConfigLoader {
+  constructor(configDir, { debounceMs = 100 } = {}) {
+    this.configDir = configDir;
+    this.debounceMs = debounceMs;
+    this.configs = {};
+    this.bindings = []; // { name, instance }
+    this.watcher = null;
+    this.pendingReload = null;
+    this.reloadLog = [];
+  }
+
+  // Read and validate every config file; throws ConfigValidationError on the first bad one
+  load() {
+    const configs = {};
+
+    for (const name of Object.keys(CONFIG_FILES)) {
+      configs[name] = this.readConfig(name);
+    }
+
+    this.configs = configs;
+    return configs;
+  }
+
+  readConfig(name) {
+    const file = CONFIG_FILES[name];
+    let config;
+
+    try {
+      config = JSON.parse(fs.readFileSync(path.join(this.configDir, file), 'utf8'));
+    } catch (error) {
+      throw new ConfigValidationError(name, file, [{ path: '(file)', message: error.message }]);
+    }
+
+    const result = validateConfig(name, config);
+    if (!result.valid) {
+      throw new ConfigValidationError(name, file, result.errors);
+    }
+
+    if (name === 'alc') {
+      resolveStoragePaths(config, this.configDir);
+    }
+
+    return config;
+  }
+
+  get(name) {
+    return this.configs[name];
+  }
+
+  // Keep an instance's config in step with reloads; instance must have applyConfig(config)
+  bind(name, instance) {
+    if (!CONFIG_FILES[name]) {
+      throw new Error(`Unknown config: ${name}`);
+    }
+    this.bindings.push({ name, instance });
+    return instance;
+  }
+
+  // Re-read every file; valid changes are swapped into all bound instances at once,
+  // invalid files are rejected and their previous config stays in place
+  reload() {
+    const entry = {
+      timestamp: new Date().toISOString(),
+      applied: false,
+      changed: [],
+      rejected: []
+    };
+
+    const next = { ...this.configs };
+
+    for (const name of Object.keys(CONFIG_FILES)) {
+      try {
+        const config = this.readConfig(name);
+        if (JSON.stringify(config) !== JSON.stringify(this.configs[name])) {
+          next[name] = config;
+          entry.changed.push(name);
+        }
+      } catch (error) {
+        entry.rejected.push({ config: name, error: error.message, errors: error.errors });
+      }
+    }
+
+    if (entry.changed.length === 0) {
+      return this.logReload(entry);
+    }
+
+    // Apply synchronously so no mint runs against a half-swapped config
+    const applied = [];
+    try {
+      for (const binding of this.bindings) {
+        if (entry.changed.includes(binding.name)) {
+          binding.instance.applyConfig(next[binding.name]);
+          applied.push(binding);
+        }
+      }
+    } catch (error) {
+      for (const binding of applied) {
+        binding.instance.applyConfig(this.configs[binding.name]);
+      }
+      entry.rejected.push({ config: entry.changed.join(', '), error: `Rolled back: ${error.message}` });
+      entry.changed = [];
+      return this.logReload(entry);
+    }
+
+    this.configs = next;
+    entry.applied = true;
+    return this.logReload(entry);
+  }
+
+  logReload(entry) {
+    this.reloadLog.push(entry);
+
+    // Trim log to last 100 reloads
+    if (this.reloadLog.length > 100) {
+      this.reloadLog = this.reloadLog.slice(-100);
+    }
+
+    for (const rejection of entry.rejected) {
+      console.warn('⚠️ Config reload rejected, keeping previous config:', rejection.error);
+    }
+
+    return entry;
+  }
+
+  // Watch the config directory (editors often replace files rather than write them)
+  watch() {
+    if (this.watcher) {
+      return { watching: true };
+    }
+
+    const files = Object.values(CONFIG_FILES);
+
+    this.watcher = fs.watch(this.configDir, (eventType, filename) => {
+      if (filename && !files.includes(filename)) return;
+
+      clearTimeout(this.pendingReload);
+      this.pendingReload = setTimeout(() => {
+        this.pendingReload = null;
+        this.reload();
+      }, this.debounceMs);
+    });
+
+    return { watching: true };
+  }
+
+  unwatch() {
+    clearTimeout(this.pendingReload);
+    this.pendingReload = null;
+
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+
+    return { watching: false };
+  }
+
+  getReloadLog(limit = 20) {
+    return this.reloadLog.slice(-limit);
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ConfigLoader;
+  module.exports.ConfigValidationError = ConfigValidationError;
+}
@@ -0,0 +1,372 @@
+// Config Schemas
+// Strict schemas for the three .infinity config files and a small validator
+
+// Built-in locations; any other location must be given an entry in storage_adapters
+const DEFAULT_STORAGE_LOCATIONS = [
+  'local_mint_database',
+  'dash_hub_records',
+  'blockchain_backup',
+  'git_commit_history',
+  'mongoose_learning_data',
+  'user_wallet',
+  'pricing_engine_catalog',
+  'documentation_system'
+];
+
+// node:sqlite ships with Node 22.5+ (behind --experimental-sqlite before 22.13)
+let sqliteSupport;
+function sqliteAvailable() {
+  if (sqliteSupport === undefined) {
+    try {
+      require('node:sqlite');
+      sqliteSupport = true;
+    } catch (error) {
+      sqliteSupport = false;
+    }
+  }
+  return sqliteSupport;
+}
+
+const DESTINATIONS = ['dash-hub', 'user_wallet', 'documentation', 'ALL_REPOS'];
+
+const RECEIVE_SOURCES = ['dash-hub', 'banksy', 'commerce', 'pricing-engine'];
+
+const string = { type: 'string', minLength: 1 };
+const boolean = { type: 'boolean' };
+const positive = { type: 'number', minimum: 0, exclusiveMinimum: true };
+const nonNegative = { type: 'number', minimum: 0 };
+const endpointPath = { type: 'string', pattern: /^\/[A-Za-z0-9/_-]*$/ };
+const locationName = { type: 'string', pattern: /^[a-z0-9_]+$/ };
+
+function object(properties, required = Object.keys(properties)) {
+  return { type: 'object', properties, required, additionalProperties: false };
+}
+
+// Object whose keys are free-form but whose values share one schema
+function mapOf(values, minProperties = 1) {
+  return { type: 'object', additionalProperties: values, minProperties };
+}
+
+const positiveInteger = { type: 'integer', minimum: 1 };
+
+// Every abuse rule setting is optional; AbuseGuard fills in its defaults
+const abuseRulesSchema = object({
+  burst: object({ window_seconds: positive, max_events: positiveInteger, score: nonNegative }, []),
+  bot_interval: object({ min_events: { type: 'integer', minimum: 3 }, max_jitter_ratio: positive, score: nonNegative }, []),
+  shared_source: object({ window_seconds: positive, max_owners: positiveInteger, score: nonNegative }, []),
+  repetition: object({ events: { type: 'integer', minimum: 2 }, score: nonNegative }, []),
+  cooldown_score: positive,
+  block_score: positive,
+  cooldown_seconds: positive,
+  score_half_life_seconds: positive,
+  rearm_seconds: nonNegative
+}, []);
+
+const alcConfigSchema = object({
+  token_name: string,
+  token_symbol: string,
+  token_emoji: string,
+  identity: string,
+  version: string,
+  blockchain_backed: boolean,
+  immutable: boolean,
+  redundant_storage: boolean,
+  minting_triggers: mapOf(object({
+    enabled: boolean,
+    action: string,
+    base_amount: positive,
+    description: string
+  })),
+  minting_proof: object({
+    shows: string,
+    proves: string,
+    shuts_up: string,
+    evidence: string
+  }),
+  distribution: object({
+    earners: string,
+    storage_locations: {
+      type: 'array',
+      items: locationName,
+      minItems: 1,
+      uniqueItems: true
+    },
+    // Adapter options are adapter-specific (e.g. path), so only "adapter" is fixed
+    storage_adapters: mapOf({ type: 'object', properties: { adapter: string }, required: ['adapter'] }, 0),
+    transfer_method: string
+  }, ['earners', 'storage_locations', 'transfer_method']),
+  capacitor_physics: object({
+    accumulation: string,
+    threshold: { type: 'number', minimum: 0, maximum: 100 },
+    discharge: string,
+    charge_tau_seconds: positive,
+    decay_tau_seconds: positive,
+    discharge_per_mint: { type: 'number', minimum: 0, maximum: 100 },
+    per_trigger: boolean,
+    // Named protections (strings); abuse_rules tunes the rules behind prevents.abuse
+    prevents: {
+      type: 'object',
+      properties: { abuse_rules: abuseRulesSchema },
+      additionalProperties: string,
+      minProperties: 1
+    }
+  }, ['accumulation', 'threshold', 'discharge', 'prevents']),
+  initial_stats: object({
+    total_minted: nonNegative,
+    in_circulation: nonNegative,
+    mint_rate_per_hour: nonNegative,
+    total_holders: nonNegative
+  })
+});
+
+const mintingRulesSchema = object({
+  version: string,
+  rule_set: string,
+  token_types: mapOf(object({
+    name: string,
+    emoji: string,
+    description: string,
+    transferable: boolean,
+    mintable: boolean,
+    burnable: boolean
+  })),
+  token_structure: object({
+    required_fields: { type: 'array', items: string, minItems: 1, uniqueItems: true },
+    id_format: string,
+    timestamp_format: string,
+    immutable: boolean
+  }),
+  minting_rate_limits: object({
+    max_per_minute: { type: 'integer', minimum: 1 },
+    max_per_hour: { type: 'integer', minimum: 1 },
+    max_per_day: { type: 'integer', minimum: 1 },
+    cooldown_seconds: nonNegative
+  }),
+  validation_rules: object({
+    min_value: positive,
+    max_value: positive,
+    require_owner: boolean,
+    require_metadata: boolean,
+    mongoose_validation: boolean
+  }),
+  formulas: mapOf(string, 0)
+});
+
+const wiringConfigSchema = object({
+  version: string,
+  wiring_identity: string,
+  receives_from: {
+    type: 'array',
+    minItems: 1,
+    items: object({
+      source: { type: 'string', enum: RECEIVE_SOURCES },
+      endpoint: endpointPath,
+      data_type: string,
+      action: string,
+      priority: { type: 'string', enum: ['high', 'medium', 'low'] },
+      max_queue_depth: { type: 'integer', minimum: 1 }
+    }, ['source', 'endpoint', 'data_type', 'priority'])
+  },
+  sends_to: {
+    type: 'array',
+    minItems: 1,
+    items: object({
+      destination: { type: 'string', enum: DESTINATIONS },
+      endpoint: endpointPath,
+      data_type: string,
+      method: string
+    })
+  },
+  hydrogen_bonds: object({
+    type: string,
+    speed: string,
+    reliability: string,
+    fallback: string
+  }),
+  domino_cascade: object({
+    enabled: boolean,
+    description: string,
+    cascade_to: { type: 'array', items: string, uniqueItems: true }
+  }),
+  endpoints: object({
+    mint: endpointPath,
+    query: endpointPath,
+    balance: endpointPath,
+    history: endpointPath,
+    stats: endpointPath
+  })
+});
+
+// Rules that span several fields
+const crossChecks = {
+  alc(config, errors) {
+    const locations = config.distribution.storage_locations;
+    const adapters = config.distribution.storage_adapters || {};
+
+    locations.forEach((location, i) => {
+      if (!DEFAULT_STORAGE_LOCATIONS.includes(location) && !adapters[location]) {
+        errors.push({
+          path: `distribution.storage_locations[${i}]`,
+          message: `"${location}" is not a built-in location and has no storage_adapters entry`
+        });
+      }
+    });
+
+    for (const [location, spec] of Object.entries(adapters)) {
+      if (!locations.includes(location)) {
+        errors.push({
+          path: `distribution.storage_adapters.${location}`,
+          message: 'is not listed in distribution.storage_locations'
+        });
+      }
+
+      // Caught here so a bad runtime fails at startup or reload, not on the first write
+      if (spec.adapter === 'sqlite' && !sqliteAvailable()) {
+        errors.push({
+          path: `distribution.storage_adapters.${location}.adapter`,
+          message: `sqlite needs node:sqlite (Node 22.5+), this is Node ${process.versions.node}`
+        });
+      }
+    }
+  },
+
+  rules(config, errors) {
+    const limits = config.minting_rate_limits;
+    if (limits.max_per_minute > limits.max_per_hour) {
+      errors.push({ path: 'minting_rate_limits.max_per_minute', message: 'must not exceed max_per_hour' });
+    }
+    if (limits.max_per_hour > limits.max_per_day) {
+      errors.push({ path: 'minting_rate_limits.max_per_hour', message: 'must not exceed max_per_day' });
+    }
+    if (config.validation_rules.min_value > config.validation_rules.max_value) {
+      errors.push({ path: 'validation_rules.min_value', message: 'must not exceed max_value' });
+    }
+  },
+
+  wiring(config, errors) {
+    const seen = new Map();
+    config.receives_from.forEach((entry, i) => {
+      if (seen.has(entry.endpoint)) {
+        errors.push({
+          path: `receives_from[${i}].endpoint`,
+          message: `duplicates receives_from[${seen.get(entry.endpoint)}].endpoint`
+        });
+      }
+      seen.set(entry.endpoint, i);
+    });
+  }
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function joinPath(path, key) {
+  if (typeof key === 'number') return `${path}[${key}]`;
+  return path ? `${path}.${key}` : key;
+}
+
+// Validate a value against a schema; errors carry the exact path
+function validate(schema, value, path = '', errors = []) {
+  const actual = typeOf(value);
+  const matchesType = schema.type === actual || (schema.type === 'number' && actual === 'integer');
+
+  if (!matchesType) {
+    errors.push({ path: path || '(root)', message: `expected ${schema.type}, got ${actual}` });
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, message: `must be one of: ${schema.enum.join(', ')} (got ${JSON.stringify(value)})` });
+  }
+
+  if (schema.type === 'string') {
+    if (schema.minLength && value.length < schema.minLength) {
+      errors.push({ path, message: 'must not be empty' });
+    }
+    if (schema.pattern && !schema.pattern.test(value)) {
+      errors.push({ path, message: `must match ${schema.pattern}` });
+    }
+  }
+
+  if (schema.type === 'number' || schema.type === 'integer') {
+    if (schema.minimum !== undefined) {
+      const tooSmall = schema.exclusiveMinimum ? value <= schema.minimum : value < schema.minimum;
+      if (tooSmall) {
+        errors.push({ path, message: `must be ${schema.exclusiveMinimum ? '>' : '>='} ${schema.minimum}` });
+      }
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path, message: `must be <= ${schema.maximum}` });
+    }
+  }
+
+  if (schema.type === 'array') {
+    if (schema.minItems && value.length < schema.minItems) {
+      errors.push({ path, message: `must have at least ${schema.minItems} item(s)` });
+    }
+    if (schema.uniqueItems && new Set(value.map(v => JSON.stringify(v))).size !== value.length) {
+      errors.push({ path, message: 'must not contain duplicates' });
+    }
+    value.forEach((item, i) => validate(schema.items, item, joinPath(path, i), errors));
+  }
+
+  if (schema.type === 'object') {
+    const properties = schema.properties || {};
+
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push({ path: joinPath(path, key), message: 'is required' });
+      }
+    }
+
+    if (schema.minProperties && Object.keys(value).length < schema.minProperties) {
+      errors.push({ path: path || '(root)', message: `must have at least ${schema.minProperties} entr(ies)` });
+    }
+
+    for (const [key, item] of Object.entries(value)) {
+      if (properties[key]) {
+        validate(properties[key], item, joinPath(path, key), errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: joinPath(path, key), message: 'is not an allowed property' });
+      } else if (schema.additionalProperties) {
+        validate(schema.additionalProperties, item, joinPath(path, key), errors);
+      }
+    }
+  }
+
+  return errors;
+}
+
+const schemas = {
+  alc: alcConfigSchema,
+  rules: mintingRulesSchema,
+  wiring: wiringConfigSchema
+};
+
+// Validate one named config ('alc', 'rules' or 'wiring')
+function validateConfig(name, config) {
+  const errors = validate(schemas[name], config);
+
+  // Cross-field rules only make sense once the shape is right
+  if (errors.length === 0 && crossChecks[name]) {
+    crossChecks[name](config, errors);
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    schemas,
+    validate,
+    validateConfig,
+    DEFAULT_STORAGE_LOCATIONS,
+    DESTINATIONS,
+    RECEIVE_SOURCES
+  };
+}
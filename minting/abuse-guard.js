@@ -0,0 +1,388 @@
+// Abuse Guard
+// Mongoose pattern detection: rules from capacitor_physics.prevents score each owner, and risky owners are cooled down or blocked
+
+// Rule settings when prevents.abuse_rules leaves them out
+const DEFAULT_RULES = {
+  // Too many events from one owner inside a short window
+  burst: { window_seconds: 1, max_events: 10, score: 40 },
+  // Intervals so regular they look clock-driven (stddev / mean under max_jitter_ratio)
+  bot_interval: { min_events: 8, max_jitter_ratio: 0.05, score: 30 },
+  // One origin (device, address, payer) feeding many different owners
+  shared_source: { window_seconds: 3600, max_owners: 20, score: 50 },
+  // The same activity type over and over
+  repetition: { events: 9, score: 10 }
+};
+
+// registerActivity's default type: a plain "I'm active" ping says nothing about what the owner
+// did, and pages send it from a timer, so a run of them is normal use, not repetition or a bot interval
+const PLAIN_ACTIVITY = 'activity';
+
+const DEFAULT_ENFORCEMENT = {
+  cooldown_score: 50,
+  block_score: 100,
+  cooldown_seconds: 60,
+  score_half_life_seconds: 900,
+  rearm_seconds: 60
+};
+
+class AbuseError extends Error {
+  constructor(verdict) {
+    super(verdict.error);
+    this.code = verdict.code;
+    this.owner = verdict.owner;
+    this.risk_score = verdict.risk_score;
+    this.retry_after_ms = verdict.retry_after_ms;
+  }
+}
+
+class AbuseGuard {
+  constructor(config, { maxTracked = 10000 } = {}) {
+    this.maxTracked = maxTracked;
+    this.owners = new Map(); // owner -> { owner, score, score_at, events, last_hit_at, hits, cooldown_until, block }
+    this.origins = new Map(); // origin -> Map(owner -> last seen)
+    this.hitsByRule = {};
+    this.screenedCount = 0;
+    this.refusedCount = 0;
+    this.adminLog = [];
+    this.applyConfig(config);
+  }
+
+  // Swap in a reloaded alc-config.json; scores, cooldowns and blocks are kept
+  applyConfig(config) {
+    const prevents = config.capacitor_physics?.prevents || {};
+    const settings = prevents.abuse_rules || {};
+
+    this.enabled = Boolean(prevents.abuse);
+    this.rules = {};
+    for (const [name, defaults] of Object.entries(DEFAULT_RULES)) {
+      this.rules[name] = { ...defaults, ...settings[name] };
+    }
+
+    const enforcement = { ...DEFAULT_ENFORCEMENT, ...settings };
+    this.cooldownScore = enforcement.cooldown_score;
+    this.blockScore = enforcement.block_score;
+    this.cooldownMs = enforcement.cooldown_seconds * 1000;
+    this.halfLifeMs = enforcement.score_half_life_seconds * 1000;
+    this.rearmMs = enforcement.rearm_seconds * 1000;
+    this.historySize = Math.max(50, this.rules.burst.max_events + 1, this.rules.bot_interval.min_events + 1, this.rules.repetition.events);
+  }
+
+  // Record one activity or mint attempt, score it, and say whether it may go ahead
+  screen({ owner, origin = null, kind, type = null }, now = Date.now()) {
+    if (!this.enabled) {
+      return { allowed: true, owner, risk_score: 0 };
+    }
+
+    this.screenedCount++;
+
+    // Already refused: the refusal is the answer, and a client retrying through its
+    // cooldown is not new evidence, so the attempt is neither recorded nor scored
+    const current = this.check(owner, now);
+    if (!current.allowed) {
+      this.refusedCount++;
+      return { ...current, hits: [] };
+    }
+
+    const state = this.stateFor(owner, now);
+
+    state.events.push({ at: now, kind, type });
+    if (state.events.length > this.historySize) {
+      state.events = state.events.slice(-this.historySize);
+    }
+
+    const hits = this.evaluate(state, origin, now);
+    if (hits.length > 0) {
+      this.escalate(state, now);
+    }
+
+    const verdict = this.check(owner, now);
+    if (!verdict.allowed) {
+      this.refusedCount++;
+    }
+    return { ...verdict, hits };
+  }
+
+  // Same as screen, but throws AbuseError when refused
+  enforce(event, now = Date.now()) {
+    const verdict = this.screen(event, now);
+    if (!verdict.allowed) {
+      throw new AbuseError(verdict);
+    }
+    return verdict;
+  }
+
+  // Current verdict for an owner without recording anything
+  check(owner, now = Date.now()) {
+    const state = this.owners.get(owner);
+    const riskScore = state ? this.scoreAt(state, now) : 0;
+
+    if (state?.block) {
+      return {
+        allowed: false,
+        owner,
+        code: 'OWNER_BLOCKED',
+        error: `Owner ${owner} is blocked for abuse (${state.block.rules.join(', ')})`,
+        risk_score: riskScore
+      };
+    }
+
+    if (state && state.cooldown_until > now) {
+      return {
+        allowed: false,
+        owner,
+        code: 'ABUSE_COOLDOWN',
+        error: `Owner ${owner} is cooling down after suspicious activity`,
+        risk_score: riskScore,
+        retry_after_ms: state.cooldown_until - now
+      };
+    }
+
+    return { allowed: true, owner, risk_score: riskScore };
+  }
+
+  // Run every rule; each can add to the owner's score once per rearm period
+  evaluate(state, origin, now) {
+    const hits = [];
+    const matched = {
+      burst: this.detectBurst(state.events, now),
+      bot_interval: this.detectBotInterval(state.events),
+      shared_source: this.detectSharedSource(origin, state.owner, now),
+      repetition: this.detectRepetition(state.events)
+    };
+
+    for (const [rule, detail] of Object.entries(matched)) {
+      if (!detail) continue;
+
+      const lastHit = state.last_hit_at[rule];
+      if (lastHit !== undefined && now - lastHit < this.rearmMs) continue;
+
+      state.score = this.scoreAt(state, now) + this.rules[rule].score;
+      state.score_at = now;
+      state.last_hit_at[rule] = now;
+      state.hits.push({ rule, ...detail, score: this.rules[rule].score, timestamp: new Date(now).toISOString() });
+      this.hitsByRule[rule] = (this.hitsByRule[rule] || 0) + 1;
+      hits.push(rule);
+    }
+
+    // Trim hit log to last 20 per owner
+    if (state.hits.length > 20) {
+      state.hits = state.hits.slice(-20);
+    }
+
+    return hits;
+  }
+
+  detectBurst(events, now) {
+    const { window_seconds, max_events } = this.rules.burst;
+    const recent = events.filter(e => now - e.at < window_seconds * 1000).length;
+    return recent > max_events ? { events: recent, window_seconds } : null;
+  }
+
+  detectBotInterval(events) {
+    const { min_events, max_jitter_ratio } = this.rules.bot_interval;
+    const timed = events.filter(e => e.type !== PLAIN_ACTIVITY);
+    if (timed.length < min_events) return null;
+
+    const recent = timed.slice(-min_events);
+    const intervals = recent.slice(1).map((e, i) => e.at - recent[i].at);
+    const mean = intervals.reduce((sum, n) => sum + n, 0) / intervals.length;
+    if (mean <= 0) return null;
+
+    const variance = intervals.reduce((sum, n) => sum + (n - mean) ** 2, 0) / intervals.length;
+    const jitter = Math.sqrt(variance) / mean;
+    return jitter < max_jitter_ratio ? { interval_ms: Math.round(mean), jitter_ratio: Number(jitter.toFixed(4)) } : null;
+  }
+
+  detectSharedSource(origin, owner, now) {
+    if (!origin) return null;
+
+    const { window_seconds, max_owners } = this.rules.shared_source;
+    if (!this.origins.has(origin)) {
+      this.origins.set(origin, new Map());
+    }
+
+    const owners = this.origins.get(origin);
+    owners.set(owner, now);
+    for (const [seen, at] of owners) {
+      if (now - at > window_seconds * 1000) {
+        owners.delete(seen);
+      }
+    }
+
+    return owners.size > max_owners ? { origin, owners: owners.size, window_seconds } : null;
+  }
+
+  detectRepetition(events) {
+    const { events: count } = this.rules.repetition;
+    if (events.length < count) return null;
+
+    const recent = events.slice(-count);
+    const type = recent[0].type;
+    const repeated = type !== null && type !== PLAIN_ACTIVITY && recent.every(e => e.type === type);
+    return repeated ? { type, events: count } : null;
+  }
+
+  // After a new hit: past the thresholds the owner is cooled down, or blocked until an admin lifts it
+  escalate(state, now) {
+    const score = this.scoreAt(state, now);
+
+    if (score >= this.blockScore && !state.block) {
+      state.block = {
+        blocked_at: new Date(now).toISOString(),
+        score,
+        rules: [...new Set(state.hits.map(h => h.rule))]
+      };
+    } else if (score >= this.cooldownScore) {
+      state.cooldown_until = Math.max(state.cooldown_until, now + this.cooldownMs);
+    }
+  }
+
+  // Risk score halves every score_half_life_seconds, computed from elapsed time
+  scoreAt(state, now) {
+    const elapsed = Math.max(0, now - state.score_at);
+    return state.score * 0.5 ** (elapsed / this.halfLifeMs);
+  }
+
+  stateFor(owner, now) {
+    if (!owner) {
+      throw new Error('Abuse screening is per owner; owner is required');
+    }
+
+    if (!this.owners.has(owner)) {
+      if (this.owners.size >= this.maxTracked) {
+        this.prune(now);
+      }
+      this.owners.set(owner, {
+        owner,
+        score: 0,
+        score_at: now,
+        events: [],
+        last_hit_at: {},
+        hits: [],
+        cooldown_until: 0,
+        block: null
+      });
+    }
+    return this.owners.get(owner);
+  }
+
+  // Forget quiet owners with no score, cooldown or block, and origins with no recent owners
+  prune(now = Date.now()) {
+    let removed = 0;
+
+    for (const [owner, state] of this.owners) {
+      const last = state.events[state.events.length - 1];
+      const quiet = !last || now - last.at > this.rearmMs;
+
+      if (quiet && !state.block && state.cooldown_until <= now && this.scoreAt(state, now) < 1) {
+        this.owners.delete(owner);
+        removed++;
+      }
+    }
+
+    for (const [origin, owners] of this.origins) {
+      for (const [owner, at] of owners) {
+        if (now - at > this.rules.shared_source.window_seconds * 1000) {
+          owners.delete(owner);
+        }
+      }
+      if (owners.size === 0) {
+        this.origins.delete(origin);
+      }
+    }
+
+    return removed;
+  }
+
+  // Admin: owners currently blocked, highest score first
+  getBlocked(now = Date.now()) {
+    return [...this.owners.values()]
+      .filter(state => state.block)
+      .map(state => ({ owner: state.owner, risk_score: this.scoreAt(state, now), ...state.block }))
+      .sort((a, b) => b.risk_score - a.risk_score);
+  }
+
+  // Admin: everything the guard knows about one owner
+  getOwnerReport(owner, now = Date.now()) {
+    const state = this.owners.get(owner);
+    const verdict = this.check(owner, now);
+
+    if (!state) {
+      return { owner, status: 'ok', risk_score: 0, block: null, cooldown_until: null, hits: [], recent_events: [] };
+    }
+
+    return {
+      owner,
+      status: state.block ? 'blocked' : verdict.allowed ? 'ok' : 'cooldown',
+      risk_score: verdict.risk_score,
+      block: state.block,
+      cooldown_until: state.cooldown_until > now ? new Date(state.cooldown_until).toISOString() : null,
+      hits: state.hits,
+      recent_events: state.events.slice(-10).map(e => ({ ...e, at: new Date(e.at).toISOString() }))
+    };
+  }
+
+  // Admin: lift a block (and any cooldown) and start the owner's score from zero
+  unblock(owner, { by = 'admin', note = null } = {}, now = Date.now()) {
+    const state = this.owners.get(owner);
+    if (!state || (!state.block && state.cooldown_until <= now)) {
+      return { success: false, error: `Owner ${owner} is not blocked or cooling down` };
+    }
+
+    const lifted = state.block;
+    state.block = null;
+    state.cooldown_until = 0;
+    state.score = 0;
+    state.score_at = now;
+    state.last_hit_at = {};
+
+    this.adminLog.push({
+      action: 'unblock',
+      owner,
+      by,
+      note,
+      lifted_block: lifted,
+      timestamp: new Date(now).toISOString()
+    });
+
+    // Trim admin log to last 100 actions
+    if (this.adminLog.length > 100) {
+      this.adminLog = this.adminLog.slice(-100);
+    }
+
+    return { success: true, owner, lifted_block: lifted };
+  }
+
+  getAdminLog(limit = 20) {
+    return this.adminLog.slice(-limit);
+  }
+
+  getStats(now = Date.now()) {
+    let coolingDown = 0;
+    let blocked = 0;
+
+    for (const state of this.owners.values()) {
+      if (state.block) blocked++;
+      else if (state.cooldown_until > now) coolingDown++;
+    }
+
+    return {
+      enabled: this.enabled,
+      tracked_owners: this.owners.size,
+      tracked_origins: this.origins.size,
+      blocked,
+      cooling_down: coolingDown,
+      screened: this.screenedCount,
+      refused: this.refusedCount,
+      hits_by_rule: this.hitsByRule,
+      cooldown_score: this.cooldownScore,
+      block_score: this.blockScore
+    };
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AbuseGuard;
+  module.exports.AbuseError = AbuseError;
+}
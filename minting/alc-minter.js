@@ -1,17 +1,35 @@
 // ALC (Andy Lian Coin) Minter
 // Handles the creation and minting of Andy Lian Coins
 
+const CapacitorMint = require('./capacitor-mint');
+
 class ALCMinter {
-  constructor(config) {
+  // Each owner mints from their own capacitor in `capacitor` (a CapacitorMint);
+  // guard (an AbuseGuard) screens every mint attempt and refuses owners it cools down or blocks
+  constructor(config, signer = null, rateLimiter = null, eventBus = null, capacitor = null, guard = null) {
     this.config = config;
+    this.signer = signer;
+    this.rateLimiter = rateLimiter;
+    this.eventBus = eventBus;
+    this.guard = guard;
+    this.capacitor = capacitor || new CapacitorMint(config, null, guard);
     this.totalMinted = 0;
     this.inCirculation = 0;
     this.mintingHistory = [];
-    this.capacitorCharge = 0;
   }
 
-  // Main minting function
-  async mint(request) {
+  // Swap in a reloaded alc-config.json
+  applyConfig(config) {
+    this.config = config;
+    this.capacitor.applyConfig(config);
+
+    if (this.guard) {
+      this.guard.applyConfig(config);
+    }
+  }
+
+  // Main minting function; inside a transaction, events are held and the mint can be reverted
+  async mint(request, { transaction = null } = {}) {
     const { trigger, amount, owner, metadata } = request;
     
     // Validate request
@@ -19,9 +37,41 @@ class ALCMinter {
       return { success: false, error: 'Invalid mint request' };
     }
     
-    // Check capacitor charge
-    if (!this.checkCapacitorCharge(trigger)) {
-      return { success: false, error: 'Insufficient capacitor charge' };
+    // Abuse rules see every attempt from an owner who isn't already refused
+    if (this.guard) {
+      const verdict = this.guard.screen({ owner, origin: request.origin || metadata?.origin, kind: 'mint', type: trigger });
+      if (!verdict.allowed) {
+        return {
+          success: false,
+          error: verdict.error,
+          code: verdict.code,
+          retry_after_ms: verdict.retry_after_ms
+        };
+      }
+    }
+
+    // Check minting rate limits
+    if (this.rateLimiter) {
+      const limit = this.rateLimiter.check({ owner, trigger });
+      if (!limit.allowed) {
+        return {
+          success: false,
+          error: limit.error,
+          code: limit.code,
+          retry_after_ms: limit.retry_after_ms
+        };
+      }
+    }
+
+    // Check the owner's capacitor charge
+    if (!this.checkCapacitorCharge(owner, trigger)) {
+      return {
+        success: false,
+        error: 'Insufficient capacitor charge',
+        code: 'INSUFFICIENT_CHARGE',
+        charge: this.capacitor.getCharge(owner, trigger),
+        threshold: this.capacitor.threshold
+      };
     }
     
     // Create token
@@ -38,16 +88,25 @@ class ALCMinter {
       }
     });
     
+    const recordedAt = Date.now();
+    if (this.rateLimiter) {
+      this.rateLimiter.record({ owner, trigger }, recordedAt);
+    }
+
     // Update stats
     this.totalMinted += token.value;
     this.inCirculation += token.value;
     this.mintingHistory.push(token);
     
     // Discharge capacitor
-    this.dischargeCapacitor();
+    const discharged = this.dischargeCapacitor(token, transaction);
     
     // Trigger domino cascade
-    this.triggerCascade(token);
+    this.triggerCascade(token, transaction);
+
+    if (transaction) {
+      transaction.onRollback(() => this.revertMint(token, { discharged, recordedAt }));
+    }
     
     return {
       success: true,
@@ -57,7 +116,7 @@ class ALCMinter {
   }
 
   createToken({ type, amount, owner, trigger, metadata }) {
-    return {
+    const token = {
       id: this.generateTokenId(),
       type,
       emoji: this.config.token_emoji,
@@ -69,6 +128,13 @@ class ALCMinter {
       immutable: true,
       blockchain_backed: this.config.blockchain_backed
     };
+
+    // Sign with the operator key so the token's origin can be verified
+    if (this.signer) {
+      token.signature = this.signer.sign(token);
+    }
+
+    return token;
   }
 
   validateMintRequest(request) {
@@ -78,19 +144,52 @@ class ALCMinter {
     return true;
   }
 
-  checkCapacitorCharge(trigger) {
-    const threshold = this.config.capacitor_physics.threshold;
-    return this.capacitorCharge >= threshold;
+  checkCapacitorCharge(owner, trigger) {
+    return this.capacitor.canMint(owner, trigger);
   }
 
-  chargeCapacitor(activity) {
-    // Activity charges the mint capacitor
-    this.capacitorCharge = Math.min(100, this.capacitorCharge + activity);
+  chargeCapacitor(owner, activity, trigger = null, origin = null) {
+    // Activity charges the owner's mint capacitor
+    return this.capacitor.registerActivity(owner, activity, { trigger, origin });
   }
 
-  dischargeCapacitor() {
-    // Minting discharges the capacitor
-    this.capacitorCharge = Math.max(0, this.capacitorCharge - 20);
+  dischargeCapacitor(token, transaction = null) {
+    // Minting discharges the owner's capacitor
+    const result = this.capacitor.discharge(token.owner, token.trigger);
+
+    this.publish('capacitor.discharged', {
+      source: 'alc_minter',
+      owner: token.owner,
+      token_id: token.id,
+      capacitor: result.capacitor,
+      charge_before: result.charge_before,
+      charge_after: result.charge_after
+    }, transaction);
+
+    return result.discharged;
+  }
+
+  // Undo a mint from a rolled back batch: stats, history, capacitor and rate limit usage
+  revertMint(token, { discharged = 0, recordedAt } = {}) {
+    this.totalMinted -= token.value;
+    this.inCirculation -= token.value;
+    this.mintingHistory = this.mintingHistory.filter(t => t.id !== token.id);
+    this.capacitor.restore(token.owner, token.trigger, discharged);
+
+    if (this.rateLimiter && recordedAt !== undefined) {
+      this.rateLimiter.release({ owner: token.owner, trigger: token.trigger }, recordedAt);
+    }
+  }
+
+  // Publish now, or hold the event until the transaction commits
+  publish(type, payload, transaction = null) {
+    if (!this.eventBus) return;
+
+    if (transaction) {
+      transaction.publish(this.eventBus, type, payload);
+    } else {
+      this.eventBus.publish(type, payload);
+    }
   }
 
   generateTokenId() {
@@ -105,18 +204,21 @@ class ALCMinter {
       proves: this.config.minting_proof.proves,
       evidence: this.config.minting_proof.evidence,
       timestamp: new Date().toISOString(),
-      signature: this.generateSignature()
+      signed_by: this.signer ? this.signer.keyId : null
     };
   }
 
-  generateSignature() {
-    return `sig_${Date.now()}_${Math.random().toString(36).substring(2, 15)}`;
+  // Verify a token was signed by this mint's operator key
+  verifyToken(token) {
+    if (!this.signer) {
+      return { valid: false, error: 'No operator key loaded' };
+    }
+    return this.signer.verifyToken(token);
   }
 
-  triggerCascade(token) {
-    // Domino cascade: minting triggers economy updates
-    console.log('🧲 Domino Cascade: Token minting triggers economy updates');
-    // This would notify other systems in a real implementation
+  // Domino cascade: minting triggers economy updates in the cascade_to subscribers
+  triggerCascade(token, transaction = null) {
+    this.publish('token.minted', { token, source: 'alc_minter' }, transaction);
   }
 
   getStats() {
@@ -124,7 +226,9 @@ class ALCMinter {
       total_minted: this.totalMinted,
       in_circulation: this.inCirculation,
       mint_rate: this.calculateMintRate(),
-      capacitor_charge: this.capacitorCharge,
+      capacitors: this.capacitor.getStats(),
+      rate_limits: this.rateLimiter ? this.rateLimiter.getStats() : null,
+      abuse: this.guard ? this.guard.getStats() : null,
       recent_mints: this.mintingHistory.slice(-10)
     };
   }
@@ -138,9 +242,9 @@ class ALCMinter {
     return recentMints.length;
   }
 
-  // Auto-charge capacitor based on activity
-  registerActivity(activityLevel = 5) {
-    this.chargeCapacitor(activityLevel);
+  // Charge an owner's capacitor from their activity
+  registerActivity(owner, activityLevel = 5, trigger = null, origin = null) {
+    return this.chargeCapacitor(owner, activityLevel, trigger, origin);
   }
 }
 
@@ -1,12 +1,22 @@
 // Batch Processor
 // Handles batch minting operations efficiently
 
+const MintTransaction = require('./mint-transaction');
+
 class BatchProcessor {
-  constructor(tokenFactory, alcMinter) {
+  // Batches share a pool of `concurrency` workers. `atomic` makes all-or-nothing the default mode;
+  // with a `ledger`, atomic batches also append their tokens inside the transaction
+  constructor(tokenFactory, alcMinter, eventBus = null, { concurrency = 4, atomic = false, ledger = null } = {}) {
     this.tokenFactory = tokenFactory;
     this.alcMinter = alcMinter;
+    this.eventBus = eventBus;
+    this.concurrency = concurrency;
+    this.atomic = atomic;
+    this.ledger = ledger;
     this.queue = [];
-    this.processing = false;
+    this.activeBatches = 0;
+    this.activeWorkers = 0;
+    this.waitingWorkers = [];
     this.maxBatchSize = 100;
     this.batchHistory = [];
   }
@@ -26,12 +36,8 @@ class BatchProcessor {
     };
   }
 
-  // Process batch of mints
-  async processBatch(batchSize = null) {
-    if (this.processing) {
-      return { error: 'Batch already processing' };
-    }
-
+  // Process batch of mints from the queue
+  async processBatch(batchSize = null, options = {}) {
     const size = Math.min(
       batchSize || this.maxBatchSize,
       this.queue.length
@@ -41,47 +47,45 @@ class BatchProcessor {
       return { message: 'Queue is empty' };
     }
 
-    this.processing = true;
-    const batch = this.queue.splice(0, size);
+    return this.processRequests(this.queue.splice(0, size), options);
+  }
+
+  // Mint exactly these requests, bypassing the queue. Tokens come back in request order and errors carry their request's index
+  async processRequests(batch, { atomic = this.atomic } = {}) {
     const results = {
       batch_id: this.generateBatchId(),
       timestamp: new Date().toISOString(),
-      size,
+      size: batch.length,
+      mode: atomic ? 'atomic' : 'independent',
+      concurrency: this.concurrency,
       tokens: [],
       errors: []
     };
 
-    for (let i = 0; i < batch.length; i++) {
-      const request = batch[i];
-      try {
-        let token;
-        
-        if (request.type === 'ALC' || !request.type) {
-          // Use ALC minter
-          const result = await this.alcMinter.mint(request);
-          if (result.success) {
-            token = result.token;
-          } else {
-            throw new Error(result.error);
-          }
-        } else {
-          // Use general token factory
-          token = this.tokenFactory.createToken(request);
-        }
-
-        results.tokens.push(token);
-      } catch (error) {
-        results.errors.push({
-          index: i,
-          request,
-          error: error.message
-        });
+    this.activeBatches++;
+    try {
+      if (atomic) {
+        await this.runAtomic(batch, results);
+      } else {
+        await this.runIndependent(batch, results);
       }
+    } finally {
+      this.activeBatches--;
     }
 
-    this.processing = false;
     this.batchHistory.push(results);
 
+    if (this.eventBus) {
+      this.eventBus.publish('batch.completed', {
+        batch_id: results.batch_id,
+        size: results.size,
+        mode: results.mode,
+        minted: results.tokens.length,
+        failed: results.errors.length,
+        token_ids: results.tokens.map(t => t.id)
+      });
+    }
+
     // Trim history to last 50 batches
     if (this.batchHistory.length > 50) {
       this.batchHistory = this.batchHistory.slice(-50);
@@ -90,6 +94,137 @@ class BatchProcessor {
     return results;
   }
 
+  // Every request stands alone: failures are reported, successes are kept
+  async runIndependent(batch, results) {
+    const outcomes = await this.runWorkers(batch, request => this.mintOne(request));
+
+    outcomes.forEach((outcome, index) => {
+      if (outcome.error) {
+        results.errors.push(this.describeError(batch[index], index, outcome.error));
+      } else {
+        results.tokens.push(outcome.token);
+      }
+    });
+  }
+
+  // All or nothing: the first failure skips the rest and rolls back every mint and ledger append
+  async runAtomic(batch, results) {
+    const transaction = new MintTransaction(results.batch_id);
+    let failure = null;
+
+    const outcomes = await this.runWorkers(batch, async (request, index) => {
+      if (failure) {
+        throw Object.assign(new Error(`Skipped: request ${failure.index} of the batch failed`), { code: 'BATCH_ROLLED_BACK' });
+      }
+
+      try {
+        return await this.mintOne(request, transaction);
+      } catch (error) {
+        failure = failure || { index, error };
+        throw error;
+      }
+    });
+
+    const tokens = outcomes.map(outcome => outcome.token);
+
+    // Ledger appends are synchronous, so nothing else can append between checkpoint and rollback
+    if (!failure && this.ledger) {
+      const checkpoint = this.ledger.checkpoint();
+      transaction.onRollback(() => this.ledger.rollback(checkpoint));
+
+      results.ledger_entries = [];
+      for (let i = 0; i < tokens.length; i++) {
+        try {
+          results.ledger_entries.push(this.ledger.addToken(tokens[i]));
+        } catch (error) {
+          failure = { index: i, error };
+          break;
+        }
+      }
+    }
+
+    if (!failure) {
+      transaction.commit();
+      results.committed = true;
+      results.tokens = tokens;
+      return;
+    }
+
+    const rollback = transaction.rollback();
+    delete results.ledger_entries;
+    results.committed = false;
+    results.failed_index = failure.index;
+    results.rolled_back = tokens.filter(Boolean).length;
+    if (rollback.errors.length > 0) {
+      results.rollback_errors = rollback.errors;
+    }
+
+    // Every request failed with the batch; only the failing one keeps its own error
+    results.errors = batch.map((request, index) => index === failure.index
+      ? this.describeError(request, index, failure.error)
+      : this.describeError(request, index, Object.assign(new Error(`Rolled back: request ${failure.index} of the batch failed`), { code: 'BATCH_ROLLED_BACK' })));
+  }
+
+  async mintOne(request, transaction = null) {
+    if (request.type === 'ALC' || !request.type) {
+      // Use ALC minter
+      const result = await this.alcMinter.mint(request, { transaction });
+      if (!result.success) {
+        throw Object.assign(new Error(result.error), {
+          code: result.code,
+          retry_after_ms: result.retry_after_ms
+        });
+      }
+      return result.token;
+    }
+
+    // Use general token factory
+    return this.tokenFactory.createToken(request, { transaction });
+  }
+
+  // Run work(request, index) for every request on the worker pool; outcomes keep request order
+  runWorkers(batch, work) {
+    return Promise.all(batch.map(async (request, index) => {
+      await this.acquireWorker();
+      try {
+        return { token: await work(request, index) };
+      } catch (error) {
+        return { error };
+      } finally {
+        this.releaseWorker();
+      }
+    }));
+  }
+
+  // Resolves once a worker is free; waiters are served in order
+  acquireWorker() {
+    if (this.activeWorkers < this.concurrency) {
+      this.activeWorkers++;
+      return Promise.resolve();
+    }
+    return new Promise(resolve => this.waitingWorkers.push(resolve));
+  }
+
+  // Hand the worker straight to the next waiter, if any
+  releaseWorker() {
+    const next = this.waitingWorkers.shift();
+    if (next) {
+      next();
+    } else {
+      this.activeWorkers--;
+    }
+  }
+
+  describeError(request, index, error) {
+    return {
+      index,
+      request,
+      error: error.message,
+      code: error.code,
+      retry_after_ms: error.retry_after_ms
+    };
+  }
+
   // Process queue automatically
   async autoProcess() {
     if (this.queue.length >= 10) {
@@ -122,11 +257,18 @@ class BatchProcessor {
   getQueueStatus() {
     return {
       queue_length: this.queue.length,
-      processing: this.processing,
+      processing: this.activeBatches > 0,
+      active_batches: this.activeBatches,
+      concurrency: this.concurrency,
+      active_workers: this.activeWorkers,
+      waiting_for_worker: this.waitingWorkers.length,
+      default_mode: this.atomic ? 'atomic' : 'independent',
       oldest_request: this.queue[0]?.queued_at,
       recent_batches: this.batchHistory.slice(-5).map(b => ({
         batch_id: b.batch_id,
         timestamp: b.timestamp,
+        mode: b.mode,
+        committed: b.committed,
         tokens_minted: b.tokens.length,
         errors: b.errors.length
       }))
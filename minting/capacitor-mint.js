@@ -1,30 +1,121 @@
 // Capacitor Minting Physics
-// Implements charge-based minting to prevent spam and abuse
+// One capacitor per owner (optionally per trigger) that charges and decays on RC curves, to prevent spam and abuse
+
+const MAX_CHARGE = 100;
+
+// Charging heads toward this supply level. Charge above MAX_CHARGE reads as full, so a capacitor
+// reaches full in finite time and stays full for a while (decay_tau · ln 1.1) before it leaks below
+const SUPPLY_LEVEL = 110;
+
+// Time constants (RC) and per-mint discharge when capacitor_physics leaves them out
+const DEFAULT_PHYSICS = {
+  charge_tau_seconds: 10,
+  decay_tau_seconds: 600,
+  discharge_per_mint: 20,
+  per_trigger: false
+};
 
 class CapacitorMint {
-  constructor(config) {
-    this.config = config;
-    this.charge = 0;
-    this.maxCharge = 100;
-    this.threshold = config.capacitor_physics?.threshold || 100;
-    this.chargeRate = 1; // charge per activity unit
-    this.dischargeRate = 20; // discharge per mint
+  // Capacitors hold only (charge, updated_at); the current charge is computed from elapsed time when asked.
+  // With a guard (AbuseGuard), activity from owners it cools down or blocks charges nothing
+  constructor(config, eventBus = null, guard = null, { maxTracked = 10000 } = {}) {
+    this.eventBus = eventBus;
+    this.guard = guard;
+    this.maxTracked = maxTracked;
+    this.maxCharge = MAX_CHARGE;
+    this.capacitors = new Map(); // owner or owner:trigger -> { charge, updated_at, last_mint_at, mints }
     this.activityLog = [];
-    this.lastMintTime = null;
+    this.applyConfig(config);
+  }
+
+  // Swap in a reloaded alc-config.json; existing charge is kept
+  applyConfig(config) {
+    const physics = { ...DEFAULT_PHYSICS, ...config.capacitor_physics };
+
+    this.config = config;
+    this.threshold = config.capacitor_physics?.threshold ?? 100;
+    this.chargeTauMs = physics.charge_tau_seconds * 1000;
+    this.decayTauMs = physics.decay_tau_seconds * 1000;
+    this.dischargeRate = physics.discharge_per_mint;
+    this.perTrigger = physics.per_trigger;
+
+    if (this.guard) {
+      this.guard.applyConfig(config);
+    }
+  }
+
+  keyFor(owner, trigger) {
+    if (!owner) {
+      throw new Error('Capacitors are per owner; owner is required');
+    }
+    return this.perTrigger && trigger ? `${owner}:${trigger}` : owner;
+  }
+
+  // Charge after decaying for the time since the last update: q·e^(-t/RC)
+  chargeAt(capacitor, now) {
+    const elapsed = Math.max(0, now - capacitor.updated_at);
+    return capacitor.charge * Math.exp(-elapsed / this.decayTauMs);
   }
 
-  // Register activity to charge capacitor
-  registerActivity(activityType, intensity = 1) {
-    const chargeAmount = intensity * this.chargeRate;
-    
-    this.charge = Math.min(this.maxCharge, this.charge + chargeAmount);
-    
+  // Bring a capacitor's stored charge up to date (creating it empty if new)
+  settle(owner, trigger, now) {
+    const key = this.keyFor(owner, trigger);
+    let capacitor = this.capacitors.get(key);
+
+    if (!capacitor) {
+      if (this.capacitors.size >= this.maxTracked) {
+        this.prune(now);
+      }
+      capacitor = { key, charge: 0, updated_at: now, last_mint_at: null, mints: 0 };
+      this.capacitors.set(key, capacitor);
+    }
+
+    capacitor.charge = this.chargeAt(capacitor, now);
+    capacitor.updated_at = now;
+    return capacitor;
+  }
+
+  // Usable charge: the stored charge, read as at most MAX_CHARGE
+  level(charge) {
+    return Math.min(this.maxCharge, charge);
+  }
+
+  getCharge(owner, trigger = null, now = Date.now()) {
+    const capacitor = this.capacitors.get(this.keyFor(owner, trigger));
+    return capacitor ? this.level(this.chargeAt(capacitor, now)) : 0;
+  }
+
+  // Activity closes the charging circuit for `intensity` seconds: q → V - (V - q)·e^(-t/RC).
+  // origin identifies where the activity came from (device, address) for the abuse rules
+  registerActivity(owner, intensity = 1, { trigger = null, type = 'activity', origin = null } = {}, now = Date.now()) {
+    if (this.guard) {
+      const verdict = this.guard.screen({ owner, origin, kind: 'activity', type }, now);
+      if (!verdict.allowed) {
+        return {
+          accepted: false,
+          capacitor: this.keyFor(owner, trigger),
+          charge: this.getCharge(owner, trigger, now),
+          code: verdict.code,
+          error: verdict.error,
+          retry_after_ms: verdict.retry_after_ms
+        };
+      }
+    }
+
+    const capacitor = this.settle(owner, trigger, now);
+    const before = this.level(capacitor.charge);
+
+    capacitor.charge = SUPPLY_LEVEL - (SUPPLY_LEVEL - capacitor.charge) * Math.exp(-(intensity * 1000) / this.chargeTauMs);
+    const charge = this.level(capacitor.charge);
+
     this.activityLog.push({
-      type: activityType,
+      owner,
+      capacitor: capacitor.key,
+      type,
       intensity,
-      charge_added: chargeAmount,
-      timestamp: new Date().toISOString(),
-      total_charge: this.charge
+      charge_added: charge - before,
+      timestamp: new Date(now).toISOString(),
+      total_charge: charge
     });
 
     // Trim activity log to last 100 entries
@@ -33,107 +124,156 @@ class CapacitorMint {
     }
 
     return {
-      charge: this.charge,
-      can_mint: this.canMint()
+      accepted: true,
+      capacitor: capacitor.key,
+      charge,
+      can_mint: charge >= this.threshold
     };
   }
 
-  // Check if capacitor is charged enough to mint
-  canMint() {
-    return this.charge >= this.threshold;
+  // Check if an owner's capacitor is charged enough to mint
+  canMint(owner, trigger = null, now = Date.now()) {
+    return this.getCharge(owner, trigger, now) >= this.threshold;
   }
 
-  // Attempt to mint (discharges capacitor)
-  attemptMint() {
-    if (!this.canMint()) {
+  // Take one mint's worth of charge; the caller has already checked canMint
+  discharge(owner, trigger = null, now = Date.now()) {
+    const capacitor = this.settle(owner, trigger, now);
+    const chargeBefore = this.level(capacitor.charge);
+
+    capacitor.charge = Math.max(0, chargeBefore - this.dischargeRate);
+    capacitor.last_mint_at = now;
+    capacitor.mints++;
+
+    return {
+      capacitor: capacitor.key,
+      charge_before: chargeBefore,
+      charge_after: capacitor.charge,
+      discharged: chargeBefore - capacitor.charge
+    };
+  }
+
+  // Give back charge taken by a mint that was rolled back
+  restore(owner, trigger, amount, now = Date.now()) {
+    const capacitor = this.settle(owner, trigger, now);
+    capacitor.charge = Math.min(SUPPLY_LEVEL, capacitor.charge + amount);
+    capacitor.mints = Math.max(0, capacitor.mints - 1);
+    return this.level(capacitor.charge);
+  }
+
+  // Attempt to mint (discharges the owner's capacitor)
+  attemptMint(owner, trigger = null, now = Date.now()) {
+    const charge = this.getCharge(owner, trigger, now);
+
+    if (charge < this.threshold) {
       return {
         success: false,
         error: 'Insufficient capacitor charge',
-        charge: this.charge,
+        code: 'INSUFFICIENT_CHARGE',
+        charge,
         threshold: this.threshold,
-        needed: this.threshold - this.charge
+        needed: this.threshold - charge
       };
     }
 
-    // Discharge capacitor
-    this.charge = Math.max(0, this.charge - this.dischargeRate);
-    this.lastMintTime = new Date().toISOString();
+    const result = this.discharge(owner, trigger, now);
+
+    if (this.eventBus) {
+      this.eventBus.publish('capacitor.discharged', {
+        source: 'capacitor_mint',
+        owner,
+        charge_before: result.charge_before,
+        charge_after: result.charge_after
+      });
+    }
 
     return {
       success: true,
-      charge: this.charge,
-      timestamp: this.lastMintTime
+      charge: result.charge_after,
+      timestamp: new Date(now).toISOString()
     };
   }
 
-  // Natural charge decay (optional, prevents infinite accumulation)
-  applyDecay(decayRate = 0.1) {
-    this.charge = Math.max(0, this.charge - decayRate);
-  }
+  // Forget capacitors that have decayed to (almost) nothing
+  prune(now = Date.now()) {
+    let removed = 0;
 
-  // Mongoose pattern detection for abuse prevention
-  detectAbuse() {
-    if (this.activityLog.length < 10) {
-      return { abuse_detected: false };
+    for (const [key, capacitor] of this.capacitors) {
+      if (this.chargeAt(capacitor, now) < 0.01) {
+        this.capacitors.delete(key);
+        removed++;
+      }
     }
 
-    const recentActivities = this.activityLog.slice(-10);
-    const timestamps = recentActivities.map(a => new Date(a.timestamp).getTime());
-    
-    // Check for rapid-fire pattern (all within 1 second)
-    const timeSpan = timestamps[timestamps.length - 1] - timestamps[0];
-    if (timeSpan < 1000) {
-      return {
-        abuse_detected: true,
-        pattern: 'rapid_fire',
-        action: 'throttle',
-        cooldown: 5000
-      };
-    }
+    return removed;
+  }
 
-    // Check for repetitive pattern
-    const types = recentActivities.map(a => a.type);
-    const allSame = types.every(t => t === types[0]);
-    if (allSame && types.length > 8) {
-      return {
-        abuse_detected: true,
-        pattern: 'repetitive',
-        action: 'require_variety',
-        suggestion: 'Vary activity types'
-      };
-    }
+  // Get one owner's capacitor status
+  getStatus(owner, trigger = null, now = Date.now()) {
+    const key = this.keyFor(owner, trigger);
+    const capacitor = this.capacitors.get(key);
+    const charge = capacitor ? this.level(this.chargeAt(capacitor, now)) : 0;
 
-    return { abuse_detected: false };
+    return {
+      capacitor: key,
+      charge,
+      max_charge: this.maxCharge,
+      threshold: this.threshold,
+      can_mint: charge >= this.threshold,
+      charge_percentage: (charge / this.maxCharge * 100).toFixed(1),
+      last_mint: capacitor?.last_mint_at ? new Date(capacitor.last_mint_at).toISOString() : null,
+      mints: capacitor ? capacitor.mints : 0,
+      recent_activities: this.activityLog.filter(a => a.owner === owner).slice(-5),
+      abuse_check: this.guard ? this.guard.check(owner, now) : null
+    };
   }
 
-  // Get current status
-  getStatus() {
+  getStats(now = Date.now()) {
+    let charged = 0;
+    let total = 0;
+
+    for (const capacitor of this.capacitors.values()) {
+      const charge = this.level(this.chargeAt(capacitor, now));
+      total += charge;
+      if (charge >= this.threshold) charged++;
+    }
+
     return {
-      charge: this.charge,
-      max_charge: this.maxCharge,
+      tracked_capacitors: this.capacitors.size,
+      ready_to_mint: charged,
+      average_charge: this.capacitors.size > 0 ? total / this.capacitors.size : 0,
       threshold: this.threshold,
-      can_mint: this.canMint(),
-      charge_percentage: (this.charge / this.maxCharge * 100).toFixed(1),
-      last_mint: this.lastMintTime,
-      recent_activities: this.activityLog.slice(-5),
-      abuse_check: this.detectAbuse()
+      charge_tau_seconds: this.chargeTauMs / 1000,
+      decay_tau_seconds: this.decayTauMs / 1000,
+      discharge_per_mint: this.dischargeRate,
+      per_trigger: this.perTrigger
     };
   }
 
-  // Reset capacitor (admin function)
-  reset() {
-    this.charge = 0;
-    this.activityLog = [];
-    this.lastMintTime = null;
+  // Reset one owner's capacitors, or all of them (admin function)
+  reset(owner = null) {
+    if (owner === null) {
+      this.capacitors.clear();
+      this.activityLog = [];
+      return;
+    }
+
+    for (const [key, capacitor] of this.capacitors) {
+      if (key === owner || key.startsWith(`${owner}:`)) {
+        this.capacitors.delete(capacitor.key);
+      }
+    }
+    this.activityLog = this.activityLog.filter(a => a.owner !== owner);
   }
 
-  // Boost capacitor (power-up, like Mario mushroom)
-  boost(amount) {
-    this.charge = Math.min(this.maxCharge, this.charge + amount);
+  // Boost an owner's capacitor (power-up, like Mario mushroom)
+  boost(owner, amount, trigger = null, now = Date.now()) {
+    const capacitor = this.settle(owner, trigger, now);
+    capacitor.charge = Math.min(SUPPLY_LEVEL, capacitor.charge + amount);
     return {
       boosted: true,
       boost_amount: amount,
-      new_charge: this.charge
+      new_charge: this.level(capacitor.charge)
     };
   }
 }
@@ -0,0 +1,125 @@
+// Mint Signer
+// Signs minted tokens with the operator's Ed25519 key so anyone can verify their origin
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { canonicalize, sha256 } = require('../storage/hash-utils');
+
+const PRIVATE_KEY_FILE = 'operator.key.pem';
+const PUBLIC_KEY_FILE = 'operator.pub.pem';
+
+class MintSigner {
+  constructor({ privateKey, publicKey }) {
+    this.privateKey = privateKey;
+    this.publicKey = publicKey || crypto.createPublicKey(privateKey);
+    this.publicKeyJwk = this.publicKey.export({ format: 'jwk' }).x;
+    this.keyId = MintSigner.keyIdFor(this.publicKeyJwk);
+  }
+
+  // Load the operator key pair from a local key directory
+  static fromKeyFiles(keyDir) {
+    const privatePem = fs.readFileSync(path.join(keyDir, PRIVATE_KEY_FILE), 'utf8');
+    const privateKey = crypto.createPrivateKey(privatePem);
+
+    if (privateKey.asymmetricKeyType !== 'ed25519') {
+      throw new Error(`Operator key must be ed25519, got ${privateKey.asymmetricKeyType}`);
+    }
+
+    const publicPath = path.join(keyDir, PUBLIC_KEY_FILE);
+    const publicKey = fs.existsSync(publicPath)
+      ? crypto.createPublicKey(fs.readFileSync(publicPath, 'utf8'))
+      : crypto.createPublicKey(privateKey);
+
+    return new MintSigner({ privateKey, publicKey });
+  }
+
+  // Create a fresh operator key pair on disk (private key readable by owner only)
+  static generateKeyFiles(keyDir) {
+    const privatePath = path.join(keyDir, PRIVATE_KEY_FILE);
+
+    if (fs.existsSync(privatePath)) {
+      throw new Error(`Operator key already exists: ${privatePath}`);
+    }
+
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('ed25519');
+
+    fs.mkdirSync(keyDir, { recursive: true });
+    fs.writeFileSync(privatePath, privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+    fs.writeFileSync(path.join(keyDir, PUBLIC_KEY_FILE), publicKey.export({ type: 'spki', format: 'pem' }));
+
+    return new MintSigner({ privateKey, publicKey });
+  }
+
+  // Key identifier: SHA-256 of the base64url public key, truncated
+  static keyIdFor(publicKeyJwk) {
+    return `ed25519:${sha256(publicKeyJwk).substring(2, 34)}`;
+  }
+
+  // Signed content is the canonical token with the signature block left out
+  static signingPayload(token) {
+    const { signature, ...content } = token;
+    return Buffer.from(canonicalize(content), 'utf8');
+  }
+
+  // Attach a signature block to a freshly minted token
+  sign(token) {
+    const value = crypto.sign(null, MintSigner.signingPayload(token), this.privateKey);
+
+    return {
+      algorithm: 'ed25519',
+      key_id: this.keyId,
+      public_key: this.publicKeyJwk,
+      value: value.toString('base64url')
+    };
+  }
+
+  // Check a token's signature against the public key it carries
+  // Proves the token is unaltered, not that the key belongs to this mint
+  static verifySignature(token) {
+    const signature = token?.signature;
+
+    if (!signature || signature.algorithm !== 'ed25519') {
+      return { valid: false, error: 'Token is not signed' };
+    }
+
+    if (MintSigner.keyIdFor(signature.public_key) !== signature.key_id) {
+      return { valid: false, error: 'Key id does not match public key' };
+    }
+
+    try {
+      const publicKey = crypto.createPublicKey({
+        key: { kty: 'OKP', crv: 'Ed25519', x: signature.public_key },
+        format: 'jwk'
+      });
+      const valid = crypto.verify(
+        null,
+        MintSigner.signingPayload(token),
+        publicKey,
+        Buffer.from(signature.value, 'base64url')
+      );
+
+      return valid
+        ? { valid: true, key_id: signature.key_id }
+        : { valid: false, error: 'Signature does not match token content' };
+    } catch (error) {
+      return { valid: false, error: `Malformed signature: ${error.message}` };
+    }
+  }
+
+  // Verify a token was signed by this mint's operator key
+  verifyToken(token) {
+    const result = MintSigner.verifySignature(token);
+
+    if (result.valid && result.key_id !== this.keyId) {
+      return { valid: false, error: `Signed by unknown key: ${result.key_id}` };
+    }
+
+    return result;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MintSigner;
+}
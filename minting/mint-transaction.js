@@ -0,0 +1,68 @@
+// Mint Transaction
+// Holds the events and undo steps of an all-or-nothing batch until it commits or rolls back
+
+class MintTransaction {
+  constructor(id) {
+    this.id = id;
+    this.state = 'open';
+    this.events = []; // { eventBus, type, payload } published on commit
+    this.undoLog = []; // run newest first on rollback
+  }
+
+  // Hold an event; subscribers never hear about mints that get rolled back
+  publish(eventBus, type, payload) {
+    this.assertOpen();
+    this.events.push({ eventBus, type, payload });
+  }
+
+  // Register how to reverse one side effect
+  onRollback(undo) {
+    this.assertOpen();
+    this.undoLog.push(undo);
+  }
+
+  commit() {
+    this.assertOpen();
+    this.state = 'committed';
+
+    for (const { eventBus, type, payload } of this.events) {
+      eventBus.publish(type, payload);
+    }
+
+    const published = this.events.length;
+    this.events = [];
+    this.undoLog = [];
+    return { published };
+  }
+
+  // Undo every step even if one throws, then report the failures
+  rollback() {
+    this.assertOpen();
+    this.state = 'rolled_back';
+
+    const errors = [];
+    for (const undo of this.undoLog.reverse()) {
+      try {
+        undo();
+      } catch (error) {
+        errors.push(error.message);
+      }
+    }
+
+    const undone = this.undoLog.length;
+    this.events = [];
+    this.undoLog = [];
+    return { undone, errors };
+  }
+
+  assertOpen() {
+    if (this.state !== 'open') {
+      throw new Error(`Transaction ${this.id} is already ${this.state}`);
+    }
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MintTransaction;
+}
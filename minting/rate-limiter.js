@@ -0,0 +1,207 @@
+// Mint Rate Limiter
+// Sliding-window limits from minting_rate_limits, applied globally, per owner and per trigger
+
+const WINDOWS = {
+  minute: { ms: 60 * 1000, limit: 'max_per_minute' },
+  hour: { ms: 60 * 60 * 1000, limit: 'max_per_hour' },
+  day: { ms: 24 * 60 * 60 * 1000, limit: 'max_per_day' }
+};
+
+class RateLimitError extends Error {
+  constructor(rejection) {
+    super(rejection.error);
+    this.code = 'RATE_LIMITED';
+    this.scope = rejection.scope;
+    this.window = rejection.window;
+    this.limit = rejection.limit;
+    this.retry_after_ms = rejection.retry_after_ms;
+  }
+}
+
+class MintRateLimiter {
+  // scopeLimits overrides the rule limits for 'global', 'owner' or 'trigger'
+  constructor(rules, scopeLimits = {}) {
+    this.scopeLimits = scopeLimits;
+    this.events = new Map(); // scope key -> sorted mint times (last 24h)
+    this.rejectedCount = 0;
+    this.applyConfig(rules);
+  }
+
+  // Swap in reloaded minting-rules.json; recorded mints are kept
+  applyConfig(rules) {
+    const limits = rules.minting_rate_limits;
+
+    this.limits = {
+      global: { ...limits, ...this.scopeLimits.global },
+      owner: { ...limits, ...this.scopeLimits.owner },
+      trigger: { ...limits, ...this.scopeLimits.trigger }
+    };
+    this.cooldownMs = (limits.cooldown_seconds || 0) * 1000;
+  }
+
+  // Check every scope; returns the first limit that would be exceeded
+  check({ owner, trigger }, now = Date.now()) {
+    for (const [scope, key] of this.scopeKeys(owner, trigger)) {
+      const times = this.prune(key, now);
+
+      for (const [window, { ms, limit }] of Object.entries(WINDOWS)) {
+        const max = this.limits[scope][limit];
+        if (max === undefined) continue;
+
+        const start = this.firstIndexAfter(times, now - ms);
+        const used = times.length - start;
+
+        if (used >= max) {
+          // The oldest mint still in the window must age out before there is room
+          const oldest = times[times.length - max];
+          return this.reject(scope, key, window, max, oldest + ms - now);
+        }
+      }
+    }
+
+    // Cooldown applies between mints for the same owner
+    if (owner && this.cooldownMs > 0) {
+      const times = this.events.get(`owner:${owner}`) || [];
+      const last = times[times.length - 1];
+
+      if (last !== undefined && now - last < this.cooldownMs) {
+        return this.reject('owner', `owner:${owner}`, 'cooldown', 1, last + this.cooldownMs - now);
+      }
+    }
+
+    return { allowed: true };
+  }
+
+  // Count a mint against every scope
+  record({ owner, trigger }, now = Date.now()) {
+    for (const [, key] of this.scopeKeys(owner, trigger)) {
+      if (!this.events.has(key)) {
+        this.events.set(key, []);
+      }
+      this.events.get(key).push(now);
+    }
+  }
+
+  // Forget a mint recorded at `time` (the mint was rolled back)
+  release({ owner, trigger }, time) {
+    for (const [, key] of this.scopeKeys(owner, trigger)) {
+      const times = this.events.get(key);
+      if (!times) continue;
+
+      const index = times.lastIndexOf(time);
+      if (index !== -1) {
+        times.splice(index, 1);
+      }
+      if (times.length === 0) {
+        this.events.delete(key);
+      }
+    }
+  }
+
+  // Check and record in one step; throws RateLimitError when over a limit
+  consume(request, now = Date.now()) {
+    const result = this.check(request, now);
+    if (!result.allowed) {
+      throw new RateLimitError(result);
+    }
+    this.record(request, now);
+    return result;
+  }
+
+  scopeKeys(owner, trigger) {
+    const keys = [['global', 'global']];
+    if (owner) keys.push(['owner', `owner:${owner}`]);
+    if (trigger) keys.push(['trigger', `trigger:${trigger}`]);
+    return keys;
+  }
+
+  reject(scope, key, window, limit, retryAfterMs) {
+    this.rejectedCount++;
+
+    return {
+      allowed: false,
+      code: 'RATE_LIMITED',
+      error: `Rate limit exceeded: ${key} (${window})`,
+      scope,
+      key,
+      window,
+      limit,
+      retry_after_ms: Math.max(0, Math.ceil(retryAfterMs))
+    };
+  }
+
+  // Drop mint times older than the longest window
+  prune(key, now) {
+    const times = this.events.get(key);
+    if (!times) return [];
+
+    const start = this.firstIndexAfter(times, now - WINDOWS.day.ms);
+    if (start > 0) {
+      times.splice(0, start);
+    }
+    if (times.length === 0) {
+      this.events.delete(key);
+    }
+    return times;
+  }
+
+  // Binary search for the first time strictly after cutoff
+  firstIndexAfter(times, cutoff) {
+    let low = 0;
+    let high = times.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (times[mid] > cutoff) {
+        high = mid;
+      } else {
+        low = mid + 1;
+      }
+    }
+    return low;
+  }
+
+  // Usage of each window for one scope key
+  getUsage(key, now = Date.now()) {
+    const times = this.prune(key, now);
+    const scope = key.split(':')[0];
+    const usage = {};
+
+    for (const [window, { ms, limit }] of Object.entries(WINDOWS)) {
+      usage[window] = {
+        used: times.length - this.firstIndexAfter(times, now - ms),
+        limit: this.limits[scope][limit]
+      };
+    }
+
+    return usage;
+  }
+
+  getStats(now = Date.now()) {
+    let owners = 0;
+    let triggers = 0;
+    const byTrigger = {};
+
+    for (const key of [...this.events.keys()]) {
+      if (key.startsWith('owner:')) owners++;
+      if (key.startsWith('trigger:')) {
+        triggers++;
+        byTrigger[key.substring('trigger:'.length)] = this.getUsage(key, now);
+      }
+    }
+
+    return {
+      global: this.getUsage('global', now),
+      by_trigger: byTrigger,
+      tracked_owners: owners,
+      tracked_triggers: triggers,
+      cooldown_seconds: this.cooldownMs / 1000,
+      rejected: this.rejectedCount
+    };
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MintRateLimiter;
+  module.exports.RateLimitError = RateLimitError;
+}
@@ -2,14 +2,26 @@
 // Universal token creation system for all token types
 
 class TokenFactory {
-  constructor(rules) {
+  // guard is the AbuseGuard shared with ALCMinter; it is configured from alc-config.json, not these rules.
+  // With immutableLedger, queries report each token's current owner and leave out burned tokens
+  constructor(rules, signer = null, rateLimiter = null, eventBus = null, guard = null, immutableLedger = null) {
+    this.signer = signer;
+    this.rateLimiter = rateLimiter;
+    this.eventBus = eventBus;
+    this.guard = guard;
+    this.immutableLedger = immutableLedger;
+    this.ledger = [];
+    this.applyConfig(rules);
+  }
+
+  // Swap in reloaded minting-rules.json
+  applyConfig(rules) {
     this.rules = rules;
     this.tokenTypes = rules.token_types;
-    this.ledger = [];
   }
 
-  // Create any type of token
-  createToken({ type, owner, value, metadata = {} }) {
+  // Create any type of token; inside a transaction, the event is held and the token can be reverted
+  createToken({ type, owner, value, metadata = {}, trigger }, { transaction = null } = {}) {
     const tokenType = this.tokenTypes[type];
     
     if (!tokenType) {
@@ -44,12 +56,47 @@ class TokenFactory {
       throw new Error('Token validation failed');
     }
 
+    // Refuse owners the abuse rules cooled down or blocked (throws AbuseError)
+    if (this.guard) {
+      this.guard.enforce({ owner, origin: metadata.origin, kind: 'mint', type });
+    }
+
+    // Enforce minting rate limits (throws RateLimitError)
+    const limitKey = { owner, trigger: trigger || metadata.trigger };
+    const recordedAt = Date.now();
+    if (this.rateLimiter) {
+      this.rateLimiter.consume(limitKey, recordedAt);
+    }
+
+    // Sign with the operator key so the token's origin can be verified
+    if (this.signer) {
+      token.signature = this.signer.sign(token);
+    }
+
     // Add to ledger
     this.ledger.push(token);
 
+    if (transaction) {
+      transaction.onRollback(() => this.revertToken(token, limitKey, recordedAt));
+      if (this.eventBus) {
+        transaction.publish(this.eventBus, 'token.minted', { token, source: 'token_factory' });
+      }
+    } else if (this.eventBus) {
+      this.eventBus.publish('token.minted', { token, source: 'token_factory' });
+    }
+
     return token;
   }
 
+  // Undo a token from a rolled back batch
+  revertToken(token, limitKey, recordedAt) {
+    this.ledger = this.ledger.filter(t => t !== token);
+
+    if (this.rateLimiter) {
+      this.rateLimiter.release(limitKey, recordedAt);
+    }
+  }
+
   // Batch create tokens
   batchCreate(requests) {
     const tokens = [];
@@ -60,7 +107,7 @@ class TokenFactory {
         const token = this.createToken(requests[i]);
         tokens.push(token);
       } catch (error) {
-        errors.push({ index: i, error: error.message });
+        errors.push({ index: i, error: error.message, code: error.code, retry_after_ms: error.retry_after_ms });
       }
     }
 
@@ -112,9 +159,23 @@ class TokenFactory {
     return Math.abs(hash).toString(36);
   }
 
+  // A minted token as it stands now: current owner from the ledger, or null once burned.
+  // Tokens not yet in the ledger are returned as minted
+  currentState(token) {
+    const state = this.immutableLedger ? this.immutableLedger.getCurrentState(token.id) : null;
+
+    if (!state) return token;
+    if (state.operation === 'burn') return null;
+    return state.owner === token.owner ? token : { ...token, owner: state.owner };
+  }
+
+  currentTokens() {
+    return this.ledger.map(t => this.currentState(t)).filter(Boolean);
+  }
+
   // Query tokens
   queryTokens({ owner, type, minValue, maxValue }) {
-    let results = [...this.ledger];
+    let results = this.currentTokens();
 
     if (owner) {
       results = results.filter(t => t.owner === owner);
@@ -135,14 +196,15 @@ class TokenFactory {
     return results;
   }
 
-  // Get token by ID
+  // Get token by ID (null once burned)
   getToken(id) {
-    return this.ledger.find(t => t.id === id);
+    const token = this.ledger.find(t => t.id === id);
+    return token ? this.currentState(token) : undefined;
   }
 
-  // Get total value by type
+  // Get total value by type, burned tokens excluded
   getTotalValue(type) {
-    return this.ledger
+    return this.currentTokens()
       .filter(t => t.type === type)
       .reduce((sum, t) => sum + t.value, 0);
   }
@@ -151,7 +213,8 @@ class TokenFactory {
   getStats() {
     const stats = {
       total_tokens: this.ledger.length,
-      by_type: {}
+      by_type: {},
+      rate_limits: this.rateLimiter ? this.rateLimiter.getStats() : null
     };
 
     for (const type in this.tokenTypes) {
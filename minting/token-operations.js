@@ -0,0 +1,137 @@
+// Token Operations
+// Transfers and burns, checked against the token type flags and recorded in the ledger
+
+class TokenOperations {
+  constructor(rules, immutableLedger, eventBus = null) {
+    this.immutableLedger = immutableLedger;
+    this.eventBus = eventBus;
+    this.applyConfig(rules);
+  }
+
+  // Swap in reloaded minting-rules.json
+  applyConfig(rules) {
+    this.rules = rules;
+    this.tokenTypes = rules.token_types;
+  }
+
+  // Move a token from its current owner to a new owner
+  transfer(tokenId, from, to) {
+    if (!to) {
+      return { success: false, error: 'Missing recipient' };
+    }
+
+    if (from === to) {
+      return { success: false, error: 'Cannot transfer a token to its current owner' };
+    }
+
+    const check = this.checkOwnership(tokenId, from);
+    if (!check.valid) {
+      return { success: false, error: check.error };
+    }
+
+    const tokenType = this.tokenTypes[check.state.token_type];
+    if (!tokenType || !tokenType.transferable) {
+      return { success: false, error: `Token type ${check.state.token_type} is not transferable` };
+    }
+
+    const entry = this.immutableLedger.recordTransfer(tokenId, from, to);
+
+    if (this.eventBus) {
+      this.eventBus.publish('token.transferred', {
+        token_id: tokenId,
+        token_type: entry.token_type,
+        value: entry.value,
+        from,
+        to,
+        ledger_index: entry.index
+      });
+    }
+
+    return {
+      success: true,
+      operation: 'transfer',
+      token_id: tokenId,
+      from,
+      to,
+      entry
+    };
+  }
+
+  // Destroy a token held by its owner
+  burn(tokenId, owner) {
+    const check = this.checkOwnership(tokenId, owner);
+    if (!check.valid) {
+      return { success: false, error: check.error };
+    }
+
+    const tokenType = this.tokenTypes[check.state.token_type];
+    if (!tokenType || !tokenType.burnable) {
+      return { success: false, error: `Token type ${check.state.token_type} is not burnable` };
+    }
+
+    const entry = this.immutableLedger.recordBurn(tokenId, owner);
+
+    if (this.eventBus) {
+      this.eventBus.publish('token.burned', {
+        token_id: tokenId,
+        token_type: entry.token_type,
+        value: entry.value,
+        owner,
+        ledger_index: entry.index
+      });
+    }
+
+    return {
+      success: true,
+      operation: 'burn',
+      token_id: tokenId,
+      owner,
+      value: entry.value,
+      entry
+    };
+  }
+
+  // The token must exist, be unburned and currently belong to owner
+  checkOwnership(tokenId, owner) {
+    const state = this.immutableLedger.getCurrentState(tokenId);
+
+    if (!state) {
+      return { valid: false, error: `Token not found: ${tokenId}` };
+    }
+
+    if (state.operation === 'burn') {
+      return { valid: false, error: `Token ${tokenId} has been burned` };
+    }
+
+    if (state.owner !== owner) {
+      return { valid: false, error: `Token ${tokenId} is not owned by ${owner}` };
+    }
+
+    return { valid: true, state };
+  }
+
+  // Current owner and full ownership trail for a token
+  getOwnershipHistory(tokenId) {
+    const history = this.immutableLedger.getHistory(tokenId);
+    const current = history[history.length - 1];
+
+    return {
+      token_id: tokenId,
+      current_owner: current && current.operation !== 'burn' ? current.owner : null,
+      burned: current?.operation === 'burn',
+      history: history.map(e => ({
+        index: e.index,
+        operation: e.operation,
+        owner: e.owner,
+        from: e.from,
+        to: e.to,
+        timestamp: e.timestamp
+      }))
+    };
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TokenOperations;
+}
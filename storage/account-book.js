@@ -0,0 +1,196 @@
+// Account Book
+// Per-owner balances and holdings derived from the immutable ledger, valued in USD when prices are known
+
+class AccountBook {
+  // prices (PriceStore) is optional; without it, or for types it has no price for, usd fields are null.
+  // A price older than the store's maxAgeMs is still used, but flagged stale
+  constructor(immutableLedger, prices = null) {
+    this.immutableLedger = immutableLedger;
+    this.prices = prices;
+    this.accounts = new Map(); // owner -> Map(token_id -> { type, value })
+    this.appliedEntries = 0;
+  }
+
+  // Replay ledger entries that arrived since the last call
+  sync() {
+    const ledger = this.immutableLedger.ledger;
+
+    // Ledger was replaced (e.g. restored from backup): rebuild from scratch
+    if (ledger.length < this.appliedEntries) {
+      this.accounts = new Map();
+      this.appliedEntries = 0;
+    }
+
+    for (let i = this.appliedEntries; i < ledger.length; i++) {
+      this.applyEntry(ledger[i]);
+    }
+
+    this.appliedEntries = ledger.length;
+  }
+
+  applyEntry(entry) {
+    const holding = { type: entry.token_type, value: entry.value };
+
+    switch (entry.operation) {
+      case 'mint':
+        this.getAccount(entry.owner).set(entry.token_id, holding);
+        break;
+
+      case 'transfer':
+        this.getAccount(entry.from).delete(entry.token_id);
+        this.getAccount(entry.to).set(entry.token_id, holding);
+        break;
+
+      case 'burn':
+        this.getAccount(entry.from).delete(entry.token_id);
+        break;
+
+      default:
+        throw new Error(`Unknown ledger operation: ${entry.operation}`);
+    }
+  }
+
+  getAccount(owner) {
+    if (!this.accounts.has(owner)) {
+      this.accounts.set(owner, new Map());
+    }
+    return this.accounts.get(owner);
+  }
+
+  // Price of one type at a time, or null when there is no price store or no price yet
+  priceOf(type, at) {
+    return this.prices ? this.prices.getPrice(type, at) : null;
+  }
+
+  // Balance of one token type for an owner
+  getBalance(owner, type, at = Date.now()) {
+    this.sync();
+
+    const balance = { owner, type, tokens: 0, value: 0, usd_price: null, value_usd: null, priced_at: null, stale: null };
+    const account = this.accounts.get(owner);
+
+    if (account) {
+      for (const holding of account.values()) {
+        if (holding.type === type) {
+          balance.tokens++;
+          balance.value += holding.value;
+        }
+      }
+    }
+
+    const price = this.priceOf(type, at);
+    if (price) {
+      balance.usd_price = price.usd;
+      balance.value_usd = balance.value * price.usd;
+      balance.priced_at = price.timestamp;
+      balance.stale = price.stale;
+    }
+
+    return balance;
+  }
+
+  // Everything an owner currently holds, grouped by type.
+  // total_value_usd covers the priced types only; the others are listed in unpriced_types,
+  // and priced types whose price is stale in stale_types
+  getHoldings(owner, at = Date.now()) {
+    this.sync();
+
+    const holdings = {
+      owner,
+      total_tokens: 0,
+      total_value: 0,
+      total_value_usd: 0,
+      unpriced_types: [],
+      stale_types: [],
+      by_type: {},
+      token_ids: []
+    };
+
+    const account = this.accounts.get(owner);
+    if (!account) {
+      return holdings;
+    }
+
+    for (const [tokenId, holding] of account) {
+      if (!holdings.by_type[holding.type]) {
+        holdings.by_type[holding.type] = { tokens: 0, value: 0 };
+      }
+      holdings.by_type[holding.type].tokens++;
+      holdings.by_type[holding.type].value += holding.value;
+      holdings.total_tokens++;
+      holdings.total_value += holding.value;
+      holdings.token_ids.push(tokenId);
+    }
+
+    this.addValuation(holdings, at);
+    return holdings;
+  }
+
+  // Price every by_type entry and total the USD value of the priced ones
+  addValuation(summary, at) {
+    for (const [type, entry] of Object.entries(summary.by_type)) {
+      const price = this.priceOf(type, at);
+
+      entry.usd_price = price ? price.usd : null;
+      entry.value_usd = price ? entry.value * price.usd : null;
+      entry.stale = price ? price.stale : null;
+
+      if (price) {
+        summary.total_value_usd += entry.value_usd;
+        if (price.stale) {
+          summary.stale_types.push(type);
+        }
+      } else {
+        summary.unpriced_types.push(type);
+      }
+    }
+  }
+
+  // Owners holding at least one token
+  getHolderCount() {
+    this.sync();
+
+    let holders = 0;
+    for (const account of this.accounts.values()) {
+      if (account.size > 0) holders++;
+    }
+    return holders;
+  }
+
+  // Value of everything held, across all owners
+  getValuation(at = Date.now()) {
+    this.sync();
+
+    const valuation = { total_value_usd: 0, unpriced_types: [], stale_types: [], by_type: {} };
+
+    for (const account of this.accounts.values()) {
+      for (const holding of account.values()) {
+        if (!valuation.by_type[holding.type]) {
+          valuation.by_type[holding.type] = { tokens: 0, value: 0 };
+        }
+        valuation.by_type[holding.type].tokens++;
+        valuation.by_type[holding.type].value += holding.value;
+      }
+    }
+
+    this.addValuation(valuation, at);
+    return valuation;
+  }
+
+  getStats() {
+    this.sync();
+
+    return {
+      total_holders: this.getHolderCount(),
+      total_accounts: this.accounts.size,
+      entries_applied: this.appliedEntries,
+      valuation: this.getValuation(),
+      prices: this.prices ? this.prices.getStats() : null
+    };
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AccountBook;
+}
@@ -0,0 +1,68 @@
+// Filesystem Adapter
+// Stores each token as a JSON file in a local directory
+
+const fs = require('fs');
+const path = require('path');
+const StorageAdapter = require('./storage-adapter');
+
+class FilesystemAdapter extends StorageAdapter {
+  constructor(location, { path: directory }) {
+    super(location);
+
+    if (!directory) {
+      throw new Error(`Storage location ${location}: filesystem adapter needs a path`);
+    }
+
+    this.directory = path.resolve(directory);
+    fs.mkdirSync(this.directory, { recursive: true });
+  }
+
+  fileFor(tokenId) {
+    return path.join(this.directory, `${encodeURIComponent(tokenId)}.json`);
+  }
+
+  async write(token) {
+    const file = this.fileFor(token.id);
+    const content = JSON.stringify(token, null, 2);
+
+    try {
+      // 'wx' fails if the file exists, so a stored token is never overwritten
+      await fs.promises.writeFile(file, content, { flag: 'wx' });
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+      this.assertUnchanged(JSON.parse(await fs.promises.readFile(file, 'utf8')), JSON.parse(content));
+    }
+
+    return this.receipt(`FS_${path.basename(file)}`, { path: file });
+  }
+
+  async read(tokenId) {
+    try {
+      return JSON.parse(await fs.promises.readFile(this.fileFor(tokenId), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async exists(tokenId) {
+    try {
+      await fs.promises.access(this.fileFor(tokenId));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async list() {
+    const files = await fs.promises.readdir(this.directory);
+    return files
+      .filter(f => f.endsWith('.json'))
+      .map(f => decodeURIComponent(f.slice(0, -'.json'.length)));
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = FilesystemAdapter;
+}
@@ -0,0 +1,209 @@
+// Git Adapter
+// Commits each token (or batch of tokens) into a local git repository
+
+const { execFile } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const StorageAdapter = require('./storage-adapter');
+const { canonicalize, sha256 } = require('../hash-utils');
+
+const TOKEN_DIR = 'tokens';
+
+class GitAdapter extends StorageAdapter {
+  constructor(location, { path: repoPath, author_name, author_email }) {
+    super(location);
+
+    if (!repoPath) {
+      throw new Error(`Storage location ${location}: git adapter needs a path`);
+    }
+
+    this.repoPath = path.resolve(repoPath);
+    this.authorName = author_name || 'Infinity Token Mint';
+    this.authorEmail = author_email || 'mint@infinity.local';
+    this.commits = new Map(); // token_id -> commit sha
+    this.queue = Promise.resolve();
+    this.ready = null;
+    this.closed = false;
+  }
+
+  // Run git in the repository; resolves with trimmed stdout
+  git(args) {
+    const identity = ['-c', `user.name=${this.authorName}`, '-c', `user.email=${this.authorEmail}`];
+
+    return new Promise((resolve, reject) => {
+      execFile('git', [...identity, ...args], { cwd: this.repoPath }, (error, stdout, stderr) => {
+        if (error) {
+          reject(new Error(`git ${args[0]} failed: ${(stderr || error.message).trim()}`));
+        } else {
+          resolve(stdout.trim());
+        }
+      });
+    });
+  }
+
+  // git commands touch one index, so they run one at a time
+  serialize(task) {
+    if (this.closed) {
+      return Promise.reject(new Error(`Storage location ${this.location}: git adapter is closed`));
+    }
+
+    const run = this.queue.then(task, task);
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  init() {
+    if (!this.ready) {
+      this.ready = (async () => {
+        fs.mkdirSync(path.join(this.repoPath, TOKEN_DIR), { recursive: true });
+        if (!fs.existsSync(path.join(this.repoPath, '.git'))) {
+          await this.git(['init', '--quiet']);
+        }
+      })();
+    }
+    return this.ready;
+  }
+
+  relativePath(tokenId) {
+    return `${TOKEN_DIR}/${encodeURIComponent(tokenId)}.json`;
+  }
+
+  async write(token) {
+    const [receipt] = await this.writeBatch([token]);
+    return receipt;
+  }
+
+  // One commit for the whole batch; tokens already committed are skipped
+  writeBatch(tokens) {
+    return this.serialize(async () => {
+      await this.init();
+
+      const added = [];
+      const receipts = [];
+
+      for (const token of tokens) {
+        const existing = await this.readAtHead(token.id);
+        if (existing) {
+          this.assertUnchanged(existing, JSON.parse(JSON.stringify(token)));
+          continue;
+        }
+
+        const file = this.relativePath(token.id);
+        fs.writeFileSync(path.join(this.repoPath, file), `${JSON.stringify(token, null, 2)}\n`);
+        added.push({ token, file });
+      }
+
+      if (added.length > 0) {
+        await this.git(['add', '--', ...added.map(a => a.file)]);
+        await this.git(['commit', '--quiet', '-m', this.commitMessage(added.map(a => a.token))]);
+        const sha = await this.git(['rev-parse', 'HEAD']);
+        added.forEach(a => this.commits.set(a.token.id, sha));
+      }
+
+      for (const token of tokens) {
+        const sha = this.commits.get(token.id) || await this.findCommit(token.id);
+        this.commits.set(token.id, sha);
+        receipts.push(this.receipt(`GIT_${sha}`, { commit_hash: sha, path: this.relativePath(token.id) }));
+      }
+
+      return receipts;
+    });
+  }
+
+  // Subject plus one trailer block per token, so history is greppable by token id
+  commitMessage(tokens) {
+    const subject = tokens.length === 1
+      ? `mint: ${tokens[0].type} token ${tokens[0].id}`
+      : `mint: batch of ${tokens.length} tokens`;
+
+    const blocks = tokens.map(token => [
+      `Token-Id: ${token.id}`,
+      `Token-Type: ${token.type}`,
+      `Owner: ${token.owner}`,
+      `Value: ${token.value}`,
+      `Content-SHA256: ${sha256(canonicalize(token))}`
+    ].join('\n'));
+
+    return `${subject}\n\n${blocks.join('\n\n')}\n`;
+  }
+
+  // Commit that added a token, from memory or from the history itself
+  async findCommit(tokenId) {
+    if (this.commits.has(tokenId)) {
+      return this.commits.get(tokenId);
+    }
+
+    const sha = await this.git([
+      'log', '--format=%H', '--diff-filter=A', '-n', '1', '--', this.relativePath(tokenId)
+    ]).catch(() => '');
+
+    return sha || null;
+  }
+
+  async readAtHead(tokenId) {
+    return this.readAt('HEAD', tokenId);
+  }
+
+  async readAt(commit, tokenId) {
+    try {
+      return JSON.parse(await this.git(['show', `${commit}:${this.relativePath(tokenId)}`]));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async read(tokenId) {
+    await this.init();
+    const sha = await this.findCommit(tokenId);
+    return sha ? this.readAt(sha, tokenId) : null;
+  }
+
+  // Present means: the commit that recorded it still holds the file, and HEAD still matches
+  async exists(tokenId) {
+    const verification = await this.verify(tokenId);
+    return verification.present;
+  }
+
+  async verify(tokenId) {
+    await this.init();
+
+    const sha = await this.findCommit(tokenId);
+    if (!sha) {
+      return { token_id: tokenId, present: false, error: 'No commit recorded for token' };
+    }
+
+    const atCommit = await this.readAt(sha, tokenId);
+    const atHead = await this.readAtHead(tokenId);
+
+    if (!atCommit) {
+      return { token_id: tokenId, commit_hash: sha, present: false, error: 'Token missing at commit' };
+    }
+
+    if (!atHead || canonicalize(atHead) !== canonicalize(atCommit)) {
+      return { token_id: tokenId, commit_hash: sha, present: false, error: 'Token changed or removed since commit' };
+    }
+
+    return { token_id: tokenId, commit_hash: sha, present: true };
+  }
+
+  // Let queued commands finish; nothing new is queued afterwards
+  async close() {
+    this.closed = true;
+    await this.queue;
+  }
+
+  async list() {
+    await this.init();
+    const output = await this.git(['ls-tree', '--name-only', 'HEAD', `${TOKEN_DIR}/`]).catch(() => '');
+
+    return output
+      .split('\n')
+      .filter(f => f.endsWith('.json'))
+      .map(f => decodeURIComponent(path.basename(f, '.json')));
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = GitAdapter;
+}
@@ -0,0 +1,41 @@
+// Memory Adapter
+// In-process storage location, for tests and locations without durable storage
+
+const StorageAdapter = require('./storage-adapter');
+
+class MemoryAdapter extends StorageAdapter {
+  constructor(location) {
+    super(location);
+    this.tokens = new Map();
+  }
+
+  async write(token) {
+    const copy = JSON.parse(JSON.stringify(token));
+
+    if (this.tokens.has(token.id)) {
+      this.assertUnchanged(this.tokens.get(token.id), copy);
+    } else {
+      this.tokens.set(token.id, copy);
+    }
+
+    return this.receipt(`MEM_${this.location}_${token.id}`);
+  }
+
+  async read(tokenId) {
+    const token = this.tokens.get(tokenId);
+    return token ? JSON.parse(JSON.stringify(token)) : null;
+  }
+
+  async exists(tokenId) {
+    return this.tokens.has(tokenId);
+  }
+
+  async list() {
+    return [...this.tokens.keys()];
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MemoryAdapter;
+}
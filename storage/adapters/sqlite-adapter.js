@@ -0,0 +1,81 @@
+// SQLite Adapter
+// Stores tokens in a local SQLite database (node:sqlite, Node 22.5+)
+
+const fs = require('fs');
+const path = require('path');
+const StorageAdapter = require('./storage-adapter');
+
+class SqliteAdapter extends StorageAdapter {
+  constructor(location, { path: dbPath }) {
+    super(location);
+
+    if (!dbPath) {
+      throw new Error(`Storage location ${location}: sqlite adapter needs a path`);
+    }
+
+    let sqlite;
+    try {
+      sqlite = require('node:sqlite');
+    } catch (error) {
+      throw new Error(`Storage location ${location}: sqlite adapter needs Node 22.5+ (node:sqlite)`);
+    }
+
+    this.dbPath = path.resolve(dbPath);
+    fs.mkdirSync(path.dirname(this.dbPath), { recursive: true });
+
+    this.db = new sqlite.DatabaseSync(this.dbPath);
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS tokens (
+        id TEXT PRIMARY KEY,
+        type TEXT,
+        owner TEXT,
+        value REAL,
+        data TEXT NOT NULL,
+        written_at TEXT NOT NULL
+      )
+    `);
+
+    this.insertStatement = this.db.prepare(
+      'INSERT INTO tokens (id, type, owner, value, data, written_at) VALUES (?, ?, ?, ?, ?, ?)'
+    );
+    this.selectStatement = this.db.prepare('SELECT data FROM tokens WHERE id = ?');
+    this.listStatement = this.db.prepare('SELECT id FROM tokens ORDER BY rowid');
+  }
+
+  async write(token) {
+    const existing = await this.read(token.id);
+
+    if (existing) {
+      this.assertUnchanged(existing, JSON.parse(JSON.stringify(token)));
+    } else {
+      this.insertStatement.run(
+        token.id,
+        token.type ?? null,
+        token.owner ?? null,
+        token.value ?? null,
+        JSON.stringify(token),
+        new Date().toISOString()
+      );
+    }
+
+    return this.receipt(`SQLITE_${token.id}`, { database: this.dbPath });
+  }
+
+  async read(tokenId) {
+    const row = this.selectStatement.get(tokenId);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  async list() {
+    return this.listStatement.all().map(row => row.id);
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SqliteAdapter;
+}
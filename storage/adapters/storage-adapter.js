@@ -0,0 +1,55 @@
+// Storage Adapter
+// Interface every storage location implements: write, read, exists, list
+
+class StorageAdapter {
+  constructor(location) {
+    this.location = location;
+  }
+
+  // Store a token; returns a receipt ({ location, timestamp, backup_id, stored })
+  async write(token) {
+    throw new Error(`${this.constructor.name} does not implement write()`);
+  }
+
+  // Stored token, or null
+  async read(tokenId) {
+    throw new Error(`${this.constructor.name} does not implement read()`);
+  }
+
+  async exists(tokenId) {
+    return (await this.read(tokenId)) !== null;
+  }
+
+  // Adapters that can prove more than existence may also implement
+  // verify(tokenId) -> { token_id, present, ... }
+
+  // Ids of every stored token
+  async list() {
+    throw new Error(`${this.constructor.name} does not implement list()`);
+  }
+
+  // Stored tokens are immutable: rewriting identical content is fine, changing it is not
+  assertUnchanged(existing, token) {
+    if (JSON.stringify(existing) !== JSON.stringify(token)) {
+      throw new Error(`Token ${token.id} already stored in ${this.location} with different content`);
+    }
+  }
+
+  // Release handles or queued work; adapters without any need not override
+  async close() {}
+
+  receipt(backupId, extra = {}) {
+    return {
+      location: this.location,
+      timestamp: new Date().toISOString(),
+      backup_id: backupId,
+      stored: true,
+      ...extra
+    };
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = StorageAdapter;
+}
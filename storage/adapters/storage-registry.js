@@ -0,0 +1,99 @@
+// Storage Registry
+// Maps storage location names to adapter instances built from config
+
+const MemoryAdapter = require('./memory-adapter');
+const FilesystemAdapter = require('./filesystem-adapter');
+const SqliteAdapter = require('./sqlite-adapter');
+const GitAdapter = require('./git-adapter');
+
+class StorageRegistry {
+  constructor() {
+    this.adapterTypes = new Map([
+      ['memory', (location) => new MemoryAdapter(location)],
+      ['filesystem', (location, options) => new FilesystemAdapter(location, options)],
+      ['sqlite', (location, options) => new SqliteAdapter(location, options)],
+      ['git', (location, options) => new GitAdapter(location, options)]
+    ]);
+    this.locations = new Map(); // location -> { spec, adapter }
+  }
+
+  // Make a new adapter type available to config ("adapter": name)
+  registerAdapterType(name, factory) {
+    this.adapterTypes.set(name, factory);
+  }
+
+  // Build adapters for every location; locations without a spec use memory
+  // Builds the full set first so a bad spec leaves the current adapters untouched
+  configure(storageLocations, adapterSpecs = {}) {
+    const next = new Map();
+
+    for (const location of storageLocations) {
+      const spec = adapterSpecs[location] || { adapter: 'memory' };
+      const current = this.locations.get(location);
+
+      // Keep the running adapter (and anything it holds) when its spec is unchanged
+      if (current && JSON.stringify(current.spec) === JSON.stringify(spec)) {
+        next.set(location, current);
+        continue;
+      }
+
+      const factory = this.adapterTypes.get(spec.adapter);
+      if (!factory) {
+        throw new Error(`Storage location ${location}: unknown adapter type "${spec.adapter}"`);
+      }
+
+      const { adapter, ...options } = spec;
+      next.set(location, { spec, adapter: factory(location, options) });
+    }
+
+    // Adapters that were dropped or replaced are closed once the new set is in place
+    const previous = this.locations;
+    this.locations = next;
+    for (const [location, entry] of previous) {
+      if (next.get(location) !== entry) {
+        this.closeAdapter(location, entry.adapter);
+      }
+    }
+
+    return this.describe();
+  }
+
+  // Close every adapter; the registry is empty afterwards
+  async close() {
+    const closing = [...this.locations].map(([location, { adapter }]) => this.closeAdapter(location, adapter));
+    this.locations = new Map();
+    await Promise.all(closing);
+  }
+
+  // A failed close is logged, never thrown: the adapter is out of use either way
+  closeAdapter(location, adapter) {
+    return Promise.resolve()
+      .then(() => adapter.close())
+      .catch(error => console.warn(`⚠️ Failed to close storage adapter for ${location}:`, error.message));
+  }
+
+  get(location) {
+    const entry = this.locations.get(location);
+    if (!entry) {
+      throw new Error(`Unknown storage location: ${location}`);
+    }
+    return entry.adapter;
+  }
+
+  names() {
+    return [...this.locations.keys()];
+  }
+
+  describe() {
+    const description = {};
+    for (const [location, { spec }] of this.locations) {
+      description[location] = spec.adapter;
+    }
+    return description;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = StorageRegistry;
+}
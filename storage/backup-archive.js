@@ -0,0 +1,245 @@
+// Backup Archive
+// Compressed, AES-256-GCM encrypted backup files in a local directory, indexed by a manifest
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+const zlib = require('zlib');
+const { sha256 } = require('./hash-utils');
+
+const COMPRESSION = {
+  gzip: { compress: promisify(zlib.gzip), decompress: promisify(zlib.gunzip) },
+  brotli: { compress: promisify(zlib.brotliCompress), decompress: promisify(zlib.brotliDecompress) },
+  none: { compress: async data => data, decompress: async data => data }
+};
+
+const MANIFEST = 'manifest.json';
+const EXTENSION = '.backup';
+
+class BackupArchive {
+  // encryptionKey: 32 bytes as a Buffer, or a 64-char hex / base64 string
+  constructor({ directory, encryptionKey, compression = 'gzip' }) {
+    if (!directory) {
+      throw new Error('Backup archive needs a directory');
+    }
+    if (!COMPRESSION[compression]) {
+      throw new Error(`Unknown backup compression: ${compression}`);
+    }
+
+    this.directory = path.resolve(directory);
+    this.key = BackupArchive.parseKey(encryptionKey);
+    this.keyId = BackupArchive.keyIdFor(this.key);
+    this.compression = compression;
+
+    fs.mkdirSync(this.directory, { recursive: true, mode: 0o700 });
+  }
+
+  // Key from INFINITY_BACKUP_KEY
+  static fromEnv(directory, env = process.env, options = {}) {
+    return new BackupArchive({ ...options, directory, encryptionKey: env.INFINITY_BACKUP_KEY });
+  }
+
+  static generateKey() {
+    return crypto.randomBytes(32).toString('hex');
+  }
+
+  static parseKey(encryptionKey) {
+    if (!encryptionKey) {
+      throw new Error('Backup archive needs a 32-byte encryption key');
+    }
+
+    let key = encryptionKey;
+    if (typeof key === 'string') {
+      key = /^[0-9a-f]{64}$/i.test(key) ? Buffer.from(key, 'hex') : Buffer.from(key, 'base64');
+    }
+
+    if (!Buffer.isBuffer(key) || key.length !== 32) {
+      throw new Error('Backup encryption key must be 32 bytes (AES-256)');
+    }
+
+    return key;
+  }
+
+  // Identifies the key without revealing it, so a wrong key fails with a clear error
+  static keyIdFor(key) {
+    return `aes256:${crypto.createHash('sha256').update(key).digest('hex').substring(0, 16)}`;
+  }
+
+  fileFor(backupId) {
+    return path.join(this.directory, `${encodeURIComponent(backupId)}${EXTENSION}`);
+  }
+
+  // File layout: one JSON header line, then the ciphertext. The header is authenticated
+  // as GCM additional data, so it can't be swapped between backups.
+  async write(record, data) {
+    const plaintext = Buffer.from(JSON.stringify(data));
+    const compressed = await COMPRESSION[this.compression].compress(plaintext);
+    const iv = crypto.randomBytes(12);
+
+    const header = {
+      ...record,
+      format: 1,
+      compression: this.compression,
+      encryption: 'aes-256-gcm',
+      key_id: this.keyId,
+      iv: iv.toString('base64'),
+      original_size: plaintext.length,
+      compressed_size: compressed.length
+    };
+    const aad = Buffer.from(JSON.stringify(header));
+
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.key, iv);
+    cipher.setAAD(aad);
+    const ciphertext = Buffer.concat([cipher.update(compressed), cipher.final()]);
+    const tag = cipher.getAuthTag();
+
+    const file = this.fileFor(record.backup_id);
+    const content = Buffer.concat([aad, Buffer.from('\n'), tag, ciphertext]);
+    await this.writeDurably(file, content);
+
+    return {
+      file: path.basename(file),
+      size: content.length,
+      checksum: sha256(content),
+      original_size: plaintext.length,
+      compression: this.compression,
+      key_id: this.keyId
+    };
+  }
+
+  async read(record) {
+    const content = await fs.promises.readFile(this.fileFor(record.backup_id));
+    const newline = content.indexOf(0x0a);
+    if (newline === -1) {
+      throw new Error(`Backup ${record.backup_id}: archive header is missing`);
+    }
+
+    const aad = content.subarray(0, newline);
+    const header = JSON.parse(aad.toString('utf8'));
+
+    if (header.backup_id !== record.backup_id) {
+      throw new Error(`Backup ${record.backup_id}: archive holds ${header.backup_id}`);
+    }
+    if (header.key_id !== this.keyId) {
+      throw new Error(`Backup ${record.backup_id}: encrypted with key ${header.key_id}, not ${this.keyId}`);
+    }
+    if (!COMPRESSION[header.compression]) {
+      throw new Error(`Backup ${record.backup_id}: unknown compression ${header.compression}`);
+    }
+
+    const tag = content.subarray(newline + 1, newline + 17);
+    const ciphertext = content.subarray(newline + 17);
+
+    let compressed;
+    try {
+      const decipher = crypto.createDecipheriv('aes-256-gcm', this.key, Buffer.from(header.iv, 'base64'));
+      decipher.setAAD(aad);
+      decipher.setAuthTag(tag);
+      compressed = Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+    } catch (error) {
+      throw new Error(`Backup ${record.backup_id}: archive failed authentication`);
+    }
+
+    const plaintext = await COMPRESSION[header.compression].decompress(compressed);
+    return JSON.parse(plaintext.toString('utf8'));
+  }
+
+  // SHA-256 of the archive bytes as they are on disk now
+  async checksum(record) {
+    return sha256(await fs.promises.readFile(this.fileFor(record.backup_id)));
+  }
+
+  async remove(record) {
+    await fs.promises.rm(this.fileFor(record.backup_id), { force: true });
+  }
+
+  // Backup records from the manifest, plus any archive written after the last manifest save
+  loadManifest() {
+    const manifestFile = path.join(this.directory, MANIFEST);
+    const records = fs.existsSync(manifestFile)
+      ? JSON.parse(fs.readFileSync(manifestFile, 'utf8')).backups
+      : [];
+
+    const known = new Set(records.map(r => r.backup_id));
+
+    for (const file of fs.readdirSync(this.directory)) {
+      if (!file.endsWith(EXTENSION)) continue;
+
+      const backupId = decodeURIComponent(file.slice(0, -EXTENSION.length));
+      if (known.has(backupId)) continue;
+
+      const header = this.readHeader(path.join(this.directory, file));
+      if (header) {
+        const { format, iv, compressed_size, ...record } = header;
+        records.push({
+          ...record,
+          file,
+          size: fs.statSync(path.join(this.directory, file)).size,
+          compressed: record.compression !== 'none',
+          encrypted: true
+        });
+      }
+    }
+
+    // Archives deleted by hand are dropped from the index
+    return records
+      .filter(r => fs.existsSync(this.fileFor(r.backup_id)))
+      .sort((a, b) => a.created_at - b.created_at);
+  }
+
+  readHeader(file) {
+    const fd = fs.openSync(file, 'r');
+    try {
+      const buffer = Buffer.alloc(64 * 1024);
+      const bytes = fs.readSync(fd, buffer, 0, buffer.length, 0);
+      const newline = buffer.subarray(0, bytes).indexOf(0x0a);
+      return newline === -1 ? null : JSON.parse(buffer.subarray(0, newline).toString('utf8'));
+    } catch (error) {
+      console.warn(`⚠️ Skipping unreadable backup archive ${file}: ${error.message}`);
+      return null;
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  async saveManifest(records) {
+    const manifest = {
+      version: '1.0.0',
+      updated_at: new Date().toISOString(),
+      key_id: this.keyId,
+      backups: records
+    };
+
+    await this.writeDurably(path.join(this.directory, MANIFEST), JSON.stringify(manifest, null, 2));
+  }
+
+  // Write to a temp file, fsync, then rename, so a crash never leaves a half-written file
+  async writeDurably(file, content) {
+    const temp = `${file}.tmp`;
+    const handle = await fs.promises.open(temp, 'w', 0o600);
+
+    try {
+      await handle.writeFile(content);
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+
+    await fs.promises.rename(temp, file);
+  }
+
+  getStats() {
+    return {
+      directory: this.directory,
+      compression: this.compression,
+      encryption: 'aes-256-gcm',
+      key_id: this.keyId
+    };
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = BackupArchive;
+}
@@ -1,74 +1,176 @@
 // Backup System
 // Automated backup and recovery for token data
 
+const ImmutableLedger = require('./immutable-ledger');
+const { MERKLE_BATCH_SIZE } = ImmutableLedger;
+const { sha256 } = require('./hash-utils');
+const { buildMerkleTree, getMerkleRoot } = require('./merkle-tree');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Grandfather-father-son tiers: how many hours, days and weeks keep a full backup
+const DEFAULT_RETENTION = { hourly: 24, daily: 7, weekly: 4 };
+
+// Bucket a backup time falls in for each tier (UTC; weeks start on Monday)
+const RETENTION_BUCKETS = {
+  hourly: time => Math.floor(time / HOUR_MS),
+  daily: time => Math.floor(time / DAY_MS),
+  weekly: time => Math.floor((Math.floor(time / DAY_MS) + 3) / 7)
+};
+
 class BackupSystem {
-  constructor(multiLocationWriter, immutableLedger) {
+  // Without an archive (see backup-archive.js) backups are kept in memory only
+  constructor(multiLocationWriter, immutableLedger, { archive = null, retention = DEFAULT_RETENTION } = {}) {
     this.multiLocationWriter = multiLocationWriter;
     this.immutableLedger = immutableLedger;
-    this.backups = [];
+    this.archive = archive;
+    this.retention = { ...DEFAULT_RETENTION, ...retention };
+    this.backups = archive ? archive.loadManifest() : [];
     this.autoBackupInterval = null;
+    this.lastAutoBackup = null;
+    this.autoBackupFailures = 0;
+    this.verifyInterval = null;
+    this.lastRetention = null;
+    this.verifications = new Map(); // backup_id -> last verification summary
+    this.lastVerificationRun = null;
+    this.verificationRunFailures = 0;
   }
 
   // Create full backup
   async createFullBackup() {
-    const backup = {
-      backup_id: this.generateBackupId(),
-      timestamp: new Date().toISOString(),
-      type: 'full',
-      data: {
-        ledger: this.immutableLedger.exportLedger(),
-        write_stats: this.multiLocationWriter.getWriteStats()
-      },
-      size: 0,
-      compressed: false
-    };
-
-    // Calculate size (simulated)
-    backup.size = JSON.stringify(backup.data).length;
-
-    this.backups.push(backup);
+    const backup = this.newBackupRecord('full');
 
-    // Trim to last 50 backups
-    if (this.backups.length > 50) {
-      this.backups = this.backups.slice(-50);
-    }
+    const data = {
+      // Snapshot, so later appends and sealing don't leak into the backup
+      ledger: JSON.parse(JSON.stringify(this.immutableLedger.exportLedger())),
+      write_stats: this.multiLocationWriter.getWriteStats()
+    };
+    backup.entries = data.ledger.ledger.length;
 
-    return backup;
+    return this.storeBackup(backup, data);
   }
 
   // Create incremental backup
   async createIncrementalBackup(sinceIndex = 0) {
-    const newEntries = this.immutableLedger.ledger.slice(sinceIndex);
+    const backup = this.newBackupRecord('incremental');
+    backup.since_index = sinceIndex;
+
+    // Roots sealed since sinceIndex travel with the entries they cover
+    const newRoots = this.immutableLedger.merkleRoots.filter(root => root.batch_end >= sinceIndex);
 
-    const backup = {
+    const data = {
+      entries: JSON.parse(JSON.stringify(this.immutableLedger.ledger.slice(sinceIndex))),
+      merkle_roots: JSON.parse(JSON.stringify(newRoots))
+    };
+    backup.entries = data.entries.length;
+
+    return this.storeBackup(backup, data);
+  }
+
+  newBackupRecord(type) {
+    return {
       backup_id: this.generateBackupId(),
       timestamp: new Date().toISOString(),
-      type: 'incremental',
-      since_index: sinceIndex,
-      data: {
-        entries: newEntries
-      },
-      size: 0,
-      compressed: false
+      created_at: Date.now(),
+      type
     };
+  }
 
-    backup.size = JSON.stringify(backup.data).length;
+  // Archive (compressed + encrypted) when a directory is configured, otherwise keep in memory
+  async storeBackup(backup, data) {
+    if (this.archive) {
+      const written = await this.archive.write(backup, data);
+      Object.assign(backup, written, { compressed: written.compression !== 'none', encrypted: true });
+    } else {
+      const serialized = JSON.stringify(data);
+      const size = Buffer.byteLength(serialized);
+      Object.assign(backup, {
+        data,
+        size,
+        checksum: sha256(serialized),
+        original_size: size,
+        compressed: false,
+        encrypted: false
+      });
+    }
 
     this.backups.push(backup);
+    await this.applyRetention();
 
     return backup;
   }
 
+  // A backup's contents, decrypted from its archive if needed
+  async getBackupData(backup) {
+    return backup.data || this.archive.read(backup);
+  }
+
+  // Grandfather-father-son retention: keep the newest full backup in each of the most
+  // recent `hourly` hours, `daily` days and `weekly` weeks that have one. Incrementals are
+  // kept exactly as long as the full backup they build on.
+  async applyRetention(policy = this.retention) {
+    const fulls = this.backups
+      .filter(b => b.type === 'full')
+      .sort((a, b) => b.created_at - a.created_at);
+
+    const keep = new Set(fulls.slice(0, 1).map(b => b.backup_id));
+
+    for (const [tier, count] of Object.entries(policy)) {
+      const bucketOf = RETENTION_BUCKETS[tier];
+      if (!bucketOf) {
+        throw new Error(`Unknown retention tier: ${tier}`);
+      }
+
+      const buckets = new Set();
+      for (const backup of fulls) {
+        const bucket = bucketOf(backup.created_at);
+        if (buckets.has(bucket)) continue;
+        if (buckets.size >= count) break;
+
+        buckets.add(bucket);
+        keep.add(backup.backup_id);
+      }
+    }
+
+    // Incrementals taken before any full backup are kept until one exists
+    let base = null;
+    const removed = [];
+    const kept = this.backups.filter(backup => {
+      if (backup.type === 'full') base = backup;
+
+      const retained = base ? keep.has(base.backup_id) : fulls.length === 0;
+      if (!retained) removed.push(backup);
+      return retained;
+    });
+
+    this.backups = kept;
+    removed.forEach(b => this.verifications.delete(b.backup_id));
+
+    // Manifest first: a crash before the deletes only leaves extra archives behind
+    if (this.archive) {
+      await this.archive.saveManifest(this.backups.map(({ data, ...record }) => record));
+      for (const backup of removed) {
+        await this.archive.remove(backup);
+      }
+    }
+
+    this.lastRetention = {
+      timestamp: new Date().toISOString(),
+      kept: kept.length,
+      removed: removed.map(b => b.backup_id)
+    };
+
+    return { removed: removed.length, kept: kept.length, removed_ids: this.lastRetention.removed };
+  }
+
   // Start automatic backups
   startAutoBackup(intervalMinutes = 60) {
     if (this.autoBackupInterval) {
       clearInterval(this.autoBackupInterval);
     }
 
-    this.autoBackupInterval = setInterval(async () => {
-      await this.createFullBackup();
-      console.log('🗄️ Auto-backup completed:', new Date().toISOString());
-    }, intervalMinutes * 60 * 1000);
+    this.autoBackupInterval = setInterval(() => this.runAutoBackup(), intervalMinutes * 60 * 1000);
 
     return {
       enabled: true,
@@ -76,6 +178,22 @@ class BackupSystem {
     };
   }
 
+  // One scheduled backup. A failure (full disk, bad key) is logged and kept for getBackupStats
+  // rather than thrown, since nothing awaits the timer
+  async runAutoBackup() {
+    try {
+      const backup = await this.createFullBackup();
+      this.lastAutoBackup = { timestamp: new Date().toISOString(), success: true, backup_id: backup.backup_id };
+      console.log('🗄️ Auto-backup completed:', this.lastAutoBackup.timestamp);
+    } catch (error) {
+      this.autoBackupFailures++;
+      this.lastAutoBackup = { timestamp: new Date().toISOString(), success: false, error: error.message };
+      console.warn('⚠️ Auto-backup failed:', error.message);
+    }
+
+    return this.lastAutoBackup;
+  }
+
   // Stop automatic backups
   stopAutoBackup() {
     if (this.autoBackupInterval) {
@@ -86,57 +204,381 @@ class BackupSystem {
     return { enabled: false };
   }
 
-  // Restore from backup
-  async restoreFromBackup(backupId) {
-    const backup = this.backups.find(b => b.backup_id === backupId);
+  // Restore from backup: rebuild a ledger from the nearest full backup, then replay the
+  // incrementals up to backupId, stopping at toIndex (inclusive) or toTimestamp.
+  // Every entry must link onto the one before it; any broken link refuses the restore.
+  async restoreFromBackup(backupId, { toIndex = Infinity, toTimestamp = null, filePath = null } = {}) {
+    const chain = this.getRestoreChain(backupId);
+    const cutoff = toTimestamp ? new Date(toTimestamp).getTime() : Infinity;
 
-    if (!backup) {
+    if (Number.isNaN(cutoff)) {
+      throw new Error(`Invalid restore timestamp: ${toTimestamp}`);
+    }
+
+    // Rebuild in memory first so a refused restore never touches disk
+    const restored = new ImmutableLedger();
+    const steps = [];
+    let reachedTarget = false;
+
+    for (const backup of chain) {
+      if (reachedTarget) break;
+
+      const data = await this.getBackupData(backup);
+      const step = this.applyBackup(restored, backup, data, { toIndex, cutoff });
+      steps.push(step);
+      reachedTarget = step.reached_target;
+    }
+
+    const rebuilt = steps.reduce((sum, step) => sum + step.merkle_roots_rebuilt, 0)
+      + restored.sealCompleteBatches().length;
+
+    const merkle = restored.verifyMerkleRoots();
+    if (!merkle.valid) {
+      throw new Error(`Restore refused: ${merkle.errors[0].error}`);
+    }
+
+    const ledger = filePath ? this.persistRestoredLedger(restored, filePath) : restored;
+    const last = ledger.ledger[ledger.ledger.length - 1];
+
+    return {
+      success: true,
+      backup_id: backupId,
+      type: chain[chain.length - 1].type,
+      ledger,
+      chain: steps,
+      entries_restored: ledger.ledger.length,
+      restored_to_index: last ? last.index : null,
+      restored_to_timestamp: last ? last.timestamp : null,
+      head_hash: last ? last.hash : '0',
+      merkle_roots_restored: ledger.merkleRoots.length - rebuilt,
+      merkle_roots_rebuilt: rebuilt,
+      storage: filePath ? ledger.file.getStats() : null
+    };
+  }
+
+  // The full backup a restore starts from, followed by each incremental up to backupId
+  getRestoreChain(backupId) {
+    const position = this.backups.findIndex(b => b.backup_id === backupId);
+
+    if (position === -1) {
       throw new Error(`Backup not found: ${backupId}`);
     }
 
-    if (backup.type === 'full') {
-      // Restore full backup
-      return {
-        success: true,
-        backup_id: backupId,
-        type: 'full',
-        entries_restored: backup.data.ledger.ledger.length,
-        message: 'Full backup restored'
-      };
-    } else {
-      // Restore incremental backup
-      return {
-        success: true,
-        backup_id: backupId,
-        type: 'incremental',
-        entries_restored: backup.data.entries.length,
-        message: 'Incremental backup restored'
-      };
+    let start = position;
+    while (start >= 0 && this.backups[start].type !== 'full') {
+      start--;
+    }
+
+    if (start < 0) {
+      throw new Error(`Restore refused: no full backup precedes ${backupId}`);
+    }
+
+    return this.backups.slice(start, position + 1);
+  }
+
+  // Replay one backup onto the ledger being rebuilt
+  applyBackup(restored, backup, data, { toIndex, cutoff }) {
+    const isFull = backup.type === 'full';
+    const entries = isFull ? data.ledger.ledger : data.entries;
+    const roots = (isFull ? data.ledger.merkle_roots : data.merkle_roots) || [];
+    const firstIndex = isFull ? 0 : backup.since_index;
+    const step = { backup_id: backup.backup_id, type: backup.type, applied: 0, overlapped: 0, reached_target: false };
+
+    // An incremental that starts past the rebuilt tail would leave a hole in the chain
+    if (firstIndex > restored.ledger.length) {
+      throw new Error(
+        `Restore refused: ${backup.backup_id} starts at entry ${firstIndex} but only ${restored.ledger.length} entries precede it`
+      );
+    }
+
+    for (const entry of entries) {
+      if (entry.index > toIndex || new Date(entry.timestamp).getTime() > cutoff) {
+        step.reached_target = true;
+        break;
+      }
+
+      // Entries already rebuilt from an earlier backup must be the same entries
+      if (entry.index < restored.ledger.length) {
+        if (restored.ledger[entry.index].hash !== entry.hash) {
+          throw new Error(`Restore refused: ${backup.backup_id} disagrees with earlier backups at entry ${entry.index}`);
+        }
+        step.overlapped++;
+        continue;
+      }
+
+      try {
+        restored.importEntry(entry);
+      } catch (error) {
+        throw new Error(`Restore refused: ${backup.backup_id}: ${error.message}`);
+      }
+      step.applied++;
+    }
+
+    if (restored.ledger.length - 1 >= toIndex) {
+      step.reached_target = true;
+    }
+
+    step.merkle_roots_rebuilt = this.applyMerkleRoots(restored, backup, roots);
+
+    return step;
+  }
+
+  // Seal restored batches with the backup's own roots; a root for a batch that is
+  // only partly restored (point-in-time) is left out
+  applyMerkleRoots(restored, backup, roots) {
+    let rebuilt = 0;
+
+    for (const root of roots) {
+      if (root.batch_end >= restored.ledger.length) continue;
+
+      const existing = restored.merkleRoots.find(r => r.batch_start === root.batch_start);
+      if (existing) {
+        if (existing.root_hash !== root.root_hash) {
+          throw new Error(`Restore refused: ${backup.backup_id} has a different Merkle root for entries ${root.batch_start}-${root.batch_end}`);
+        }
+        continue;
+      }
+
+      // Roots missing from an earlier backup are recreated before later ones are imported
+      while (restored.merkleRoots.length * MERKLE_BATCH_SIZE < root.batch_start) {
+        restored.createMerkleRoot((restored.merkleRoots.length + 1) * MERKLE_BATCH_SIZE);
+        rebuilt++;
+      }
+
+      try {
+        restored.importMerkleRoot(root);
+      } catch (error) {
+        throw new Error(`Restore refused: ${backup.backup_id}: ${error.message}`);
+      }
+    }
+
+    return rebuilt;
+  }
+
+  // Write a verified in-memory restore to a new ledger file
+  persistRestoredLedger(restored, filePath) {
+    const ledger = new ImmutableLedger({ filePath });
+
+    if (ledger.ledger.length > 0) {
+      ledger.close();
+      throw new Error(`Restore refused: ${filePath} already holds ${ledger.ledger.length} ledger entries`);
+    }
+
+    let nextRoot = 0;
+    for (const entry of restored.ledger) {
+      ledger.importEntry(entry);
+
+      const root = restored.merkleRoots[nextRoot];
+      if (root && root.batch_end === entry.index) {
+        ledger.importMerkleRoot(root);
+        nextRoot++;
+      }
     }
+
+    return ledger;
   }
 
-  // Verify backup integrity
-  verifyBackup(backupId) {
+  // Verify backup integrity. 'quick' checks the checksum recorded at creation; 'deep' also
+  // decodes the backup, re-checks its hash chain and Merkle roots, and compares it to the live ledger
+  async verifyBackup(backupId, { mode = 'deep' } = {}) {
     const backup = this.backups.find(b => b.backup_id === backupId);
 
     if (!backup) {
       return { valid: false, error: 'Backup not found' };
     }
 
-    // Verify data structure
-    if (!backup.data) {
-      return { valid: false, error: 'Missing backup data' };
-    }
-
-    return {
+    const result = {
       valid: true,
       backup_id: backupId,
       type: backup.type,
+      mode,
       size: backup.size,
-      timestamp: backup.timestamp
+      timestamp: backup.timestamp,
+      verified_at: new Date().toISOString(),
+      errors: []
+    };
+
+    result.checksum = await this.verifyChecksum(backup);
+    if (result.checksum.valid === false) {
+      result.errors.push('Checksum does not match the one recorded at creation (bit-rot or tampering)');
+    }
+
+    if (mode === 'deep' && result.errors.length === 0) {
+      let data = null;
+      try {
+        data = await this.getBackupData(backup);
+      } catch (error) {
+        result.errors.push(`Could not decode backup: ${error.message}`);
+      }
+
+      if (data) {
+        this.verifyBackupContents(backup, data, result);
+      }
+    }
+
+    result.valid = result.errors.length === 0;
+    this.recordVerification(result);
+
+    return result;
+  }
+
+  async verifyChecksum(backup) {
+    if (!backup.checksum) {
+      return { valid: null, error: 'No checksum recorded' };
+    }
+
+    let actual;
+    try {
+      actual = backup.data ? sha256(JSON.stringify(backup.data)) : await this.archive.checksum(backup);
+    } catch (error) {
+      return { valid: false, expected: backup.checksum, error: error.message };
+    }
+
+    return { valid: actual === backup.checksum, expected: backup.checksum, actual };
+  }
+
+  // Hash chain, Merkle roots and live-ledger comparison for one decoded backup
+  verifyBackupContents(backup, data, result) {
+    const isFull = backup.type === 'full';
+    const entries = isFull ? data.ledger.ledger : data.entries;
+    const roots = (isFull ? data.ledger.merkle_roots : data.merkle_roots) || [];
+    const firstIndex = isFull ? 0 : backup.since_index;
+    const live = this.immutableLedger.ledger;
+
+    // An incremental's first link points into entries it doesn't carry; check it against the live ledger
+    let previousHash = firstIndex === 0 ? '0' : live[firstIndex - 1]?.hash;
+    const chainErrors = [];
+
+    entries.forEach((entry, i) => {
+      if (entry.index !== firstIndex + i) {
+        chainErrors.push({ index: entry.index, error: `Expected entry ${firstIndex + i}` });
+      }
+
+      // Without the live entry before it, an incremental's first link can't be checked
+      const expected = previousHash === undefined ? entry.previous_hash : previousHash;
+      chainErrors.push(...this.immutableLedger.verifyEntry(entry, expected));
+      previousHash = entry.hash;
+    });
+
+    result.entries_checked = entries.length;
+    result.chain_errors = chainErrors.slice(0, 20);
+    if (chainErrors.length > 0) {
+      result.errors.push(`Hash chain broken at entry ${chainErrors[0].index}: ${chainErrors[0].error}`);
+    }
+
+    // Roots for batches only partly inside an incremental can't be recomputed from it alone
+    result.merkle = { verified: 0, skipped: 0, errors: [] };
+    for (const root of roots) {
+      const batch = entries.slice(root.batch_start - firstIndex, root.batch_end - firstIndex + 1);
+
+      if (root.batch_start < firstIndex || batch.length !== root.batch_size) {
+        result.merkle.skipped++;
+        continue;
+      }
+
+      if (getMerkleRoot(buildMerkleTree(batch.map(e => e.hash))) !== root.root_hash) {
+        result.merkle.errors.push({ root_id: root.root_id, error: 'Merkle root mismatch' });
+      } else {
+        result.merkle.verified++;
+      }
+    }
+    if (result.merkle.errors.length > 0) {
+      result.errors.push(`Merkle root ${result.merkle.errors[0].root_id} does not match its entries`);
+    }
+
+    // Divergence from the live ledger is reported, but doesn't make the backup itself invalid
+    const divergent = [];
+    const missing = [];
+    for (const entry of entries) {
+      if (!live[entry.index]) {
+        missing.push(entry.index);
+      } else if (live[entry.index].hash !== entry.hash) {
+        divergent.push(entry.index);
+      }
+    }
+
+    result.live = {
+      matches: divergent.length === 0 && missing.length === 0,
+      compared: entries.length - missing.length,
+      divergent_indices: divergent.slice(0, 100),
+      divergent_count: divergent.length,
+      missing_from_live: missing.slice(0, 100),
+      missing_count: missing.length
+    };
+
+    return result;
+  }
+
+  recordVerification(result) {
+    this.verifications.set(result.backup_id, {
+      valid: result.valid,
+      mode: result.mode,
+      verified_at: result.verified_at,
+      matches_live: result.live ? result.live.matches : null,
+      error: result.errors[0] || null
+    });
+  }
+
+  // Verify every backup in turn
+  async verifyAllBackups({ mode = 'deep' } = {}) {
+    const results = [];
+
+    for (const backup of [...this.backups]) {
+      results.push(await this.verifyBackup(backup.backup_id, { mode }));
+    }
+
+    this.lastVerificationRun = {
+      timestamp: new Date().toISOString(),
+      mode,
+      verified: results.length,
+      failed: results.filter(r => !r.valid).length
+    };
+
+    return results;
+  }
+
+  // Start scheduled verification; bad backups show up in getBackupStats()
+  startScheduledVerification(intervalMinutes = 360, { mode = 'deep' } = {}) {
+    if (this.verifyInterval) {
+      clearInterval(this.verifyInterval);
+    }
+
+    this.verifyInterval = setInterval(() => this.runScheduledVerification({ mode }), intervalMinutes * 60 * 1000);
+
+    return {
+      enabled: true,
+      interval_minutes: intervalMinutes,
+      mode
     };
   }
 
+  // One scheduled pass. Bad backups are warned about; a pass that can't finish is logged and
+  // recorded as the last run instead of being thrown from the timer
+  async runScheduledVerification({ mode = 'deep' } = {}) {
+    try {
+      const results = await this.verifyAllBackups({ mode });
+      const failed = results.filter(r => !r.valid);
+      if (failed.length > 0) {
+        console.warn(`⚠️ ${failed.length} backup(s) failed verification:`, failed.map(r => r.backup_id).join(', '));
+      }
+    } catch (error) {
+      this.verificationRunFailures++;
+      this.lastVerificationRun = { timestamp: new Date().toISOString(), mode, error: error.message };
+      console.warn('⚠️ Scheduled backup verification failed:', error.message);
+    }
+
+    return this.lastVerificationRun;
+  }
+
+  stopScheduledVerification() {
+    if (this.verifyInterval) {
+      clearInterval(this.verifyInterval);
+      this.verifyInterval = null;
+    }
+
+    return { enabled: false };
+  }
+
   // List all backups
   listBackups() {
     return this.backups.map(b => ({
@@ -144,7 +586,11 @@ class BackupSystem {
       timestamp: b.timestamp,
       type: b.type,
       size: b.size,
-      entries: b.type === 'full' ? b.data.ledger.ledger.length : b.data.entries.length
+      original_size: b.original_size,
+      compressed: b.compressed,
+      encrypted: b.encrypted,
+      entries: b.entries,
+      verification: this.verifications.get(b.backup_id) || null
     }));
   }
 
@@ -159,7 +605,25 @@ class BackupSystem {
       full_backups: fullBackups,
       incremental_backups: incrementalBackups,
       total_size_bytes: totalSize,
+      original_size_bytes: this.backups.reduce((sum, b) => sum + (b.original_size || 0), 0),
+      retention: this.retention,
+      last_retention: this.lastRetention,
+      archive: this.archive ? this.archive.getStats() : null,
       auto_backup_enabled: this.autoBackupInterval !== null,
+      last_auto_backup: this.lastAutoBackup,
+      auto_backup_failures: this.autoBackupFailures,
+      verification: {
+        scheduled: this.verifyInterval !== null,
+        last_run: this.lastVerificationRun,
+        failed_runs: this.verificationRunFailures,
+        verified_backups: this.verifications.size,
+        bad_backups: [...this.verifications]
+          .filter(([, v]) => !v.valid)
+          .map(([backupId, v]) => ({ backup_id: backupId, error: v.error, verified_at: v.verified_at })),
+        diverged_from_live: [...this.verifications]
+          .filter(([, v]) => v.matches_live === false)
+          .map(([backupId]) => backupId)
+      },
       oldest_backup: this.backups[0]?.timestamp,
       newest_backup: this.backups[this.backups.length - 1]?.timestamp
     };
@@ -168,16 +632,6 @@ class BackupSystem {
   generateBackupId() {
     return `BACKUP_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
   }
-
-  // Clean old backups
-  cleanOldBackups(keepLast = 10) {
-    const removed = this.backups.length - keepLast;
-    if (removed > 0) {
-      this.backups = this.backups.slice(-keepLast);
-      return { removed };
-    }
-    return { removed: 0 };
-  }
 }
 
 // Export for use in other modules
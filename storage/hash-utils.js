@@ -0,0 +1,37 @@
+// Hash Utilities
+// Canonical serialization and SHA-256 hashing shared by the ledger and minters
+
+const crypto = require('crypto');
+
+// Deterministic JSON: object keys sorted, undefined values dropped
+function canonicalize(value) {
+  if (value === null || typeof value !== 'object') {
+    return JSON.stringify(value === undefined ? null : value);
+  }
+
+  if (Array.isArray(value)) {
+    return `[${value.map(item => canonicalize(item)).join(',')}]`;
+  }
+
+  const keys = Object.keys(value)
+    .filter(key => value[key] !== undefined)
+    .sort();
+
+  return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`).join(',')}}`;
+}
+
+// SHA-256 of a string, hex encoded with 0x prefix
+function sha256(data) {
+  return `0x${crypto.createHash('sha256').update(data).digest('hex')}`;
+}
+
+// Ledger entry hash: position, time, the full token, the operation applied to it and the previous hash.
+// Point-in-time restores cut on timestamp, so it must be as tamper-evident as the token
+function hashLedgerEntry({ index, timestamp, added_at, token, operation, from, to, previous_hash }) {
+  return sha256(canonicalize({ index, timestamp, added_at, token, operation, from, to, previous_hash }));
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { canonicalize, sha256, hashLedgerEntry };
+}
@@ -1,11 +1,124 @@
 // Immutable Ledger
-// Permanent, unchangeable record of all minted tokens
+// Permanent, unchangeable record of all minted tokens and their ownership changes
+
+const { hashLedgerEntry } = require('./hash-utils');
+const { buildMerkleTree, getMerkleRoot, getMerkleProof } = require('./merkle-tree');
+const LedgerFile = require('./ledger-file');
+
+const MERKLE_BATCH_SIZE = 100;
 
 class ImmutableLedger {
-  constructor() {
+  // With filePath, every entry is persisted to an append-only JSONL file
+  constructor({ filePath } = {}) {
     this.ledger = [];
     this.merkleRoots = [];
     this.sealed = false;
+    this.file = null;
+    this.tokens = new Map(); // token_id -> { mint, current } entries, so lookups don't scan the ledger
+    this.verified = { height: 0, hash: '0' }; // tip of the prefix already known to verify
+
+    if (filePath) {
+      this.file = new LedgerFile(filePath);
+      this.loadFromFile();
+    }
+  }
+
+  // Replay the backing file and refuse to start on a chain that does not verify
+  loadFromFile() {
+    const records = this.file.load();
+
+    for (const record of records) {
+      if (record.kind === 'entry') {
+        this.ledger.push(record.entry);
+        this.track(record.entry);
+      } else if (record.kind === 'merkle_root') {
+        this.sealBatch(record.root);
+      } else {
+        throw new Error(`Unknown ledger record kind: ${record.kind}`);
+      }
+    }
+
+    const integrity = this.verifyIntegrity();
+    const roots = this.verifyMerkleRoots();
+
+    if (!integrity.valid || !roots.valid) {
+      this.file.close();
+      const first = integrity.errors[0] || roots.errors[0];
+      throw new Error(`Ledger file failed verification at index ${first.index}: ${first.error}`);
+    }
+
+    // A crash between the 100th entry and its root record leaves the batch unsealed
+    this.sealCompleteBatches();
+
+    return {
+      entries: this.ledger.length,
+      merkle_roots: this.merkleRoots.length,
+      truncated_bytes: this.file.truncatedBytes
+    };
+  }
+
+  // Append an entry taken from a backup, checking it links onto the current tail
+  importEntry(entry) {
+    if (entry.index !== this.ledger.length) {
+      throw new Error(`Expected entry ${this.ledger.length}, got ${entry.index}`);
+    }
+
+    const tailHash = this.ledger.length > 0 ? this.ledger[this.ledger.length - 1].hash : '0';
+    const errors = this.verifyEntry(entry, tailHash);
+    if (errors.length > 0) {
+      throw new Error(`Entry ${entry.index}: ${errors[0].error}`);
+    }
+
+    // Sealing is re-derived from the imported Merkle roots
+    const { sealed, merkle_root, ...fields } = entry;
+    const copy = JSON.parse(JSON.stringify({ ...fields, sealed: false }));
+
+    if (this.file) {
+      this.file.append({ kind: 'entry', entry: copy });
+    }
+    this.ledger.push(copy);
+    this.track(copy);
+
+    return copy;
+  }
+
+  // Seal a batch with a root taken from a backup, after recomputing it
+  importMerkleRoot(root) {
+    const expectedStart = this.merkleRoots.length * MERKLE_BATCH_SIZE;
+    if (root.batch_start !== expectedStart) {
+      throw new Error(`Expected Merkle root for batch starting at ${expectedStart}, got ${root.batch_start}`);
+    }
+
+    const batch = this.ledger.slice(root.batch_start, root.batch_end + 1);
+    if (batch.length !== MERKLE_BATCH_SIZE || batch.length !== root.batch_size) {
+      throw new Error(`Merkle root ${root.root_id} covers entries not yet restored`);
+    }
+
+    const recomputed = getMerkleRoot(buildMerkleTree(batch.map(e => e.hash)));
+    if (recomputed !== root.root_hash) {
+      throw new Error(`Merkle root ${root.root_id} does not match its entries`);
+    }
+
+    if (this.file) {
+      this.file.append({ kind: 'merkle_root', root });
+    }
+
+    return this.sealBatch({ ...root });
+  }
+
+  // Create roots for any full batch that has none yet
+  sealCompleteBatches() {
+    const created = [];
+    while (this.merkleRoots.length < Math.floor(this.ledger.length / MERKLE_BATCH_SIZE)) {
+      created.push(this.createMerkleRoot((this.merkleRoots.length + 1) * MERKLE_BATCH_SIZE));
+    }
+    return created;
+  }
+
+  close() {
+    if (this.file) {
+      this.file.close();
+    }
   }
 
   // Add token to immutable ledger
@@ -14,62 +127,146 @@ class ImmutableLedger {
       throw new Error('Only immutable tokens can be added to ledger');
     }
 
+    if (this.getToken(token.id)) {
+      throw new Error(`Token already in ledger: ${token.id}`);
+    }
+
+    return this.appendEntry({
+      operation: 'mint',
+      token: JSON.parse(JSON.stringify(token)),
+      owner: token.owner
+    });
+  }
+
+  // Record a change of owner as a new entry (the minted token is never edited)
+  recordTransfer(tokenId, from, to) {
+    const minted = this.getToken(tokenId);
+
+    if (!minted) {
+      throw new Error(`Token not in ledger: ${tokenId}`);
+    }
+
+    return this.appendEntry({ operation: 'transfer', token: minted.token, owner: to, from, to });
+  }
+
+  // Record that a token was destroyed by its owner
+  recordBurn(tokenId, owner) {
+    const minted = this.getToken(tokenId);
+
+    if (!minted) {
+      throw new Error(`Token not in ledger: ${tokenId}`);
+    }
+
+    return this.appendEntry({ operation: 'burn', token: minted.token, owner, from: owner });
+  }
+
+  appendEntry({ operation, token, owner, from, to }) {
     const entry = {
       index: this.ledger.length,
+      operation,
       token_id: token.id,
       token_type: token.type,
-      owner: token.owner,
+      owner,
+      from,
+      to,
       value: token.value,
       timestamp: new Date().toISOString(),
       added_at: Date.now(),
-      hash: this.calculateHash(token),
+      token,
+      hash: null,
       previous_hash: this.ledger.length > 0 ? this.ledger[this.ledger.length - 1].hash : '0',
       immutable: true,
       sealed: false
     };
 
+    entry.hash = this.calculateHash(entry);
+
+    // Write ahead: the entry only exists once it is durably on disk
+    if (this.file) {
+      this.file.append({ kind: 'entry', entry });
+    }
+
     this.ledger.push(entry);
+    this.track(entry);
 
     // Create Merkle root every 100 entries
-    if (this.ledger.length % 100 === 0) {
+    if (this.ledger.length % MERKLE_BATCH_SIZE === 0) {
       this.createMerkleRoot();
     }
 
     return entry;
   }
 
-  calculateHash(token) {
-    const data = `${token.id}${token.type}${token.owner}${token.value}${token.timestamp}`;
-    let hash = 0;
-    for (let i = 0; i < data.length; i++) {
-      const char = data.charCodeAt(i);
-      hash = ((hash << 5) - hash) + char;
-      hash = hash & hash;
+  // Position to return to if the appends that follow belong to a batch that fails
+  checkpoint() {
+    return {
+      entries: this.ledger.length,
+      merkle_roots: this.merkleRoots.length,
+      file: this.file ? this.file.checkpoint() : null
+    };
+  }
+
+  // Remove the entries (and any Merkle roots sealed over them) appended since the checkpoint.
+  // Only for appends of a batch that never committed; call it before anything else appends.
+  rollback(checkpoint) {
+    if (checkpoint.entries > this.ledger.length || checkpoint.merkle_roots > this.merkleRoots.length) {
+      throw new Error('Ledger is behind the checkpoint; cannot roll back');
+    }
+
+    if (this.file) {
+      this.file.rollback(checkpoint.file);
+    }
+
+    const removedRoots = this.merkleRoots.splice(checkpoint.merkle_roots);
+    const removedEntries = this.ledger.length - checkpoint.entries;
+    this.ledger.length = checkpoint.entries;
+    this.reindex();
+
+    // Entries from before the checkpoint that a removed root had sealed are unsealed again
+    for (const root of removedRoots) {
+      for (let i = root.batch_start; i <= Math.min(root.batch_end, this.ledger.length - 1); i++) {
+        this.ledger[i].sealed = false;
+        delete this.ledger[i].merkle_root;
+      }
     }
-    return `0x${Math.abs(hash).toString(16).padStart(16, '0')}`;
+
+    return { entries_removed: removedEntries, merkle_roots_removed: removedRoots.length };
   }
 
-  // Create Merkle root for current batch
-  createMerkleRoot() {
-    const lastIndex = this.ledger.length;
-    const batchStart = Math.max(0, lastIndex - 100);
+  // SHA-256 over index, timestamps, the full token, the operation and the previous entry's hash
+  calculateHash(entry) {
+    return hashLedgerEntry(entry);
+  }
+
+  // Create Merkle root for the batch ending at batchEnd (exclusive)
+  createMerkleRoot(batchEnd = this.ledger.length) {
+    const lastIndex = batchEnd;
+    const batchStart = Math.max(0, lastIndex - MERKLE_BATCH_SIZE);
     const batch = this.ledger.slice(batchStart, lastIndex);
     
     const merkleRoot = {
-      root_id: `MERKLE_${Date.now()}`,
+      root_id: `MERKLE_${batchStart}_${Date.now()}`,
       batch_start: batchStart,
       batch_end: lastIndex - 1,
       batch_size: batch.length,
       timestamp: new Date().toISOString(),
-      root_hash: this.calculateBatchHash(batch),
+      root_hash: getMerkleRoot(buildMerkleTree(batch.map(entry => entry.hash))),
       sealed: true,
       immutable: true
     };
 
+    if (this.file) {
+      this.file.append({ kind: 'merkle_root', root: merkleRoot });
+    }
+
+    return this.sealBatch(merkleRoot);
+  }
+
+  sealBatch(merkleRoot) {
     this.merkleRoots.push(merkleRoot);
 
     // Mark entries as sealed
-    for (let i = batchStart; i < lastIndex; i++) {
+    for (let i = merkleRoot.batch_start; i <= merkleRoot.batch_end; i++) {
       this.ledger[i].sealed = true;
       this.ledger[i].merkle_root = merkleRoot.root_id;
     }
@@ -77,15 +274,62 @@ class ImmutableLedger {
     return merkleRoot;
   }
 
-  calculateBatchHash(batch) {
-    const hashes = batch.map(entry => entry.hash).join('');
-    let hash = 0;
-    for (let i = 0; i < hashes.length; i++) {
-      const char = hashes.charCodeAt(i);
-      hash = ((hash << 5) - hash) + char;
-      hash = hash & hash;
+  // Recompute every sealed batch's Merkle root from its entries
+  verifyMerkleRoots() {
+    const results = { valid: true, verified_roots: 0, errors: [] };
+
+    for (const root of this.merkleRoots) {
+      const batch = this.ledger.slice(root.batch_start, root.batch_end + 1);
+
+      if (batch.length !== root.batch_size) {
+        results.valid = false;
+        results.errors.push({ index: root.batch_start, root_id: root.root_id, error: 'Merkle batch incomplete' });
+        continue;
+      }
+
+      const recomputed = getMerkleRoot(buildMerkleTree(batch.map(e => e.hash)));
+      if (recomputed !== root.root_hash) {
+        results.valid = false;
+        results.errors.push({
+          index: root.batch_start,
+          root_id: root.root_id,
+          error: 'Merkle root mismatch',
+          expected: recomputed,
+          actual: root.root_hash
+        });
+      } else {
+        results.verified_roots++;
+      }
+    }
+
+    return results;
+  }
+
+  // Sibling path proving a token's entry is under its batch's Merkle root
+  getInclusionProof(tokenId) {
+    const entry = this.getToken(tokenId);
+
+    if (!entry) {
+      throw new Error(`Token not in ledger: ${tokenId}`);
+    }
+
+    if (!entry.sealed) {
+      throw new Error(`Token ${tokenId} is not in a sealed batch yet`);
     }
-    return `0x${Math.abs(hash).toString(16).padStart(32, '0')}`;
+
+    const merkleRoot = this.merkleRoots.find(r => r.root_id === entry.merkle_root);
+    const batch = this.ledger.slice(merkleRoot.batch_start, merkleRoot.batch_end + 1);
+    const levels = buildMerkleTree(batch.map(e => e.hash));
+    const leafIndex = entry.index - merkleRoot.batch_start;
+
+    return {
+      token_id: tokenId,
+      entry_index: entry.index,
+      root_id: merkleRoot.root_id,
+      root_hash: merkleRoot.root_hash,
+      leaf_index: leafIndex,
+      path: getMerkleProof(levels, leafIndex)
+    };
   }
 
   // Verify ledger integrity
@@ -97,29 +341,135 @@ class ImmutableLedger {
       errors: []
     };
 
-    for (let i = 1; i < this.ledger.length; i++) {
-      const current = this.ledger[i];
-      const previous = this.ledger[i - 1];
+    for (let i = 0; i < this.ledger.length; i++) {
+      const errors = this.verifyEntry(this.ledger[i], i > 0 ? this.ledger[i - 1].hash : '0');
 
-      if (current.previous_hash !== previous.hash) {
+      if (errors.length > 0) {
         results.valid = false;
-        results.errors.push({
-          index: i,
-          error: 'Hash chain broken',
-          expected: previous.hash,
-          actual: current.previous_hash
-        });
+        results.errors.push(...errors);
       } else {
         results.verified_entries++;
       }
     }
 
+    if (results.valid) {
+      this.markVerified(this.ledger.length);
+    }
+
     return results;
   }
 
-  // Get token by ID
+  // Verify only the entries appended since the last successful check; cheap enough to poll.
+  // If the verified prefix was replaced (e.g. a restore), it starts again from the first entry
+  verifyNewEntries() {
+    const { height, hash } = this.verified;
+    const tipMoved = height > this.ledger.length || (height > 0 && this.ledger[height - 1].hash !== hash);
+    const start = tipMoved ? 0 : height;
+
+    for (let i = start; i < this.ledger.length; i++) {
+      const errors = this.verifyEntry(this.ledger[i], i > 0 ? this.ledger[i - 1].hash : '0');
+      if (errors.length > 0) {
+        this.markVerified(i);
+        return { valid: false, verified_height: i, errors };
+      }
+    }
+
+    this.markVerified(this.ledger.length);
+    return { valid: true, verified_height: this.ledger.length, errors: [] };
+  }
+
+  markVerified(height) {
+    this.verified = { height, hash: height > 0 ? this.ledger[height - 1].hash : '0' };
+  }
+
+  // Recompute one entry's hash and check its link and summary fields
+  verifyEntry(entry, expectedPreviousHash) {
+    const errors = [];
+
+    if (entry.previous_hash !== expectedPreviousHash) {
+      errors.push({
+        index: entry.index,
+        error: 'Hash chain broken',
+        expected: expectedPreviousHash,
+        actual: entry.previous_hash
+      });
+    }
+
+    if (!entry.token) {
+      errors.push({ index: entry.index, error: 'Missing token snapshot' });
+      return errors;
+    }
+
+    const recomputed = this.calculateHash(entry);
+    if (recomputed !== entry.hash) {
+      errors.push({
+        index: entry.index,
+        error: 'Hash mismatch',
+        expected: recomputed,
+        actual: entry.hash
+      });
+    }
+
+    const owners = {
+      mint: entry.token.owner,
+      transfer: entry.to,
+      burn: entry.from
+    };
+
+    const summary = {
+      token_id: entry.token.id,
+      token_type: entry.token.type,
+      owner: owners[entry.operation],
+      value: entry.token.value
+    };
+
+    for (const field in summary) {
+      if (entry[field] !== summary[field]) {
+        errors.push({
+          index: entry.index,
+          error: `Field ${field} does not match hashed token`,
+          expected: summary[field],
+          actual: entry[field]
+        });
+      }
+    }
+
+    return errors;
+  }
+
+  // Keep the token index in step with an appended entry
+  track(entry) {
+    if (entry.operation === 'mint') {
+      this.tokens.set(entry.token_id, { mint: entry, current: entry });
+    } else {
+      const tracked = this.tokens.get(entry.token_id);
+      if (!tracked) {
+        throw new Error(`Entry ${entry.index}: ${entry.operation} of a token never minted (${entry.token_id})`);
+      }
+      tracked.current = entry;
+    }
+  }
+
+  reindex() {
+    this.tokens = new Map();
+    for (const entry of this.ledger) {
+      this.track(entry);
+    }
+  }
+
+  // Get token by ID (its mint entry)
   getToken(tokenId) {
-    return this.ledger.find(entry => entry.token_id === tokenId);
+    return this.tokens.get(tokenId)?.mint;
+  }
+
+  // Every entry for a token, mint first
+  getHistory(tokenId) {
+    return this.ledger.filter(entry => entry.token_id === tokenId);
+  }
+
+  // Latest entry for a token: who holds it now, or whether it was burned
+  getCurrentState(tokenId) {
+    return this.tokens.get(tokenId)?.current || null;
   }
 
   // Query ledger
@@ -147,11 +497,20 @@ class ImmutableLedger {
 
   // Get ledger stats
   getStats() {
-    const totalValue = this.ledger.reduce((sum, e) => sum + e.value, 0);
+    // Transfers move value, only mints and burns change the total
+    const totalValue = this.ledger.reduce((sum, e) => {
+      if (e.operation === 'mint') return sum + e.value;
+      if (e.operation === 'burn') return sum - e.value;
+      return sum;
+    }, 0);
     const typeCount = {};
+    const operationCount = { mint: 0, transfer: 0, burn: 0 };
     
     this.ledger.forEach(e => {
-      typeCount[e.token_type] = (typeCount[e.token_type] || 0) + 1;
+      operationCount[e.operation]++;
+      if (e.operation === 'mint') {
+        typeCount[e.token_type] = (typeCount[e.token_type] || 0) + 1;
+      }
     });
 
     return {
@@ -160,7 +519,11 @@ class ImmutableLedger {
       merkle_roots: this.merkleRoots.length,
       sealed_entries: this.ledger.filter(e => e.sealed).length,
       by_type: typeCount,
-      integrity: this.verifyIntegrity().valid
+      by_operation: operationCount,
+      tip_verified: this.verifyNewEntries().valid,
+      integrity: this.verifyIntegrity().valid,
+      verified_height: this.verified.height,
+      storage: this.file ? this.file.getStats() : null
     };
   }
 
@@ -179,4 +542,5 @@ class ImmutableLedger {
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = ImmutableLedger;
+  module.exports.MERKLE_BATCH_SIZE = MERKLE_BATCH_SIZE;
 }
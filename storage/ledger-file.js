@@ -0,0 +1,108 @@
+// Ledger File
+// Append-only JSONL backing file for ImmutableLedger, fsynced on every append
+
+const fs = require('fs');
+const path = require('path');
+
+class LedgerFile {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.fd = null;
+    this.recordsWritten = 0;
+    this.truncatedBytes = 0;
+  }
+
+  // Read every complete record, cutting off a torn final line left by a crash
+  load() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+    const content = fs.existsSync(this.filePath) ? fs.readFileSync(this.filePath) : Buffer.alloc(0);
+    const records = [];
+    let offset = 0;
+
+    while (offset < content.length) {
+      const newline = content.indexOf(0x0a, offset);
+
+      // No newline: the last append never completed
+      if (newline === -1) {
+        break;
+      }
+
+      const line = content.subarray(offset, newline).toString('utf8');
+      try {
+        records.push(JSON.parse(line));
+      } catch (error) {
+        const isLast = newline === content.length - 1;
+        if (!isLast) {
+          throw new Error(`Corrupt ledger record at byte ${offset} of ${this.filePath}: ${error.message}`);
+        }
+        break;
+      }
+
+      offset = newline + 1;
+    }
+
+    if (offset < content.length) {
+      this.truncatedBytes = content.length - offset;
+      fs.truncateSync(this.filePath, offset);
+      console.warn(`⚠️ Truncated ${this.truncatedBytes} bytes of torn ledger record from ${this.filePath}`);
+    }
+
+    this.fd = fs.openSync(this.filePath, 'a');
+    this.recordsWritten = records.length;
+
+    return records;
+  }
+
+  // Durably append one record; returns only once it is on disk
+  append(record) {
+    if (this.fd === null) {
+      throw new Error('Ledger file is not open');
+    }
+
+    fs.writeSync(this.fd, `${JSON.stringify(record)}\n`);
+    fs.fsyncSync(this.fd);
+    this.recordsWritten++;
+  }
+
+  // Current end of file, to roll back to if the appends after it must be undone
+  checkpoint() {
+    if (this.fd === null) {
+      throw new Error('Ledger file is not open');
+    }
+
+    return { bytes: fs.fstatSync(this.fd).size, records: this.recordsWritten };
+  }
+
+  // Cut off every record appended since the checkpoint
+  rollback(checkpoint) {
+    if (this.fd === null) {
+      throw new Error('Ledger file is not open');
+    }
+
+    fs.ftruncateSync(this.fd, checkpoint.bytes);
+    fs.fsyncSync(this.fd);
+    this.recordsWritten = checkpoint.records;
+  }
+
+  close() {
+    if (this.fd !== null) {
+      fs.closeSync(this.fd);
+      this.fd = null;
+    }
+  }
+
+  getStats() {
+    return {
+      file: this.filePath,
+      open: this.fd !== null,
+      records: this.recordsWritten,
+      truncated_bytes_on_load: this.truncatedBytes
+    };
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = LedgerFile;
+}
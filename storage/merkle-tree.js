@@ -0,0 +1,95 @@
+// Merkle Tree
+// Binary Merkle trees over ledger entry hashes, with inclusion proofs
+
+const { sha256, hashLedgerEntry } = require('./hash-utils');
+
+// Leaves and inner nodes are domain-separated so a node can't pose as a leaf
+function leafHash(entryHash) {
+  return sha256(`leaf:${entryHash}`);
+}
+
+function nodeHash(left, right) {
+  return sha256(`node:${left}${right}`);
+}
+
+// Build every level of the tree, leaves first, root last
+// An odd node at the end of a level is promoted unchanged
+function buildMerkleTree(entryHashes) {
+  if (entryHashes.length === 0) {
+    throw new Error('Cannot build a Merkle tree with no entries');
+  }
+
+  const levels = [entryHashes.map(leafHash)];
+
+  while (levels[levels.length - 1].length > 1) {
+    const level = levels[levels.length - 1];
+    const next = [];
+
+    for (let i = 0; i < level.length; i += 2) {
+      next.push(i + 1 < level.length ? nodeHash(level[i], level[i + 1]) : level[i]);
+    }
+
+    levels.push(next);
+  }
+
+  return levels;
+}
+
+function getMerkleRoot(levels) {
+  return levels[levels.length - 1][0];
+}
+
+// Sibling path from a leaf up to the root
+function getMerkleProof(levels, leafIndex) {
+  const path = [];
+  let index = leafIndex;
+
+  for (let depth = 0; depth < levels.length - 1; depth++) {
+    const level = levels[depth];
+    const siblingIndex = index % 2 === 0 ? index + 1 : index - 1;
+
+    if (siblingIndex < level.length) {
+      path.push({
+        position: index % 2 === 0 ? 'right' : 'left',
+        hash: level[siblingIndex]
+      });
+    }
+
+    index = Math.floor(index / 2);
+  }
+
+  return path;
+}
+
+// Standalone check that a ledger entry belongs under a sealed root
+// Recomputes the entry hash from its token snapshot, so no ledger is needed
+function verifyInclusionProof(entry, proof, root) {
+  const rootHash = typeof root === 'string' ? root : root?.root_hash;
+  const path = Array.isArray(proof) ? proof : proof?.path;
+
+  if (!entry?.token || !rootHash || !Array.isArray(path)) {
+    return false;
+  }
+
+  const entryHash = hashLedgerEntry(entry);
+  if (entryHash !== entry.hash) {
+    return false;
+  }
+
+  let hash = leafHash(entryHash);
+  for (const step of path) {
+    hash = step.position === 'left' ? nodeHash(step.hash, hash) : nodeHash(hash, step.hash);
+  }
+
+  return hash === rootHash;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    buildMerkleTree,
+    getMerkleRoot,
+    getMerkleProof,
+    verifyInclusionProof
+  };
+}
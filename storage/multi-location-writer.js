@@ -1,11 +1,25 @@
 // Multi-Location Writer
 // Writes tokens to multiple storage locations for redundancy
 
+const StorageRegistry = require('./adapters/storage-registry');
+
 class MultiLocationWriter {
-  constructor(config) {
+  // Locations come from distribution.storage_locations; each one's adapter from
+  // distribution.storage_adapters (memory when not configured)
+  constructor(config, registry = new StorageRegistry()) {
+    this.registry = registry;
+    this.writeLog = [];
+    this.applyConfig(config);
+  }
+
+  // Swap in a reloaded alc-config.json
+  applyConfig(config) {
+    this.registry.configure(
+      config.distribution.storage_locations,
+      config.distribution.storage_adapters
+    );
     this.config = config;
     this.storageLocations = config.distribution.storage_locations;
-    this.writeLog = [];
   }
 
   // Write token to all storage locations
@@ -24,7 +38,8 @@ class MultiLocationWriter {
         writeResults.locations[location] = {
           success: true,
           timestamp: result.timestamp,
-          backup_id: result.backup_id
+          backup_id: result.backup_id,
+          commit_hash: result.commit_hash
         };
         writeResults.success_count++;
       } catch (error) {
@@ -46,132 +61,14 @@ class MultiLocationWriter {
     return writeResults;
   }
 
-  // Write to a specific location
+  // Write to a specific location through its adapter
   async writeToLocation(location, token) {
-    // Simulate writing to different storage systems
-    switch (location) {
-      case 'local_mint_database':
-        return this.writeToLocalDB(token);
-      
-      case 'dash_hub_records':
-        return this.writeToDashHub(token);
-      
-      case 'blockchain_backup':
-        return this.writeToBlockchain(token);
-      
-      case 'git_commit_history':
-        return this.writeToGitHistory(token);
-      
-      case 'mongoose_learning_data':
-        return this.writeToMongoose(token);
-      
-      case 'user_wallet':
-        return this.writeToWallet(token);
-      
-      case 'pricing_engine_catalog':
-        return this.writeToPricingEngine(token);
-      
-      case 'documentation_system':
-        return this.writeToDocumentation(token);
-      
-      default:
-        throw new Error(`Unknown storage location: ${location}`);
-    }
+    return await this.registry.get(location).write(token);
   }
 
-  // Individual storage implementations
-  writeToLocalDB(token) {
-    // Local database storage
-    return {
-      location: 'local_mint_database',
-      timestamp: new Date().toISOString(),
-      backup_id: `DB_${Date.now()}`,
-      stored: true
-    };
-  }
-
-  writeToDashHub(token) {
-    // Dash hub records
-    return {
-      location: 'dash_hub_records',
-      timestamp: new Date().toISOString(),
-      backup_id: `DASH_${Date.now()}`,
-      stored: true
-    };
-  }
-
-  writeToBlockchain(token) {
-    // Blockchain backup (immutable)
-    return {
-      location: 'blockchain_backup',
-      timestamp: new Date().toISOString(),
-      backup_id: `BLOCK_${Date.now()}`,
-      block_hash: this.generateBlockHash(token),
-      stored: true,
-      immutable: true
-    };
-  }
-
-  writeToGitHistory(token) {
-    // Git commit history
-    return {
-      location: 'git_commit_history',
-      timestamp: new Date().toISOString(),
-      backup_id: `GIT_${Date.now()}`,
-      commit_hash: this.generateCommitHash(token),
-      stored: true
-    };
-  }
-
-  writeToMongoose(token) {
-    // Mongoose learning data
-    return {
-      location: 'mongoose_learning_data',
-      timestamp: new Date().toISOString(),
-      backup_id: `MONGOOSE_${Date.now()}`,
-      learning_pattern: 'token_minting',
-      stored: true
-    };
-  }
-
-  writeToWallet(token) {
-    // User wallet
-    return {
-      location: 'user_wallet',
-      timestamp: new Date().toISOString(),
-      backup_id: `WALLET_${token.owner}_${Date.now()}`,
-      owner: token.owner,
-      stored: true
-    };
-  }
-
-  writeToPricingEngine(token) {
-    // Pricing engine catalog
-    return {
-      location: 'pricing_engine_catalog',
-      timestamp: new Date().toISOString(),
-      backup_id: `PRICE_${Date.now()}`,
-      value: token.value,
-      stored: true
-    };
-  }
-
-  writeToDocumentation(token) {
-    // Documentation system
-    return {
-      location: 'documentation_system',
-      timestamp: new Date().toISOString(),
-      backup_id: `DOC_${Date.now()}`,
-      stored: true
-    };
-  }
-
-  generateBlockHash(token) {
-    return `0x${Date.now().toString(16)}${Math.random().toString(16).substring(2, 10)}`;
-  }
-
-  generateCommitHash(token) {
-    return `${Date.now().toString(36)}${Math.random().toString(36).substring(2, 9)}`;
+  // Read a token back from one location
+  async readFromLocation(location, tokenId) {
+    return await this.registry.get(location).read(tokenId);
   }
 
   // Verify token exists in all locations
@@ -179,11 +76,15 @@ class MultiLocationWriter {
     const verification = {
       token_id: tokenId,
       verified_locations: [],
-      missing_locations: []
+      missing_locations: [],
+      details: {}
     };
 
     for (const location of this.storageLocations) {
-      const exists = this.checkLocationForToken(location, tokenId);
+      const { exists, details } = await this.checkLocationForToken(location, tokenId);
+      if (details) {
+        verification.details[location] = details;
+      }
       if (exists) {
         verification.verified_locations.push(location);
       } else {
@@ -194,18 +95,32 @@ class MultiLocationWriter {
     return verification;
   }
 
-  checkLocationForToken(location, tokenId) {
-    // Simulate checking if token exists in location
-    const writes = this.writeLog.filter(
-      w => w.token_id === tokenId && w.locations[location]?.success
-    );
-    return writes.length > 0;
+  async checkLocationForToken(location, tokenId) {
+    try {
+      const adapter = this.registry.get(location);
+
+      // Adapters with deeper checks (e.g. git: present at its commit) report details
+      if (typeof adapter.verify === 'function') {
+        const result = await adapter.verify(tokenId);
+        return { exists: result.present, details: result };
+      }
+
+      return { exists: await adapter.exists(tokenId) };
+    } catch (error) {
+      return { exists: false, details: { error: error.message } };
+    }
+  }
+
+  // Close every location's adapter (database handles, queued git commands)
+  async close() {
+    await this.registry.close();
   }
 
   getWriteStats() {
     return {
       total_writes: this.writeLog.length,
       locations: this.storageLocations.length,
+      adapters: this.registry.describe(),
       recent_writes: this.writeLog.slice(-10)
     };
   }
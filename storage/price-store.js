@@ -0,0 +1,228 @@
+// Price Store
+// USD price history per token type, fed by pricing-engine messages; stale and out-of-band updates are refused
+
+const fs = require('fs');
+const LedgerFile = require('./ledger-file');
+
+class PriceStore {
+  // maxAgeMs: older updates are stale. maxDeviation: largest accepted move from the latest price (0.5 = ±50%).
+  // bounds: optional absolute limits per type, e.g. { ALC: { min_usd: 0.01, max_usd: 100 } }
+  constructor({ filePath = null, maxAgeMs = 5 * 60 * 1000, maxDeviation = 0.5, maxClockSkewMs = 30000, bounds = {}, historySize = 10000 } = {}) {
+    this.maxAgeMs = maxAgeMs;
+    this.maxDeviation = maxDeviation;
+    this.maxClockSkewMs = maxClockSkewMs;
+    this.bounds = bounds;
+    this.historySize = historySize;
+    this.series = new Map(); // type -> [{ type, usd, timestamp, source, recorded_at }] oldest first
+    this.rejectedCount = 0;
+    this.rejectionLog = [];
+    this.file = null;
+
+    if (filePath) {
+      this.file = new LedgerFile(filePath);
+      this.loadFromFile();
+    }
+  }
+
+  // Replay the JSONL log; compact once trimmed points dominate it
+  loadFromFile() {
+    const records = this.file.load();
+
+    for (const record of records) {
+      this.append(record.point);
+    }
+
+    const kept = [...this.series.values()].reduce((sum, points) => sum + points.length, 0);
+    if (records.length > kept * 2) {
+      this.compact();
+    }
+  }
+
+  compact() {
+    const filePath = this.file.filePath;
+    const temp = `${filePath}.tmp`;
+    const lines = [];
+
+    for (const points of this.series.values()) {
+      for (const point of points) {
+        lines.push(`${JSON.stringify({ kind: 'price', point })}\n`);
+      }
+    }
+
+    this.file.close();
+    fs.writeFileSync(temp, lines.join(''));
+    const fd = fs.openSync(temp, 'r');
+    fs.fsyncSync(fd);
+    fs.closeSync(fd);
+    fs.renameSync(temp, filePath);
+
+    this.file = new LedgerFile(filePath);
+    this.file.load();
+  }
+
+  // Validate and store one update { type, usd, timestamp }; force skips the band checks (not staleness)
+  record({ type, usd, timestamp }, { source = 'pricing-engine', force = false } = {}, now = Date.now()) {
+    const at = typeof timestamp === 'number' ? timestamp : Date.parse(timestamp);
+    const rejection = this.checkUpdate(type, usd, at, force, now);
+
+    if (rejection) {
+      return this.reject({ type, usd, timestamp }, rejection);
+    }
+
+    const point = { type, usd, timestamp: at, source, recorded_at: now };
+
+    // Write ahead, like the ledger: a price only counts once it is on disk
+    if (this.file) {
+      this.file.append({ kind: 'price', point });
+    }
+    this.append(point);
+
+    return { success: true, type, usd, timestamp: new Date(at).toISOString() };
+  }
+
+  checkUpdate(type, usd, at, force, now) {
+    if (typeof type !== 'string' || type.length === 0) {
+      return { code: 'INVALID_PRICE', error: 'Missing token type' };
+    }
+    if (typeof usd !== 'number' || !Number.isFinite(usd) || usd <= 0) {
+      return { code: 'INVALID_PRICE', error: `Price for ${type} must be a positive number` };
+    }
+    if (!Number.isFinite(at)) {
+      return { code: 'INVALID_PRICE', error: `Price for ${type} has no valid timestamp` };
+    }
+
+    if (at > now + this.maxClockSkewMs) {
+      return { code: 'STALE_PRICE', error: `Price for ${type} is dated in the future` };
+    }
+    if (now - at > this.maxAgeMs) {
+      return { code: 'STALE_PRICE', error: `Price for ${type} is ${Math.round((now - at) / 1000)}s old` };
+    }
+
+    const latest = this.latest(type);
+    if (latest && at <= latest.timestamp) {
+      return { code: 'STALE_PRICE', error: `Price for ${type} is not newer than the latest one` };
+    }
+
+    if (force) return null;
+
+    const bound = this.bounds[type];
+    if (bound && ((bound.min_usd !== undefined && usd < bound.min_usd) || (bound.max_usd !== undefined && usd > bound.max_usd))) {
+      return { code: 'PRICE_OUT_OF_BAND', error: `Price for ${type} is outside its configured bounds` };
+    }
+
+    if (latest && Math.abs(usd - latest.usd) / latest.usd > this.maxDeviation) {
+      return {
+        code: 'PRICE_OUT_OF_BAND',
+        error: `Price for ${type} moved ${Math.round(Math.abs(usd - latest.usd) / latest.usd * 100)}% from ${latest.usd}`
+      };
+    }
+
+    return null;
+  }
+
+  append(point) {
+    if (!this.series.has(point.type)) {
+      this.series.set(point.type, []);
+    }
+
+    const points = this.series.get(point.type);
+    points.push(point);
+
+    // Trim history to the most recent points
+    if (points.length > this.historySize) {
+      this.series.set(point.type, points.slice(-this.historySize));
+    }
+  }
+
+  reject(update, { code, error }) {
+    this.rejectedCount++;
+    this.rejectionLog.push({ ...update, code, error, timestamp: new Date().toISOString() });
+
+    // Trim log to last 100 rejections
+    if (this.rejectionLog.length > 100) {
+      this.rejectionLog = this.rejectionLog.slice(-100);
+    }
+
+    return { success: false, type: update.type, code, error };
+  }
+
+  latest(type) {
+    const points = this.series.get(type);
+    return points && points.length > 0 ? points[points.length - 1] : null;
+  }
+
+  // Price in effect at `at` (the latest point not after it), or null if none was known yet
+  getPrice(type, at = Date.now()) {
+    const points = this.series.get(type);
+    if (!points || points.length === 0) return null;
+
+    const time = typeof at === 'number' ? at : Date.parse(at);
+
+    // Binary search for the last point at or before time
+    let low = 0;
+    let high = points.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (points[mid].timestamp <= time) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+
+    if (low === 0) return null;
+
+    const point = points[low - 1];
+    return {
+      type,
+      usd: point.usd,
+      timestamp: new Date(point.timestamp).toISOString(),
+      age_ms: time - point.timestamp,
+      stale: time - point.timestamp > this.maxAgeMs
+    };
+  }
+
+  // USD value of `value` units of a token type, or null when no price is known
+  valueInUsd(type, value, at = Date.now()) {
+    const price = this.getPrice(type, at);
+    return price ? value * price.usd : null;
+  }
+
+  getHistory(type, { from, to, limit = 100 } = {}) {
+    return (this.series.get(type) || [])
+      .filter(p => (from === undefined || p.timestamp >= from) && (to === undefined || p.timestamp <= to))
+      .slice(-limit)
+      .map(p => ({ ...p, timestamp: new Date(p.timestamp).toISOString() }));
+  }
+
+  getRejectionLog(limit = 20) {
+    return this.rejectionLog.slice(-limit);
+  }
+
+  close() {
+    if (this.file) {
+      this.file.close();
+    }
+  }
+
+  getStats(now = Date.now()) {
+    const prices = {};
+    for (const type of this.series.keys()) {
+      prices[type] = this.getPrice(type, now);
+    }
+
+    return {
+      prices,
+      points: [...this.series.values()].reduce((sum, points) => sum + points.length, 0),
+      rejected: this.rejectedCount,
+      max_age_ms: this.maxAgeMs,
+      max_deviation: this.maxDeviation,
+      storage: this.file ? this.file.getStats() : null
+    };
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PriceStore;
+}
@@ -0,0 +1,104 @@
+// Abuse Guard tests
+// Rules score suspicious owners, refused owners aren't scored again, and steady honest use is never blocked
+
+const test = require('node:test');
+const assert = require('node:assert');
+const AbuseGuard = require('../minting/abuse-guard');
+const CapacitorMint = require('../minting/capacitor-mint');
+const ALCMinter = require('../minting/alc-minter');
+const alcConfig = require('../.infinity/alc-config.json');
+
+const START = Date.parse('2026-01-01T00:00:00Z');
+const SECOND = 1000;
+
+test('a steady honest user pinging and minting for an hour is never refused', async t => {
+  t.mock.timers.enable({ apis: ['Date'], now: START });
+  const guard = new AbuseGuard(alcConfig);
+  const minter = new ALCMinter(alcConfig, null, null, null, new CapacitorMint(alcConfig, null, guard), guard);
+  const refusals = [];
+  let minted = 0;
+
+  // A setInterval heartbeat from the open wallet page every 30 s, and a contribution that mints every 10 minutes
+  for (let i = 0; i < 120; i++) {
+    t.mock.timers.tick(30 * SECOND);
+
+    const ping = minter.registerActivity('alice', 1, 'user_contribution');
+    if (ping.accepted === false) refusals.push(ping.code);
+
+    if (i % 20 === 19) {
+      minter.registerActivity('alice', 30, 'user_contribution');
+      const result = await minter.mint({ owner: 'alice', trigger: 'user_contribution' });
+      if (result.success) minted++;
+      else refusals.push(result.code);
+    }
+  }
+
+  assert.deepStrictEqual(refusals, []);
+  assert.strictEqual(minted, 6);
+  assert.strictEqual(guard.getOwnerReport('alice').status, 'ok');
+});
+
+test('the same non-ping event type over and over is still repetition', () => {
+  const guard = new AbuseGuard(alcConfig);
+  let verdict;
+
+  for (let i = 0; i < 9; i++) {
+    verdict = guard.screen({ owner: 'mallory', kind: 'activity', type: 'like' }, START + i * (20 + i * 7) * SECOND);
+  }
+
+  assert.deepStrictEqual(verdict.hits, ['repetition']);
+});
+
+// Eleven events 50 ms apart: bot_interval (30) then burst (40) puts the owner in a cooldown
+function trip(guard, owner, at) {
+  let verdict;
+  for (let i = 0; i < 11; i++) {
+    verdict = guard.screen({ owner, kind: 'mint', type: `t${i}` }, at + i * 50);
+  }
+  return verdict;
+}
+
+test('attempts from an owner already cooling down are refused without being scored', () => {
+  const guard = new AbuseGuard(alcConfig);
+  const tripped = trip(guard, 'mallory', START);
+  assert.deepStrictEqual([tripped.code, tripped.hits], ['ABUSE_COOLDOWN', ['burst']]);
+  const score = guard.check('mallory', START + 1000).risk_score;
+
+  // Hammering through the cooldown doesn't turn it into a block
+  let verdict;
+  for (let i = 0; i < 200; i++) {
+    verdict = guard.screen({ owner: 'mallory', kind: 'mint', type: 'x' }, START + 1000 + i * 10);
+  }
+
+  assert.deepStrictEqual([verdict.code, verdict.hits], ['ABUSE_COOLDOWN', []]);
+  assert.ok(guard.check('mallory', START + 1000).risk_score <= score);
+  assert.strictEqual(guard.owners.get('mallory').events.length, 11);
+  assert.deepStrictEqual(guard.getBlocked(), []);
+  assert.strictEqual(guard.check('mallory', START + 61 * SECOND).allowed, true);
+});
+
+test('an owner who keeps tripping the rules after a cooldown is blocked until an admin lifts it', () => {
+  const guard = new AbuseGuard(alcConfig);
+  trip(guard, 'bot', START);
+  assert.deepStrictEqual(guard.owners.get('bot').hits.map(h => h.rule), ['bot_interval', 'burst']);
+
+  // Each cooldown only lets one more hit through, so it takes two more rounds to reach block_score
+  assert.strictEqual(trip(guard, 'bot', START + 61 * SECOND).code, 'ABUSE_COOLDOWN');
+  assert.strictEqual(trip(guard, 'bot', START + 122 * SECOND).code, 'OWNER_BLOCKED');
+  assert.deepStrictEqual(guard.getBlocked().map(b => b.owner), ['bot']);
+
+  assert.strictEqual(guard.unblock('bot', { note: 'false positive' }).success, true);
+  assert.strictEqual(guard.check('bot').allowed, true);
+  assert.strictEqual(guard.getAdminLog()[0].note, 'false positive');
+});
+
+test('one origin feeding many owners is a shared source', () => {
+  const guard = new AbuseGuard(alcConfig);
+
+  for (let i = 0; i < 21; i++) {
+    guard.screen({ owner: `sock-${i}`, origin: 'device-1', kind: 'activity' }, START + i * 997);
+  }
+
+  assert.strictEqual(guard.owners.get('sock-20').hits[0].rule, 'shared_source');
+  assert.strictEqual(guard.owners.get('sock-19').hits.length, 0);
+});
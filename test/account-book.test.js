@@ -0,0 +1,84 @@
+// Account Book tests
+// Balances and holder counts replayed from mint, transfer and burn entries, valued through a PriceStore
+
+const test = require('node:test');
+const assert = require('node:assert');
+const AccountBook = require('../storage/account-book');
+const ImmutableLedger = require('../storage/immutable-ledger');
+const PriceStore = require('../storage/price-store');
+const { token } = require('./helpers');
+
+function setup() {
+  const ledger = new ImmutableLedger();
+  ledger.addToken(token('a1', { value: 10 }));
+  ledger.addToken(token('a2', { value: 5 }));
+  ledger.addToken(token('r1', { type: 'ART', value: 2 }));
+  ledger.addToken(token('b1', { owner: 'bob', value: 7 }));
+  return { ledger, book: new AccountBook(ledger) };
+}
+
+test('balances sum one type per owner', () => {
+  const { book } = setup();
+
+  const balance = book.getBalance('alice', 'ALC');
+  assert.strictEqual(balance.tokens, 2);
+  assert.strictEqual(balance.value, 15);
+  assert.strictEqual(book.getBalance('carol', 'ALC').value, 0);
+});
+
+test('holdings group everything an owner has by type', () => {
+  const { book } = setup();
+
+  const holdings = book.getHoldings('alice');
+  assert.strictEqual(holdings.total_tokens, 3);
+  assert.strictEqual(holdings.total_value, 17);
+  assert.deepStrictEqual(holdings.by_type.ART, { tokens: 1, value: 2, usd_price: null, value_usd: null, stale: null });
+  assert.deepStrictEqual(holdings.token_ids.sort(), ['a1', 'a2', 'r1']);
+});
+
+test('transfers and burns move value between accounts as they are appended', () => {
+  const { ledger, book } = setup();
+  assert.strictEqual(book.getHolderCount(), 2);
+
+  ledger.recordTransfer('b1', 'bob', 'alice');
+  assert.strictEqual(book.getBalance('alice', 'ALC').value, 22);
+  assert.strictEqual(book.getHolderCount(), 1);
+
+  ledger.recordBurn('r1', 'alice');
+  assert.strictEqual(book.getHoldings('alice').by_type.ART, undefined);
+  assert.strictEqual(book.getStats().entries_applied, 6);
+});
+
+test('a replaced ledger is replayed from scratch', () => {
+  const { ledger, book } = setup();
+  book.getStats();
+
+  ledger.ledger = ledger.ledger.slice(0, 1);
+  assert.strictEqual(book.getHoldings('alice').total_value, 10);
+  assert.strictEqual(book.getHoldings('bob').total_tokens, 0);
+});
+
+test('prices older than maxAgeMs still value holdings but are flagged stale', () => {
+  const { ledger } = setup();
+  const prices = new PriceStore({ maxAgeMs: 60000 });
+  const now = Date.parse('2026-01-01T00:10:00Z');
+  prices.record({ type: 'ALC', usd: 2, timestamp: now - 1000 }, {}, now);
+  prices.record({ type: 'ART', usd: 10, timestamp: now - 50000 }, {}, now);
+  const book = new AccountBook(ledger, prices);
+
+  const fresh = book.getBalance('alice', 'ART', now);
+  assert.strictEqual(fresh.value_usd, 20);
+  assert.strictEqual(fresh.stale, false);
+
+  const later = now + 30000;
+  const holdings = book.getHoldings('alice', later);
+  assert.strictEqual(holdings.total_value_usd, 15 * 2 + 2 * 10);
+  assert.strictEqual(holdings.by_type.ALC.stale, false);
+  assert.strictEqual(holdings.by_type.ART.stale, true);
+  assert.deepStrictEqual(holdings.stale_types, ['ART']);
+  assert.deepStrictEqual(holdings.unpriced_types, []);
+
+  assert.strictEqual(book.getBalance('alice', 'ART', later).stale, true);
+  assert.deepStrictEqual(book.getValuation(later).stale_types, ['ART']);
+  assert.strictEqual(book.getBalance('alice', 'GEM', later).stale, null);
+});
@@ -0,0 +1,171 @@
+// API Server tests
+// Routes from wiring-config.json over real HTTP, with auth checked before anything is parsed
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const ApiServer = require('../wiring/api-server');
+const ALCMinter = require('../minting/alc-minter');
+const TokenFactory = require('../minting/token-factory');
+const AbuseGuard = require('../minting/abuse-guard');
+const ImmutableLedger = require('../storage/immutable-ledger');
+const AccountBook = require('../storage/account-book');
+const MintReceiver = require('../wiring/mint-receiver');
+const WebhookAuthenticator = require('../wiring/webhook-auth');
+const EventBus = require('../wiring/event-bus');
+const MintRateLimiter = require('../minting/rate-limiter');
+
+const alcConfig = require('../.infinity/alc-config.json');
+const rules = require('../.infinity/minting-rules.json');
+const wiring = require('../.infinity/wiring-config.json');
+
+const ADMIN_TOKEN = 'test-admin-token';
+const SECRET = 'dash-hub-secret';
+
+function request(port, method, pathname, { body, headers = {} } = {}) {
+  const raw = body === undefined ? '' : typeof body === 'string' ? body : JSON.stringify(body);
+
+  return new Promise((resolve, reject) => {
+    const req = http.request({
+      host: '127.0.0.1',
+      port,
+      method,
+      path: pathname,
+      headers: raw ? { 'content-type': 'application/json', 'content-length': Buffer.byteLength(raw), ...headers } : headers
+    }, res => {
+      let data = '';
+      res.on('data', chunk => { data += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: JSON.parse(data) }));
+    });
+    req.on('error', reject);
+    req.end(raw);
+  });
+}
+
+async function withServer(run, { eventBus = null, rateLimiter = null } = {}) {
+  const ledger = new ImmutableLedger();
+  const guard = new AbuseGuard(alcConfig);
+  const alcMinter = new ALCMinter(alcConfig, null, rateLimiter, eventBus, null, guard);
+  const server = new ApiServer({
+    config: wiring,
+    alcMinter,
+    tokenFactory: new TokenFactory(rules, null, null, null, null, ledger),
+    ledger,
+    accountBook: new AccountBook(ledger),
+    receiver: new MintReceiver(wiring),
+    webhookAuth: new WebhookAuthenticator({ secrets: { 'dash-hub': SECRET } }),
+    adminToken: ADMIN_TOKEN
+  });
+
+  const { port } = await server.listen(0);
+  try {
+    await run({ port, server, ledger, alcMinter });
+  } finally {
+    await server.close();
+  }
+}
+
+test('non-ALC mints are ledgered and show up in balances', () => withServer(async ({ port }) => {
+  const minted = await request(port, 'POST', '/api/mint', {
+    body: { trigger: 'achievement', owner: 'alice', type: 'BADGE', amount: 3 }
+  });
+  assert.strictEqual(minted.status, 200);
+  assert.strictEqual(minted.body.ledger_index, 0);
+
+  const balance = await request(port, 'GET', '/api/wallet/balance?owner=alice&type=BADGE');
+  assert.strictEqual(balance.body.value, 3);
+}));
+
+test('bodies and queries are validated against the route schema', () => withServer(async ({ port }) => {
+  const missing = await request(port, 'POST', '/api/mint', { body: { trigger: 'achievement' } });
+  assert.strictEqual(missing.status, 400);
+  assert.strictEqual(missing.body.error.code, 'VALIDATION_FAILED');
+
+  const malformed = await request(port, 'POST', '/api/mint', { body: '{"owner":' });
+  assert.strictEqual(malformed.body.error.code, 'INVALID_JSON');
+
+  const wrongType = await request(port, 'POST', '/api/mint', {
+    body: 'owner=alice',
+    headers: { 'content-type': 'text/plain' }
+  });
+  assert.strictEqual(wrongType.status, 415);
+}));
+
+test('unknown paths and methods are refused', () => withServer(async ({ port }) => {
+  assert.strictEqual((await request(port, 'GET', '/nope')).status, 404);
+
+  const method = await request(port, 'DELETE', '/api/mint');
+  assert.strictEqual(method.status, 405);
+  assert.strictEqual(method.headers.allow, 'POST');
+}));
+
+test('ALC mint refusals map to their own error codes', () => withServer(async ({ port }) => {
+  const response = await request(port, 'POST', '/api/mint', { body: { trigger: 'user_contribution', owner: 'alice' } });
+  assert.strictEqual(response.status, 422);
+  assert.strictEqual(response.body.error.code, 'MINT_REJECTED');
+}));
+
+test('admin routes answer 401 before validating the request', () => withServer(async ({ port }) => {
+  const noAuth = await request(port, 'POST', '/api/admin/abuse/unblock', { body: { bogus: true } });
+  assert.strictEqual(noAuth.status, 401);
+  assert.strictEqual(noAuth.body.error.details, undefined);
+
+  const badQuery = await request(port, 'GET', '/api/admin/abuse/owner');
+  assert.strictEqual(badQuery.status, 401);
+
+  const authorized = await request(port, 'GET', '/api/admin/abuse/owner', {
+    headers: { authorization: `Bearer ${ADMIN_TOKEN}` }
+  });
+  assert.strictEqual(authorized.status, 400);
+
+  const wrongToken = await request(port, 'GET', '/api/admin/abuse/blocks', { headers: { authorization: 'Bearer nope' } });
+  assert.strictEqual(wrongToken.status, 401);
+}));
+
+test('webhook signatures are checked before the body is parsed', () => withServer(async ({ port }) => {
+  const unsigned = await request(port, 'POST', '/mint/request', { body: '{not json' });
+  assert.strictEqual(unsigned.status, 401);
+
+  const raw = '{not json';
+  const signed = await request(port, 'POST', '/mint/request', {
+    body: raw,
+    headers: WebhookAuthenticator.signedHeaders(SECRET, raw)
+  });
+  assert.strictEqual(signed.status, 400);
+  assert.strictEqual(signed.body.error.code, 'INVALID_JSON');
+}));
+
+test('a signed webhook is queued on the receiver', () => withServer(async ({ port, server }) => {
+  const raw = JSON.stringify({ owner: 'alice', amount: 5 });
+  const response = await request(port, 'POST', '/mint/request', {
+    body: raw,
+    headers: WebhookAuthenticator.signedHeaders(SECRET, raw)
+  });
+
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(response.body.success, true);
+  assert.strictEqual(server.receiver.getQueueStats().queue_length, 1);
+}));
+
+test('a mint whose ledger append fails is rolled back', async () => {
+  const eventBus = new EventBus(wiring);
+  const rateLimiter = new MintRateLimiter(rules);
+  const published = [];
+  eventBus.subscribe('audit', event => published.push(event.payload.token.id), { types: ['token.minted'] });
+
+  await withServer(async ({ port, ledger, alcMinter }) => {
+    alcMinter.registerActivity('alice', 60, 'user_contribution');
+    const charge = alcMinter.capacitor.getCharge('alice', 'user_contribution');
+    ledger.addToken = () => { throw new Error('ENOSPC: no space left on device'); };
+
+    const response = await request(port, 'POST', '/api/mint', { body: { trigger: 'user_contribution', owner: 'alice' } });
+    assert.strictEqual(response.status, 500);
+
+    assert.strictEqual(alcMinter.getStats().total_minted, 0);
+    // A discharge takes 20; only a few ms of decay may be missing
+    assert.ok(alcMinter.capacitor.getCharge('alice', 'user_contribution') > charge - 1);
+    assert.strictEqual(rateLimiter.getUsage('owner:alice').minute.used, 0);
+    await eventBus.drain();
+    assert.deepStrictEqual(published, []);
+  }, { eventBus, rateLimiter });
+});
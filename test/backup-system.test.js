@@ -0,0 +1,269 @@
+// Backup System tests
+// Restores rebuilt from full and incremental backups, to a point in time, refusing broken chains
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const ImmutableLedger = require('../storage/immutable-ledger');
+const BackupSystem = require('../storage/backup-system');
+const BackupArchive = require('../storage/backup-archive');
+const { sha256 } = require('../storage/hash-utils');
+const { token, tempDir } = require('./helpers');
+
+const START = Date.parse('2026-01-01T00:00:00Z');
+
+// A ledger and its backup system, with one entry per simulated second
+function setup(t) {
+  t.mock.timers.enable({ apis: ['Date'], now: START });
+  const ledger = new ImmutableLedger();
+  const backups = new BackupSystem({ getWriteStats: () => ({}) }, ledger);
+
+  const mint = count => {
+    for (let i = 0; i < count; i++) {
+      t.mock.timers.tick(1000);
+      ledger.addToken(token(`ALC_${ledger.ledger.length}`));
+    }
+  };
+
+  return { ledger, backups, mint };
+}
+
+test('a full backup plus incrementals restores the whole ledger', async t => {
+  const { ledger, backups, mint } = setup(t);
+  mint(60);
+  await backups.createFullBackup();
+  mint(30);
+  await backups.createIncrementalBackup(60);
+  mint(30);
+  const last = await backups.createIncrementalBackup(90);
+
+  const restore = await backups.restoreFromBackup(last.backup_id);
+
+  assert.strictEqual(restore.entries_restored, 120);
+  assert.strictEqual(restore.head_hash, ledger.ledger[119].hash);
+  assert.deepStrictEqual(restore.chain.map(s => s.applied), [60, 30, 30]);
+  assert.strictEqual(restore.ledger.merkleRoots[0].root_hash, ledger.merkleRoots[0].root_hash);
+  assert.strictEqual(restore.ledger.verifyIntegrity().valid, true);
+  assert.strictEqual(restore.ledger.getCurrentState('ALC_119').owner, 'alice');
+});
+
+test('a restore can stop at an index or a timestamp', async t => {
+  const { ledger, backups, mint } = setup(t);
+  mint(10);
+  await backups.createFullBackup();
+  mint(10);
+  const last = await backups.createIncrementalBackup(10);
+
+  const byIndex = await backups.restoreFromBackup(last.backup_id, { toIndex: 14 });
+  assert.strictEqual(byIndex.restored_to_index, 14);
+  assert.strictEqual(byIndex.head_hash, ledger.ledger[14].hash);
+
+  const byTime = await backups.restoreFromBackup(last.backup_id, { toTimestamp: ledger.ledger[6].timestamp });
+  assert.strictEqual(byTime.restored_to_index, 6);
+  assert.strictEqual(byTime.chain.length, 1);
+
+  await assert.rejects(backups.restoreFromBackup(last.backup_id, { toTimestamp: 'yesterday' }), /Invalid restore timestamp/);
+});
+
+test('a partly restored batch is left unsealed', async t => {
+  const { backups, mint } = setup(t);
+  mint(150);
+  const full = await backups.createFullBackup();
+
+  const restore = await backups.restoreFromBackup(full.backup_id, { toIndex: 49 });
+
+  assert.strictEqual(restore.entries_restored, 50);
+  assert.strictEqual(restore.ledger.merkleRoots.length, 0);
+});
+
+test('a broken link refuses the restore', async t => {
+  const { backups, mint } = setup(t);
+  mint(5);
+  await backups.createFullBackup();
+  mint(5);
+  const incremental = await backups.createIncrementalBackup(5);
+
+  incremental.data.entries[2].value = 1000;
+
+  await assert.rejects(backups.restoreFromBackup(incremental.backup_id), /Restore refused: .*Entry 7/);
+});
+
+test('a gap between backups refuses the restore', async t => {
+  const { backups, mint } = setup(t);
+  mint(5);
+  await backups.createFullBackup();
+  mint(10);
+  const incremental = await backups.createIncrementalBackup(10);
+
+  await assert.rejects(backups.restoreFromBackup(incremental.backup_id), /starts at entry 10 but only 5 entries precede it/);
+});
+
+test('incrementals need a full backup before them', async t => {
+  const { backups, mint } = setup(t);
+  mint(5);
+  const incremental = await backups.createIncrementalBackup(0);
+
+  await assert.rejects(backups.restoreFromBackup(incremental.backup_id), /no full backup precedes/);
+  await assert.rejects(backups.restoreFromBackup('BACKUP_missing'), /Backup not found/);
+});
+
+test('a restore can be written to a new ledger file, never over an existing one', async t => {
+  const { backups, mint } = setup(t);
+  const dir = tempDir(t, 'restore');
+  const filePath = path.join(dir, 'ledger.jsonl');
+  mint(120);
+  const full = await backups.createFullBackup();
+
+  const restore = await backups.restoreFromBackup(full.backup_id, { filePath });
+  restore.ledger.close();
+  assert.strictEqual(restore.storage.records, 121);
+
+  const reopened = new ImmutableLedger({ filePath });
+  reopened.close();
+  assert.strictEqual(reopened.ledger.length, 120);
+  assert.strictEqual(reopened.merkleRoots.length, 1);
+
+  await assert.rejects(backups.restoreFromBackup(full.backup_id, { filePath }), /already holds 120 ledger entries/);
+});
+
+test('archived backups are compressed and encrypted at rest and survive a restart', async t => {
+  const { ledger, mint } = setup(t);
+  const dir = tempDir(t, 'archive');
+  const encryptionKey = BackupArchive.generateKey();
+  mint(20);
+
+  const backups = new BackupSystem({ getWriteStats: () => ({}) }, ledger, { archive: new BackupArchive({ directory: dir, encryptionKey }) });
+  const full = await backups.createFullBackup();
+
+  assert.strictEqual(full.encrypted, true);
+  assert.strictEqual(full.compressed, true);
+  assert.ok(!fs.readFileSync(path.join(dir, full.file)).includes('ALC_1'));
+
+  const reopened = new BackupSystem({ getWriteStats: () => ({}) }, new ImmutableLedger(), { archive: new BackupArchive({ directory: dir, encryptionKey }) });
+  assert.deepStrictEqual(reopened.listBackups().map(b => b.backup_id), [full.backup_id]);
+  assert.strictEqual((await reopened.restoreFromBackup(full.backup_id)).head_hash, ledger.ledger[19].hash);
+
+  const wrongKey = new BackupArchive({ directory: dir, encryptionKey: BackupArchive.generateKey() });
+  await assert.rejects(wrongKey.read(full), /encrypted with key aes256:/);
+});
+
+test('retention keeps the newest full backup per hour, day and week', async t => {
+  const { backups, mint } = setup(t);
+  backups.retention = { hourly: 2, daily: 1, weekly: 1 };
+  const HOUR = 60 * 60 * 1000;
+
+  const made = [];
+  for (let i = 0; i < 4; i++) {
+    mint(1);
+    made.push(await backups.createFullBackup());
+    await backups.createIncrementalBackup(0);
+    t.mock.timers.tick(HOUR);
+  }
+
+  // The last two hours are kept, each with the incremental built on it
+  assert.deepStrictEqual(
+    backups.listBackups().filter(b => b.type === 'full').map(b => b.backup_id),
+    made.slice(-2).map(b => b.backup_id)
+  );
+  assert.strictEqual(backups.listBackups().length, 4);
+});
+
+test('a failed auto-backup is logged and recorded instead of escaping the timer', async t => {
+  const { backups, mint } = setup(t);
+  mint(1);
+  const warn = t.mock.method(console, 'warn', () => {});
+  t.mock.method(console, 'log', () => {});
+
+  const ok = await backups.runAutoBackup();
+  assert.strictEqual(ok.success, true);
+
+  t.mock.method(backups, 'storeBackup', async () => { throw new Error('ENOSPC: no space left on device'); });
+  const failed = await backups.runAutoBackup();
+
+  assert.deepStrictEqual([failed.success, failed.error], [false, 'ENOSPC: no space left on device']);
+  assert.match(warn.mock.calls[0].arguments.join(' '), /⚠️ Auto-backup failed: ENOSPC/);
+
+  const stats = backups.getBackupStats();
+  assert.strictEqual(stats.auto_backup_failures, 1);
+  assert.strictEqual(stats.last_auto_backup.success, false);
+});
+
+test('deep verification catches a tampered backup and divergence from the live ledger', async t => {
+  const { ledger, backups, mint } = setup(t);
+  mint(5);
+  const tampered = await backups.createFullBackup();
+  const diverged = await backups.createIncrementalBackup(0);
+
+  tampered.data.ledger.ledger[2].owner = 'mallory';
+  assert.match((await backups.verifyBackup(tampered.backup_id, { mode: 'quick' })).errors[0], /Checksum does not match/);
+
+  // Same chain as a backup, but the live ledger has since been rolled back and re-minted
+  ledger.rollback({ entries: 3, merkle_roots: 0, file: null });
+  mint(2);
+  const result = await backups.verifyBackup(diverged.backup_id);
+
+  assert.strictEqual(result.valid, true);
+  assert.deepStrictEqual(result.live.divergent_indices, [3, 4]);
+  assert.deepStrictEqual(backups.getBackupStats().verification.bad_backups.map(b => b.backup_id), [tampered.backup_id]);
+  assert.deepStrictEqual(backups.getBackupStats().verification.diverged_from_live, [diverged.backup_id]);
+});
+
+// Tamper with a stored backup and re-seal its checksum, so only the deep checks can tell.
+// In-memory backups share entry objects with the live ledger, so the forgery edits a copy
+function forge(backup, change) {
+  backup.data = structuredClone(backup.data);
+  change(backup.data.ledger.ledger);
+  backup.checksum = sha256(JSON.stringify(backup.data));
+}
+
+test('deep verification catches tampering that the checksum was recomputed over', async t => {
+  const { ledger, backups, mint } = setup(t);
+  mint(100);
+  const edited = await backups.createFullBackup();
+
+  // An edited entry no longer matches its own hash
+  forge(edited, entries => {
+    entries[2].owner = 'mallory';
+    entries[2].token.owner = 'mallory';
+  });
+  assert.strictEqual((await backups.verifyBackup(edited.backup_id, { mode: 'quick' })).valid, true);
+
+  const chain = await backups.verifyBackup(edited.backup_id);
+  assert.strictEqual(chain.valid, false);
+  assert.strictEqual(chain.chain_errors[0].index, 2);
+  assert.match(chain.errors[0], /Hash chain broken at entry 2/);
+
+  // Re-hashing the edited entry and every link after it leaves only the sealed Merkle root to catch it.
+  // (A second later, so the new full backup is the one retention keeps)
+  t.mock.timers.tick(1000);
+  const rechained = await backups.createFullBackup();
+  forge(rechained, entries => {
+    entries[2].owner = 'mallory';
+    entries[2].token.owner = 'mallory';
+    for (let i = 2; i < entries.length; i++) {
+      entries[i].previous_hash = entries[i - 1].hash;
+      entries[i].hash = ledger.calculateHash(entries[i]);
+    }
+  });
+
+  const merkle = await backups.verifyBackup(rechained.backup_id);
+  assert.deepStrictEqual(merkle.chain_errors, []);
+  assert.strictEqual(merkle.merkle.errors.length, 1);
+  assert.match(merkle.errors[0], /Merkle root .* does not match its entries/);
+  assert.deepStrictEqual(merkle.live.divergent_indices.slice(0, 2), [2, 3]);
+});
+
+test('a scheduled verification pass that throws is logged and recorded', async t => {
+  const { backups, mint } = setup(t);
+  mint(1);
+  await backups.createFullBackup();
+  const warn = t.mock.method(console, 'warn', () => {});
+
+  t.mock.method(backups, 'verifyAllBackups', async () => { throw new Error('EIO: i/o error'); });
+  const run = await backups.runScheduledVerification({ mode: 'quick' });
+
+  assert.deepStrictEqual([run.mode, run.error], ['quick', 'EIO: i/o error']);
+  assert.match(warn.mock.calls[0].arguments.join(' '), /⚠️ Scheduled backup verification failed: EIO/);
+  assert.strictEqual(backups.getBackupStats().verification.failed_runs, 1);
+});
@@ -0,0 +1,120 @@
+// Batch Processor tests
+// Concurrent workers, and atomic batches that roll back tokens, stats, capacitors, events and ledger appends
+
+const test = require('node:test');
+const assert = require('node:assert');
+const BatchProcessor = require('../minting/batch-processor');
+const ALCMinter = require('../minting/alc-minter');
+const EventBus = require('../wiring/event-bus');
+const ImmutableLedger = require('../storage/immutable-ledger');
+const alcConfig = require('../.infinity/alc-config.json');
+const wiringConfig = require('../.infinity/wiring-config.json');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// A real minter whose owners are charged enough for one mint each
+function chargedMinter(owners, eventBus = null) {
+  const minter = new ALCMinter(alcConfig, null, null, eventBus);
+  for (const owner of owners) {
+    while (!minter.checkCapacitorCharge(owner, 'user_contribution')) {
+      minter.chargeCapacitor(owner, 10, 'user_contribution');
+    }
+  }
+  return minter;
+}
+
+function requests(owners) {
+  return owners.map(owner => ({ owner, trigger: 'user_contribution', amount: 1 }));
+}
+
+test('independent batches keep the mints that succeed', async () => {
+  const minter = chargedMinter(['alice', 'bob']);
+  const batch = new BatchProcessor(null, minter);
+
+  const result = await batch.processRequests(requests(['alice', 'carol', 'bob']));
+
+  assert.strictEqual(result.mode, 'independent');
+  assert.deepStrictEqual(result.tokens.map(t => t.owner), ['alice', 'bob']);
+  assert.deepStrictEqual(result.errors.map(e => [e.index, e.code]), [[1, 'INSUFFICIENT_CHARGE']]);
+  assert.strictEqual(minter.totalMinted, 2);
+});
+
+test('an atomic batch that fails rolls back every mint, stat, charge, event and ledger entry', async () => {
+  const bus = new EventBus(wiringConfig);
+  const seen = [];
+  bus.subscribe('audit', event => seen.push(event.type));
+  const minter = chargedMinter(['alice', 'bob'], bus);
+  const ledger = new ImmutableLedger();
+  const chargeBefore = minter.capacitor.getCharge('alice', 'user_contribution');
+
+  const result = await new BatchProcessor(null, minter, bus, { ledger })
+    .processRequests(requests(['alice', 'bob', 'carol']), { atomic: true });
+  await bus.drain();
+
+  assert.deepStrictEqual([result.mode, result.committed, result.failed_index, result.rolled_back], ['atomic', false, 2, 2]);
+  assert.deepStrictEqual(result.tokens, []);
+  assert.deepStrictEqual(result.errors.map(e => e.code), ['BATCH_ROLLED_BACK', 'BATCH_ROLLED_BACK', 'INSUFFICIENT_CHARGE']);
+  assert.strictEqual(minter.totalMinted, 0);
+  assert.strictEqual(minter.mintingHistory.length, 0);
+  assert.ok(minter.capacitor.getCharge('alice', 'user_contribution') >= chargeBefore - 0.01);
+  assert.strictEqual(ledger.ledger.length, 0);
+  assert.deepStrictEqual(seen, ['batch.completed']);
+});
+
+test('a committed atomic batch appends to the ledger and then publishes its events', async () => {
+  const bus = new EventBus(wiringConfig);
+  const seen = [];
+  bus.subscribe('audit', event => seen.push(event.type), { types: ['token.minted', 'batch.completed'] });
+  const ledger = new ImmutableLedger();
+
+  const result = await new BatchProcessor(null, chargedMinter(['alice', 'bob'], bus), bus, { ledger, atomic: true })
+    .processRequests(requests(['alice', 'bob']));
+  await bus.drain();
+
+  assert.strictEqual(result.committed, true);
+  assert.deepStrictEqual(result.ledger_entries.map(e => e.token_id), result.tokens.map(t => t.id));
+  assert.strictEqual(ledger.ledger.length, 2);
+  assert.deepStrictEqual(seen, ['token.minted', 'token.minted', 'batch.completed']);
+});
+
+test('a ledger append failure also rolls the batch back', async () => {
+  const ledger = new ImmutableLedger();
+  const minter = chargedMinter(['alice', 'bob']);
+  const addToken = ledger.addToken.bind(ledger);
+  let appends = 0;
+  ledger.addToken = token => {
+    if (++appends === 2) throw new Error('disk full');
+    return addToken(token);
+  };
+
+  const result = await new BatchProcessor(null, minter, null, { ledger, atomic: true })
+    .processRequests(requests(['alice', 'bob']));
+
+  assert.deepStrictEqual([result.committed, result.failed_index], [false, 1]);
+  assert.strictEqual(result.errors[1].error, 'disk full');
+  assert.strictEqual(ledger.ledger.length, 0);
+  assert.strictEqual(minter.totalMinted, 0);
+});
+
+test('mints run on a bounded worker pool', async () => {
+  let active = 0;
+  let peak = 0;
+  const slowMinter = {
+    async mint(request) {
+      active++;
+      peak = Math.max(peak, active);
+      await sleep(20);
+      active--;
+      return { success: true, token: { id: `ALC_${request.owner}`, owner: request.owner } };
+    }
+  };
+  const batch = new BatchProcessor(null, slowMinter, null, { concurrency: 3 });
+
+  const started = Date.now();
+  const result = await batch.processRequests(requests(['a', 'b', 'c', 'd', 'e', 'f']));
+
+  assert.strictEqual(peak, 3);
+  assert.ok(Date.now() - started < 6 * 20);
+  assert.deepStrictEqual(result.tokens.map(t => t.owner), ['a', 'b', 'c', 'd', 'e', 'f']);
+  assert.strictEqual(batch.getQueueStatus().active_workers, 0);
+});
@@ -0,0 +1,95 @@
+// Capacitor Mint tests
+// Per-owner capacitors whose charge and decay follow RC curves, computed lazily from elapsed time
+
+const test = require('node:test');
+const assert = require('node:assert');
+const CapacitorMint = require('../minting/capacitor-mint');
+const ALCMinter = require('../minting/alc-minter');
+const alcConfig = require('../.infinity/alc-config.json');
+
+// charge_tau 10s, decay_tau 600s, discharge 20 per mint, threshold 100
+function physics(overrides = {}) {
+  return { ...alcConfig, capacitor_physics: { ...alcConfig.capacitor_physics, ...overrides } };
+}
+
+function close(actual, expected) {
+  assert.ok(Math.abs(actual - expected) < 1e-6, `${actual} is not ${expected}`);
+}
+
+test('activity charges toward the supply level on an RC curve', () => {
+  const capacitor = new CapacitorMint(physics());
+
+  // One time constant of activity: 110 · (1 - e^-1)
+  const result = capacitor.registerActivity('alice', 10, {}, 0);
+
+  close(result.charge, 110 * (1 - Math.exp(-1)));
+  assert.strictEqual(result.can_mint, false);
+});
+
+test('charge decays with elapsed time, without anyone calling a decay step', () => {
+  const capacitor = new CapacitorMint(physics());
+  capacitor.registerActivity('alice', 10, {}, 0);
+  const charged = capacitor.getCharge('alice', null, 0);
+
+  close(capacitor.getCharge('alice', null, 600000), charged * Math.exp(-1));
+  close(capacitor.getCharge('alice', null, 1200000), charged * Math.exp(-2));
+});
+
+test('each owner has their own capacitor', () => {
+  const capacitor = new CapacitorMint(physics());
+  capacitor.registerActivity('alice', 60, {}, 0);
+
+  assert.strictEqual(capacitor.canMint('alice', null, 0), true);
+  assert.strictEqual(capacitor.canMint('bob', null, 0), false);
+  assert.strictEqual(capacitor.getCharge('bob', null, 0), 0);
+});
+
+test('with per_trigger, an owner charges each trigger separately', () => {
+  const capacitor = new CapacitorMint(physics({ per_trigger: true }));
+  capacitor.registerActivity('alice', 60, { trigger: 'purchase' }, 0);
+
+  assert.strictEqual(capacitor.canMint('alice', 'purchase', 0), true);
+  assert.strictEqual(capacitor.canMint('alice', 'user_contribution', 0), false);
+});
+
+test('a mint discharges only the minting owner, and a rollback gives the charge back', () => {
+  const capacitor = new CapacitorMint(physics());
+  capacitor.registerActivity('alice', 60, {}, 0);
+  capacitor.registerActivity('bob', 60, {}, 0);
+
+  const minted = capacitor.attemptMint('alice', null, 0);
+  assert.strictEqual(minted.success, true);
+  assert.strictEqual(capacitor.getCharge('alice', null, 0), 80);
+  assert.strictEqual(capacitor.getCharge('bob', null, 0), 100);
+
+  const refused = capacitor.attemptMint('alice', null, 0);
+  assert.deepStrictEqual([refused.code, refused.needed], ['INSUFFICIENT_CHARGE', 20]);
+
+  capacitor.restore('alice', null, 20, 0);
+  assert.strictEqual(capacitor.canMint('alice', null, 0), true);
+});
+
+test('ALCMinter mints from the owner\'s capacitor, so one active user can\'t charge it for everyone', async () => {
+  const minter = new ALCMinter(alcConfig);
+  for (let i = 0; i < 6; i++) {
+    minter.chargeCapacitor('alice', 10, 'user_contribution');
+  }
+
+  const bob = await minter.mint({ owner: 'bob', trigger: 'user_contribution' });
+  const alice = await minter.mint({ owner: 'alice', trigger: 'user_contribution' });
+
+  assert.strictEqual(bob.code, 'INSUFFICIENT_CHARGE');
+  assert.strictEqual(alice.success, true);
+  assert.strictEqual(minter.capacitor.getStatus('alice').mints, 1);
+});
+
+test('fully decayed capacitors are pruned', () => {
+  const capacitor = new CapacitorMint(physics(), null, null, { maxTracked: 2 });
+  capacitor.registerActivity('alice', 1, {}, 0);
+  capacitor.registerActivity('bob', 1, {}, 0);
+
+  // Long after both have leaked away, a third owner makes room by dropping them
+  capacitor.registerActivity('carol', 1, {}, 600000 * 20);
+
+  assert.strictEqual(capacitor.getStats(600000 * 20).tracked_capacitors, 1);
+});
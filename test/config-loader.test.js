@@ -0,0 +1,140 @@
+// Config Loader tests
+// Strict schemas for the .infinity files and all-or-nothing hot reload
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const ConfigLoader = require('../config/config-loader');
+const { ConfigValidationError } = require('../config/config-loader');
+const { validateConfig } = require('../config/schemas');
+const { tempDir } = require('./helpers');
+
+const SOURCE_DIR = path.join(__dirname, '..', '.infinity');
+const FILES = ['alc-config.json', 'minting-rules.json', 'wiring-config.json'];
+
+function configDir(t) {
+  const dir = tempDir(t, 'config');
+  for (const file of FILES) {
+    fs.copyFileSync(path.join(SOURCE_DIR, file), path.join(dir, file));
+  }
+  return dir;
+}
+
+function rewrite(dir, file, change) {
+  const target = path.join(dir, file);
+  const config = JSON.parse(fs.readFileSync(target, 'utf8'));
+  change(config);
+  fs.writeFileSync(target, JSON.stringify(config, null, 2));
+}
+
+function recorder() {
+  return { applied: [], applyConfig(config) { this.applied.push(config); } };
+}
+
+test('the shipped configs are valid', () => {
+  for (const [name, file] of [['alc', 'alc-config.json'], ['rules', 'minting-rules.json'], ['wiring', 'wiring-config.json']]) {
+    const result = validateConfig(name, JSON.parse(fs.readFileSync(path.join(SOURCE_DIR, file), 'utf8')));
+    assert.deepStrictEqual(result.errors, [], file);
+  }
+});
+
+test('relative storage adapter paths are resolved against the config directory', t => {
+  const dir = configDir(t);
+  rewrite(dir, 'alc-config.json', config => {
+    config.distribution.storage_adapters.team_archive = { adapter: 'filesystem', path: '/srv/archive' };
+    config.distribution.storage_locations.push('team_archive');
+  });
+
+  const { storage_adapters: adapters } = new ConfigLoader(dir).load().alc.distribution;
+
+  assert.strictEqual(adapters.local_mint_database.path, path.join(dir, 'data', 'mint-database'));
+  assert.strictEqual(adapters.team_archive.path, '/srv/archive');
+});
+
+test('every schema error is reported, unknown keys included', () => {
+  const config = JSON.parse(fs.readFileSync(path.join(SOURCE_DIR, 'alc-config.json'), 'utf8'));
+  config.capacitor_physics.threshold = 150;
+  config.surprise = true;
+
+  const { valid, errors } = validateConfig('alc', config);
+
+  assert.strictEqual(valid, false);
+  assert.deepStrictEqual(errors.map(e => e.path), ['capacitor_physics.threshold', 'surprise']);
+});
+
+test('a storage location needs to be built in or have an adapter entry', () => {
+  const config = JSON.parse(fs.readFileSync(path.join(SOURCE_DIR, 'alc-config.json'), 'utf8'));
+  config.distribution.storage_locations.push('nowhere');
+  const index = config.distribution.storage_locations.length - 1;
+
+  const { errors } = validateConfig('alc', config);
+  assert.strictEqual(errors[0].path, `distribution.storage_locations[${index}]`);
+
+  config.distribution.storage_adapters = { ...config.distribution.storage_adapters, nowhere: { adapter: 'memory' } };
+  assert.deepStrictEqual(validateConfig('alc', config).errors, []);
+});
+
+test('load throws ConfigValidationError naming the file', t => {
+  const dir = configDir(t);
+  rewrite(dir, 'minting-rules.json', rules => { delete rules.token_types; });
+
+  assert.throws(() => new ConfigLoader(dir).load(), error => {
+    assert.ok(error instanceof ConfigValidationError);
+    assert.strictEqual(error.file, 'minting-rules.json');
+    assert.strictEqual(error.errors[0].path, 'token_types');
+    return true;
+  });
+});
+
+test('a valid change is applied to every bound instance', t => {
+  const dir = configDir(t);
+  const loader = new ConfigLoader(dir);
+  loader.load();
+  const a = loader.bind('alc', recorder());
+  const b = loader.bind('alc', recorder());
+  const wiring = loader.bind('wiring', recorder());
+
+  rewrite(dir, 'alc-config.json', alc => { alc.capacitor_physics.threshold = 80; });
+  const entry = loader.reload();
+
+  assert.strictEqual(entry.applied, true);
+  assert.deepStrictEqual(entry.changed, ['alc']);
+  assert.strictEqual(a.applied[0].capacitor_physics.threshold, 80);
+  assert.strictEqual(b.applied[0].capacitor_physics.threshold, 80);
+  assert.strictEqual(wiring.applied.length, 0);
+});
+
+test('an invalid file is rejected and the previous config kept', t => {
+  const dir = configDir(t);
+  const loader = new ConfigLoader(dir);
+  loader.load();
+  const instance = loader.bind('rules', recorder());
+  t.mock.method(console, 'warn', () => {});
+
+  fs.writeFileSync(path.join(dir, 'minting-rules.json'), '{ "version": ');
+  const entry = loader.reload();
+
+  assert.strictEqual(entry.applied, false);
+  assert.strictEqual(entry.rejected[0].config, 'rules');
+  assert.strictEqual(instance.applied.length, 0);
+  assert.strictEqual(loader.get('rules').version, '1.0.0');
+});
+
+test('if one instance refuses a config, the ones already updated are rolled back', t => {
+  const dir = configDir(t);
+  const loader = new ConfigLoader(dir);
+  loader.load();
+  t.mock.method(console, 'warn', () => {});
+
+  const first = loader.bind('alc', recorder());
+  loader.bind('alc', { applyConfig(config) { if (config.capacitor_physics.threshold === 70) throw new Error('nope'); } });
+
+  rewrite(dir, 'alc-config.json', alc => { alc.capacitor_physics.threshold = 70; });
+  const entry = loader.reload();
+
+  assert.strictEqual(entry.applied, false);
+  assert.match(entry.rejected[0].error, /Rolled back: nope/);
+  assert.strictEqual(first.applied.length, 2);
+  assert.strictEqual(first.applied[1].capacitor_physics.threshold, loader.get('alc').capacitor_physics.threshold);
+});
@@ -0,0 +1,112 @@
+// Delivery Outbox tests
+// Failed deliveries are queued, retried with backoff, dead-lettered, replayed and persisted
+
+const test = require('node:test');
+const assert = require('node:assert');
+const DeliveryOutbox = require('../wiring/delivery-outbox');
+const TokenDistributor = require('../wiring/token-distributor');
+const wiringConfig = require('../.infinity/wiring-config.json');
+const { tempDir } = require('./helpers');
+
+const token = { id: 'ALC_1', type: 'ALC', owner: 'alice', value: 10 };
+
+// A HydrogenDelivery stand-in that routes only dash-hub and fails while `down` is set
+function flakyDelivery() {
+  return {
+    down: true,
+    sent: [],
+    hasRoute: destination => destination === 'dash-hub',
+    async deliver(t, destination) {
+      if (this.down) {
+        return { status: 'failed', error: 'ECONNREFUSED' };
+      }
+      this.sent.push(`${destination}:${t.id}`);
+      return { status: 'delivered', timestamp: new Date().toISOString() };
+    }
+  };
+}
+
+test('a failed delivery is queued and delivered once it is due', async () => {
+  const delivery = flakyDelivery();
+  const distributor = new TokenDistributor(wiringConfig, new DeliveryOutbox({ baseDelayMs: 1000 }), delivery);
+
+  const result = await distributor.distributeToken(token);
+  const queued = result.destinations['dash-hub'];
+  assert.deepStrictEqual([queued.success, queued.queued], [false, true]);
+  assert.strictEqual(distributor.getStats().outbox.pending_by_destination['dash-hub'], 1);
+
+  // Not due yet
+  assert.strictEqual((await distributor.retryPending(Date.now())).attempted, 0);
+
+  delivery.down = false;
+  const pass = await distributor.retryPending(Date.now() + 1000);
+  assert.deepStrictEqual(pass, { attempted: 1, delivered: 1, failed: 0, dead_lettered: 0 });
+  assert.deepStrictEqual(delivery.sent, ['dash-hub:ALC_1']);
+  assert.strictEqual(distributor.getStats().outbox.pending, 0);
+});
+
+test('backoff doubles per attempt, with jitter, up to the cap', () => {
+  const outbox = new DeliveryOutbox({ baseDelayMs: 1000, maxDelayMs: 8000 });
+
+  for (const [attempts, delay] of [[1, 1000], [2, 2000], [3, 4000], [4, 8000], [10, 8000]]) {
+    for (let i = 0; i < 20; i++) {
+      const actual = outbox.backoffDelay(attempts);
+      assert.ok(actual >= delay / 2 && actual <= delay, `attempt ${attempts}: ${actual}`);
+    }
+  }
+});
+
+test('past maxAttempts a delivery is dead-lettered, and can be replayed or purged', async t => {
+  t.mock.method(console, 'warn', () => {});
+  const delivery = flakyDelivery();
+  const distributor = new TokenDistributor(wiringConfig, new DeliveryOutbox({ maxAttempts: 3 }), delivery);
+  await distributor.distributeToken(token);
+
+  const far = Date.now() + 24 * 60 * 60 * 1000;
+  await distributor.retryPending(far);
+  const last = await distributor.retryPending(far);
+
+  assert.strictEqual(last.dead_lettered, 1);
+  const [dead] = distributor.getDeadLetters({ destination: 'dash-hub' });
+  assert.deepStrictEqual([dead.attempts, dead.last_error], [3, 'dash-hub delivery failed: ECONNREFUSED']);
+  assert.strictEqual(distributor.getStats().outbox.dead_lettered, 1);
+
+  assert.deepStrictEqual(distributor.replayDeadLetters({ destination: 'dash-hub' }), { replayed: 1 });
+  delivery.down = false;
+  assert.strictEqual((await distributor.retryPending(far)).delivered, 1);
+
+  delivery.down = true;
+  await distributor.distributeToken({ ...token, id: 'ALC_2' });
+  await distributor.retryPending(far);
+  await distributor.retryPending(far);
+  assert.strictEqual(distributor.purgeDeadLetters({ destination: 'dash-hub' }).purged, 1);
+  assert.deepStrictEqual(distributor.getDeadLetters(), []);
+  assert.strictEqual(distributor.replayDeadLetter('DLV_missing').success, false);
+});
+
+test('queued and dead-lettered deliveries survive a restart', t => {
+  const directory = tempDir(t, 'outbox');
+  const outbox = new DeliveryOutbox({ directory, maxAttempts: 2 });
+  const route = wiringConfig.sends_to[0];
+  const pending = outbox.enqueue(route, token, 'ECONNREFUSED');
+  const doomed = outbox.enqueue(route, { ...token, id: 'ALC_2' }, 'ECONNREFUSED');
+  outbox.recordFailure(doomed, 'ECONNREFUSED');
+  outbox.close();
+
+  const reopened = new DeliveryOutbox({ directory, maxAttempts: 2 });
+  t.after(() => reopened.close());
+
+  assert.deepStrictEqual(reopened.due(Infinity).map(d => d.delivery_id), [pending.delivery_id]);
+  assert.deepStrictEqual(reopened.getDeadLetters().map(d => d.token.id), ['ALC_2']);
+  assert.strictEqual(reopened.getStats().persisted, true);
+});
+
+test('without queue_and_retry, failures are only reported', async () => {
+  const config = { ...wiringConfig, hydrogen_bonds: { ...wiringConfig.hydrogen_bonds, fallback: 'drop' } };
+  const distributor = new TokenDistributor(config, new DeliveryOutbox(), flakyDelivery());
+
+  const result = await distributor.distributeToken(token);
+
+  assert.strictEqual(result.destinations['dash-hub'].queued, undefined);
+  assert.strictEqual(distributor.getStats().outbox.pending, 0);
+});
@@ -0,0 +1,139 @@
+// Event Bus tests
+// Typed events, per-owner ordering, isolated subscriber failures and cascade_to subscribers
+
+const test = require('node:test');
+const assert = require('node:assert');
+const EventBus = require('../wiring/event-bus');
+const ALCMinter = require('../minting/alc-minter');
+const alcConfig = require('../.infinity/alc-config.json');
+const wiringConfig = require('../.infinity/wiring-config.json');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function minted(owner, id) {
+  return { token: { id, type: 'ALC', owner, value: 1 } };
+}
+
+test('events must be a known type and carry their required fields', () => {
+  const bus = new EventBus(wiringConfig);
+
+  assert.throws(() => bus.publish('token.vanished', {}), /Unknown event type: token.vanished/);
+  assert.throws(() => bus.publish('token.transferred', { token_id: 'ALC_1', from: 'alice' }), /missing to/);
+  assert.throws(() => bus.subscribe('x', () => {}, { types: ['token.vanished'] }), /Unknown event type/);
+
+  const event = bus.publish('token.burned', { token_id: 'ALC_1', owner: 'alice' });
+  assert.deepStrictEqual([event.type, event.sequence], ['token.burned', 1]);
+});
+
+test('one owner\'s events arrive in order, without waiting on other owners', async () => {
+  const bus = new EventBus(wiringConfig);
+  const seen = [];
+  bus.subscribe('audit', async event => {
+    // Alice's first event is slow; her second must still come after it, bob's need not
+    if (event.payload.token.id === 'A1') await sleep(20);
+    seen.push(event.payload.token.id);
+  }, { types: ['token.minted'] });
+
+  bus.publish('token.minted', minted('alice', 'A1'));
+  bus.publish('token.minted', minted('alice', 'A2'));
+  bus.publish('token.minted', minted('bob', 'B1'));
+  await bus.drain();
+
+  assert.deepStrictEqual(seen, ['B1', 'A1', 'A2']);
+});
+
+test('a transfer waits for the sender\'s earlier events and holds back the recipient\'s later ones', async () => {
+  const bus = new EventBus(wiringConfig);
+  const seen = [];
+  bus.subscribe('audit', async event => {
+    if (event.sequence === 1) await sleep(20);
+    seen.push(event.sequence);
+  });
+
+  bus.publish('token.minted', minted('alice', 'A1'));
+  bus.publish('token.transferred', { token_id: 'A1', from: 'alice', to: 'bob' });
+  bus.publish('token.burned', { token_id: 'A1', owner: 'bob' });
+  await bus.drain();
+
+  assert.deepStrictEqual(seen, [1, 2, 3]);
+});
+
+test('a throwing or hanging subscriber never reaches the publisher or other subscribers', async () => {
+  const bus = new EventBus(wiringConfig, { handlerTimeoutMs: 20 });
+  const good = [];
+  bus.subscribe('throws', () => { throw new Error('boom'); });
+  bus.subscribe('hangs', () => new Promise(() => {}));
+  bus.subscribe('good', event => good.push(event.type));
+
+  bus.publish('batch.completed', { batch_id: 'B', size: 1, minted: 1, failed: 0 });
+  await bus.drain();
+
+  assert.deepStrictEqual(good, ['batch.completed']);
+  const failures = bus.getFailureLog().map(f => [f.subscriber, f.error]);
+  assert.deepStrictEqual(failures, [['throws', 'boom'], ['hangs', 'Handler timed out after 20ms']]);
+});
+
+test('a mint still succeeds when a subscriber fails', async () => {
+  const bus = new EventBus(wiringConfig);
+  bus.subscribe('bad', () => { throw new Error('boom'); });
+  const minter = new ALCMinter(alcConfig, null, null, bus);
+  while (!minter.checkCapacitorCharge('alice', 'user_contribution')) {
+    minter.chargeCapacitor('alice', 10, 'user_contribution');
+  }
+
+  const result = await minter.mint({ owner: 'alice', trigger: 'user_contribution' });
+  await bus.drain();
+
+  assert.strictEqual(result.success, true);
+  assert.deepStrictEqual(bus.getStats().published, { 'capacitor.discharged': 1, 'token.minted': 1 });
+  assert.strictEqual(bus.getStats().subscribers[0].failed, 2);
+});
+
+test('a subscriber that edits a minted token cannot change the minter\'s token', async () => {
+  const bus = new EventBus(wiringConfig);
+  const seen = [];
+  bus.subscribe('meddler', event => {
+    seen.push(event.payload.token);
+    event.payload.token.owner = 'mallory';
+    event.payload.token.metadata.trigger = 'milestone';
+  }, { types: ['token.minted'] });
+  const minter = new ALCMinter(alcConfig, null, null, bus);
+  while (!minter.checkCapacitorCharge('alice', 'user_contribution')) {
+    minter.chargeCapacitor('alice', 10, 'user_contribution');
+  }
+
+  const { token } = await minter.mint({ owner: 'alice', trigger: 'user_contribution' });
+  await bus.drain();
+
+  assert.strictEqual(token.owner, 'alice');
+  assert.strictEqual(token.metadata.trigger, 'user_contribution');
+  assert.notStrictEqual(seen[0], token);
+  assert.ok(Object.isFrozen(seen[0].metadata));
+  assert.strictEqual(seen[0].owner, 'alice');
+});
+
+test('cascade_to targets receive events once bound, and stop when dropped from the config', async () => {
+  const bus = new EventBus(wiringConfig);
+  const pricing = [];
+  bus.bindCascadeTarget('pricing-engine', event => pricing.push(event.type), { types: ['token.minted'] });
+
+  assert.deepStrictEqual(bus.getStats().unbound_targets, ['dash-hub', 'documentation', 'mongoose-learning']);
+
+  bus.publish('token.minted', minted('alice', 'A1'));
+  await bus.drain();
+  assert.deepStrictEqual(pricing, ['token.minted']);
+
+  const reloaded = bus.applyConfig({
+    ...wiringConfig,
+    domino_cascade: { ...wiringConfig.domino_cascade, cascade_to: ['dash-hub'] }
+  });
+  assert.deepStrictEqual(reloaded, { subscribed: [], unbound: ['dash-hub'] });
+
+  bus.publish('token.minted', minted('alice', 'A2'));
+  await bus.drain();
+  assert.deepStrictEqual(pricing, ['token.minted']);
+
+  // Re-listing the target brings its bound handler back
+  bus.applyConfig(wiringConfig);
+  assert.ok(bus.getStats().subscribers.some(s => s.name === 'pricing-engine'));
+});
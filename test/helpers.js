@@ -0,0 +1,23 @@
+// Test helpers
+// Token fixtures and throwaway directories shared by the suites
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// An immutable token as the ledger and storage adapters take it
+function token(id, { type = 'ALC', owner = 'alice', value = 10 } = {}) {
+  return { id, type, owner, value, immutable: true, metadata: { trigger: 'user_contribution' } };
+}
+
+// A fresh directory under the OS temp dir, removed when the test ends
+function tempDir(t, name = 'test') {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), `infinity-${name}-`));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { token, tempDir };
+}
@@ -0,0 +1,205 @@
+// Hydrogen Delivery tests
+// Acknowledged deliveries over HTTP, WebSocket and filesystem drop, with real failure modes
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const HydrogenDelivery = require('../wiring/hydrogen-delivery');
+const WebSocketTransport = require('../wiring/transports/websocket-transport');
+const { tempDir } = require('./helpers');
+
+const token = { id: 'ALC_1', type: 'ALC', owner: 'alice', value: 10 };
+
+// In-process WebSocket client stand-in; the test drives open, ack, error and close
+function fakeWebSocket() {
+  const sockets = [];
+
+  class FakeSocket extends EventTarget {
+    constructor(url) {
+      super();
+      this.url = url;
+      this.readyState = 0;
+      this.sent = [];
+      sockets.push(this);
+    }
+
+    open() {
+      this.readyState = 1;
+      this.dispatchEvent(new Event('open'));
+    }
+
+    send(data) {
+      if (this.readyState !== 1) {
+        throw new Error('WebSocket is not open');
+      }
+      this.sent.push(JSON.parse(data));
+    }
+
+    ack(i = 0) {
+      this.dispatchEvent(new MessageEvent('message', { data: JSON.stringify({ ack: this.sent[i].delivery_id }) }));
+    }
+
+    fail() {
+      this.dispatchEvent(new Event('error'));
+    }
+
+    close() {
+      this.readyState = 3;
+      this.dispatchEvent(new Event('close'));
+    }
+  }
+
+  return { FakeSocket, sockets };
+}
+
+function envelope(id) {
+  return { delivery_id: id, destination: 'dash-hub', token, sent_at: new Date().toISOString() };
+}
+
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+test('an HTTP delivery is delivered once the peer acknowledges it', async t => {
+  const echo = await HydrogenDelivery.startEchoServer();
+  t.after(() => echo.close());
+  const delivery = new HydrogenDelivery({ routes: { 'dash-hub': { transport: 'http', url: echo.url } } });
+
+  const result = await delivery.deliver(token, 'dash-hub');
+
+  assert.strictEqual(result.status, 'delivered');
+  assert.strictEqual(result.method, 'http');
+  assert.deepStrictEqual([result.receipt.acknowledged, result.receipt.http_status], [true, 200]);
+});
+
+test('HTTP failures are reported as refused, rejected or timeout, mid-body timeouts included', async t => {
+  const closed = await HydrogenDelivery.startEchoServer();
+  await closed.close();
+
+  const silent = http.createServer(() => {});
+  const rejecting = http.createServer((req, res) => res.writeHead(503).end());
+  // Headers and half a body, then nothing
+  const stalling = http.createServer((req, res) => {
+    res.writeHead(200, { 'content-type': 'application/json' });
+    res.write('{"ack":');
+  });
+  await new Promise(resolve => silent.listen(0, '127.0.0.1', resolve));
+  await new Promise(resolve => rejecting.listen(0, '127.0.0.1', resolve));
+  await new Promise(resolve => stalling.listen(0, '127.0.0.1', resolve));
+  t.after(() => {
+    silent.closeAllConnections();
+    silent.close();
+    rejecting.close();
+    stalling.closeAllConnections();
+    stalling.close();
+  });
+
+  const delivery = new HydrogenDelivery({
+    routes: {
+      down: { transport: 'http', url: closed.url },
+      silent: { transport: 'http', url: `http://127.0.0.1:${silent.address().port}/`, timeout_ms: 100 },
+      busy: { transport: 'http', url: `http://127.0.0.1:${rejecting.address().port}/` },
+      stalled: { transport: 'http', url: `http://127.0.0.1:${stalling.address().port}/`, timeout_ms: 100 }
+    }
+  });
+
+  assert.strictEqual((await delivery.deliver(token, 'down')).status, 'refused');
+  assert.strictEqual((await delivery.deliver(token, 'silent')).status, 'timeout');
+  assert.strictEqual((await delivery.deliver(token, 'busy')).status, 'rejected');
+  assert.strictEqual((await delivery.deliver(token, 'stalled')).status, 'timeout');
+  assert.strictEqual((await delivery.deliver(token, 'nowhere')).status, 'no_route');
+});
+
+test('a filesystem drop is acknowledged by the file on disk', async t => {
+  const dir = tempDir(t, 'drop');
+  const delivery = new HydrogenDelivery({ routes: { documentation: { transport: 'filesystem', path: dir } } });
+
+  const result = await delivery.deliver(token, 'documentation');
+
+  assert.strictEqual(result.status, 'delivered');
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(result.receipt.path, 'utf8')).token, token);
+  assert.deepStrictEqual(await delivery.routes.get('documentation').transport.listPending(), [result.delivery_id]);
+});
+
+test('testSpeed measures real round-trips against a local echo endpoint', async () => {
+  const speed = await new HydrogenDelivery().testSpeed({ rounds: 3 });
+
+  assert.strictEqual(speed.status, 'success');
+  assert.ok(speed.min_ms > 0 && speed.min_ms <= speed.avg_ms && speed.avg_ms <= speed.max_ms);
+});
+
+test('a WebSocket delivery resolves on its acknowledgement', async () => {
+  const { FakeSocket, sockets } = fakeWebSocket();
+  const transport = new WebSocketTransport('dash-hub', { url: 'ws://hub', WebSocket: FakeSocket });
+
+  const sending = transport.send(envelope('D1'), { timeoutMs: 1000 });
+  sockets[0].open();
+  await settle();
+  sockets[0].ack();
+
+  assert.strictEqual((await sending).delivery_id, 'D1');
+});
+
+test('a WebSocket error after open fails waiting deliveries and drops the socket', async () => {
+  const { FakeSocket, sockets } = fakeWebSocket();
+  const transport = new WebSocketTransport('dash-hub', { url: 'ws://hub', WebSocket: FakeSocket });
+
+  const sending = transport.send(envelope('D1'), { timeoutMs: 1000 });
+  sockets[0].open();
+  await settle();
+  sockets[0].fail();
+
+  await assert.rejects(sending, { status: 'disconnected' });
+  assert.strictEqual(transport.socket, null);
+  assert.strictEqual(transport.pending.size, 0);
+
+  // The next delivery opens a fresh socket
+  const retry = transport.send(envelope('D2'), { timeoutMs: 1000 });
+  sockets[1].open();
+  await settle();
+  sockets[1].ack();
+  assert.strictEqual((await retry).delivery_id, 'D2');
+});
+
+test('a socket that closes between connect and send fails the delivery at once', async () => {
+  const { FakeSocket, sockets } = fakeWebSocket();
+  const transport = new WebSocketTransport('dash-hub', { url: 'ws://hub', WebSocket: FakeSocket });
+
+  const sending = transport.send(envelope('D1'), { timeoutMs: 60000 });
+  sockets[0].open();
+  sockets[0].readyState = 2;
+
+  await assert.rejects(sending, { status: 'disconnected', message: /closed before sending/ });
+  assert.strictEqual(transport.pending.size, 0);
+});
+
+test('a socket abandoned on connect timeout cannot fail the next connection', async () => {
+  const { FakeSocket, sockets } = fakeWebSocket();
+  const transport = new WebSocketTransport('dash-hub', { url: 'ws://hub', WebSocket: FakeSocket });
+
+  await assert.rejects(transport.send(envelope('D1'), { timeoutMs: 10 }), { status: 'timeout' });
+
+  const sending = transport.send(envelope('D2'), { timeoutMs: 1000 });
+  sockets[1].open();
+  await settle();
+
+  // The first socket's late error and close arrive after the second one is in use
+  sockets[0].fail();
+  sockets[0].close();
+  sockets[1].ack();
+
+  assert.strictEqual((await sending).delivery_id, 'D2');
+  assert.strictEqual(transport.socket, sockets[1]);
+});
+
+test('closing the transport fails deliveries still waiting for an ack', async () => {
+  const { FakeSocket, sockets } = fakeWebSocket();
+  const transport = new WebSocketTransport('dash-hub', { url: 'ws://hub', WebSocket: FakeSocket });
+
+  const sending = transport.send(envelope('D1'), { timeoutMs: 1000 });
+  sockets[0].open();
+  await settle();
+  await transport.close();
+
+  await assert.rejects(sending, { status: 'disconnected' });
+  assert.strictEqual(transport.socket, null);
+});
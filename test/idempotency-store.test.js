@@ -0,0 +1,81 @@
+// Idempotency Store tests
+// Retried mint requests get the original result, across restarts, within the dedupe window
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const IdempotencyStore = require('../wiring/idempotency-store');
+const MintReceiver = require('../wiring/mint-receiver');
+const wiringConfig = require('../.infinity/wiring-config.json');
+const { tempDir } = require('./helpers');
+
+function storePath(t) {
+  return path.join(tempDir(t, 'idempotency'), 'idempotency.jsonl');
+}
+
+function purchase(purchaseId, amount = 25) {
+  return { source: 'commerce', trigger: 'purchase', owner: 'alice', amount, metadata: { purchase_id: purchaseId } };
+}
+
+test('a retried commerce purchase returns the original request and then its token', async () => {
+  const receiver = new MintReceiver(wiringConfig);
+
+  const first = await receiver.receiveRequest(purchase('P-1'));
+  const retry = await receiver.receiveRequest(purchase('P-1'));
+  assert.deepStrictEqual([retry.duplicate, retry.request_id, retry.status], [true, first.request_id, 'pending']);
+
+  const queued = receiver.getNextRequest();
+  receiver.recordOutcome(queued, { id: 'ALC_1' });
+
+  const later = await receiver.receiveRequest(purchase('P-1'));
+  assert.deepStrictEqual([later.duplicate, later.token_id], [true, 'ALC_1']);
+  assert.strictEqual(receiver.getNextRequest(), null);
+});
+
+test('an explicit key reused for a different request is refused', async () => {
+  const receiver = new MintReceiver(wiringConfig);
+
+  await receiver.receiveRequest({ ...purchase('P-1'), idempotency_key: 'k1' });
+  const reused = await receiver.receiveRequest({ ...purchase('P-2', 99), idempotency_key: 'k1' });
+
+  assert.strictEqual(reused.success, false);
+  assert.match(reused.error, /already used for a different request/);
+});
+
+test('completed keys survive a restart and expire with the window', t => {
+  const filePath = storePath(t);
+  const now = Date.now();
+  const store = new IdempotencyStore({ filePath, windowMs: 60000 });
+  store.reserve('commerce:purchase:P-1', 'REQ_1', null, now);
+  store.complete('commerce:purchase:P-1', { id: 'ALC_1' }, now);
+  store.close();
+
+  const reopened = new IdempotencyStore({ filePath, windowMs: 60000 });
+  t.after(() => reopened.close());
+  assert.strictEqual(reopened.get('commerce:purchase:P-1', now + 30000).token_id, 'ALC_1');
+  assert.strictEqual(reopened.get('commerce:purchase:P-1', now + 60001), null);
+});
+
+test('keys left pending by a crash are released on load so the retry can mint', t => {
+  const filePath = storePath(t);
+  const store = new IdempotencyStore({ filePath });
+  store.reserve('commerce:purchase:P-1', 'REQ_1');
+  store.reserve('commerce:purchase:P-2', 'REQ_2');
+  store.complete('commerce:purchase:P-2', { id: 'ALC_2' });
+  store.close();
+
+  t.mock.method(console, 'warn', () => {});
+  const reopened = new IdempotencyStore({ filePath });
+  t.after(() => reopened.close());
+
+  assert.strictEqual(reopened.get('commerce:purchase:P-1'), null);
+  assert.strictEqual(reopened.reserve('commerce:purchase:P-1', 'REQ_3').reserved, true);
+  assert.strictEqual(reopened.get('commerce:purchase:P-2').status, 'completed');
+  assert.strictEqual(reopened.getStats().released_on_load, 1);
+
+  // The log is compacted down to the live keys
+  const lines = fs.readFileSync(filePath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+  assert.deepStrictEqual(lines.map(l => l.key), ['commerce:purchase:P-2', 'commerce:purchase:P-1']);
+  assert.strictEqual(lines[1].record.request_id, 'REQ_3');
+});
@@ -0,0 +1,104 @@
+// Immutable Ledger tests
+// SHA-256 hash chain over the full entry, full verification in stats and a cheap incremental check
+
+const test = require('node:test');
+const assert = require('node:assert');
+const ImmutableLedger = require('../storage/immutable-ledger');
+const { token } = require('./helpers');
+
+function ledgerWith(count) {
+  const ledger = new ImmutableLedger();
+  for (let i = 0; i < count; i++) {
+    ledger.addToken(token(`ALC_${i}`));
+  }
+  return ledger;
+}
+
+test('entries chain onto the previous hash', () => {
+  const ledger = ledgerWith(3);
+
+  assert.strictEqual(ledger.ledger[0].previous_hash, '0');
+  assert.strictEqual(ledger.ledger[1].previous_hash, ledger.ledger[0].hash);
+  assert.match(ledger.ledger[2].hash, /^0x[0-9a-f]{64}$/);
+  assert.strictEqual(ledger.verifyIntegrity().valid, true);
+});
+
+test('editing the token snapshot breaks the chain', () => {
+  const ledger = ledgerWith(3);
+  ledger.ledger[1].token.metadata.trigger = 'milestone';
+
+  const result = ledger.verifyIntegrity();
+  assert.strictEqual(result.valid, false);
+  assert.strictEqual(result.errors[0].index, 1);
+  assert.strictEqual(result.errors[0].error, 'Hash mismatch');
+});
+
+test('editing an entry timestamp or index breaks the chain', () => {
+  const ledger = ledgerWith(3);
+  ledger.ledger[1].timestamp = '2000-01-01T00:00:00.000Z';
+  assert.strictEqual(ledger.verifyIntegrity().errors[0].error, 'Hash mismatch');
+
+  const other = ledgerWith(3);
+  other.ledger[2].index = 7;
+  assert.strictEqual(other.verifyIntegrity().valid, false);
+});
+
+test('summary fields must match the hashed token', () => {
+  const ledger = ledgerWith(2);
+  ledger.ledger[0].owner = 'mallory';
+
+  const result = ledger.verifyIntegrity();
+  assert.strictEqual(result.valid, false);
+  assert.match(result.errors[0].error, /Field owner/);
+});
+
+test('verifyNewEntries only re-hashes entries added since the last check', () => {
+  const ledger = ledgerWith(5);
+  assert.strictEqual(ledger.getStats().verified_height, 5);
+
+  let hashed = 0;
+  const calculateHash = ledger.calculateHash.bind(ledger);
+  ledger.calculateHash = entry => { hashed++; return calculateHash(entry); };
+
+  assert.strictEqual(ledger.verifyNewEntries().valid, true);
+  assert.strictEqual(hashed, 0);
+
+  ledger.addToken(token('ALC_new'));
+  hashed = 0;
+  const result = ledger.verifyNewEntries();
+  assert.strictEqual(hashed, 1);
+  assert.strictEqual(result.valid, true);
+  assert.strictEqual(result.verified_height, 6);
+});
+
+test('stats recompute every hash, so tampering with an older entry is caught', () => {
+  const ledger = ledgerWith(3);
+  ledger.getStats();
+
+  ledger.addToken(token('ALC_3'));
+  ledger.ledger[3].value = 1000;
+  const stats = ledger.getStats();
+  assert.strictEqual(stats.integrity, false);
+  assert.strictEqual(stats.tip_verified, false);
+  assert.strictEqual(stats.verified_height, 3);
+
+  const older = ledgerWith(3);
+  assert.strictEqual(older.getStats().integrity, true);
+  older.ledger[0].token.value = 1000;
+
+  const tampered = older.getStats();
+  assert.strictEqual(tampered.integrity, false);
+  assert.strictEqual(tampered.tip_verified, true);
+});
+
+test('a replaced ledger is verified again from the start', () => {
+  const ledger = ledgerWith(3);
+  ledger.getStats();
+
+  const forged = new ImmutableLedger();
+  ['mallory', 'mallory', 'mallory'].forEach((owner, i) => forged.addToken(token(`FORGED_${i}`, { owner })));
+  forged.ledger[0].value = 1000;
+  ledger.ledger = forged.ledger;
+
+  assert.strictEqual(ledger.getStats().integrity, false);
+});
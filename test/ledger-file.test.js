@@ -0,0 +1,114 @@
+// Ledger File tests
+// Append-only JSONL persistence for ImmutableLedger: replay, re-verification and torn-record recovery
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const ImmutableLedger = require('../storage/immutable-ledger');
+const { token, tempDir } = require('./helpers');
+
+function ledgerPath(t) {
+  return path.join(tempDir(t, 'ledger'), 'ledger', 'ledger.jsonl');
+}
+
+test('a restarted ledger replays the file and answers the same queries', t => {
+  const filePath = ledgerPath(t);
+  const ledger = new ImmutableLedger({ filePath });
+  ledger.addToken(token('ALC_1'));
+  ledger.addToken(token('ALC_2'));
+  ledger.recordTransfer('ALC_1', 'alice', 'bob');
+  const exported = ledger.exportLedger();
+  ledger.close();
+
+  const reopened = new ImmutableLedger({ filePath });
+  t.after(() => reopened.close());
+
+  assert.deepStrictEqual(reopened.exportLedger().ledger, JSON.parse(JSON.stringify(exported.ledger)));
+  assert.strictEqual(reopened.getCurrentState('ALC_1').owner, 'bob');
+  assert.deepStrictEqual(reopened.query({ owner: 'bob' }).map(e => e.operation), ['transfer']);
+  assert.strictEqual(fs.readFileSync(filePath, 'utf8').trim().split('\n').length, 3);
+});
+
+test('a torn final record is truncated and the ledger keeps appending after it', t => {
+  const filePath = ledgerPath(t);
+  const ledger = new ImmutableLedger({ filePath });
+  ledger.addToken(token('ALC_1'));
+  ledger.close();
+
+  const intact = fs.statSync(filePath).size;
+  fs.appendFileSync(filePath, '{"kind":"entry","entry":{"index":1,');
+  t.mock.method(console, 'warn', () => {});
+
+  const reopened = new ImmutableLedger({ filePath });
+  t.after(() => reopened.close());
+
+  assert.strictEqual(fs.statSync(filePath).size, intact);
+  assert.strictEqual(reopened.getStats().storage.truncated_bytes_on_load, 35);
+  assert.strictEqual(reopened.ledger.length, 1);
+
+  reopened.addToken(token('ALC_2'));
+  assert.strictEqual(reopened.verifyIntegrity().valid, true);
+});
+
+test('a tampered file refuses to load', t => {
+  const filePath = ledgerPath(t);
+  const ledger = new ImmutableLedger({ filePath });
+  ledger.addToken(token('ALC_1'));
+  ledger.addToken(token('ALC_2'));
+  ledger.close();
+
+  fs.writeFileSync(filePath, fs.readFileSync(filePath, 'utf8').replace('"value":10', '"value":1000'));
+
+  assert.throws(() => new ImmutableLedger({ filePath }), /failed verification at index 0/);
+});
+
+test('a corrupt record before the end is an error, not a truncation', t => {
+  const filePath = ledgerPath(t);
+  const ledger = new ImmutableLedger({ filePath });
+  ledger.addToken(token('ALC_1'));
+  ledger.addToken(token('ALC_2'));
+  ledger.close();
+
+  const lines = fs.readFileSync(filePath, 'utf8').split('\n');
+  lines[0] = lines[0].slice(0, 20);
+  fs.writeFileSync(filePath, lines.join('\n'));
+
+  assert.throws(() => new ImmutableLedger({ filePath }), /Corrupt ledger record at byte 0/);
+});
+
+test('rolling back to a checkpoint also cuts the file', t => {
+  const filePath = ledgerPath(t);
+  const ledger = new ImmutableLedger({ filePath });
+  ledger.addToken(token('ALC_1'));
+  const checkpoint = ledger.checkpoint();
+  ledger.addToken(token('ALC_2'));
+  ledger.addToken(token('ALC_3'));
+
+  assert.deepStrictEqual(ledger.rollback(checkpoint), { entries_removed: 2, merkle_roots_removed: 0 });
+  ledger.close();
+
+  const reopened = new ImmutableLedger({ filePath });
+  t.after(() => reopened.close());
+  assert.strictEqual(reopened.ledger.length, 1);
+  assert.strictEqual(reopened.getToken('ALC_2'), undefined);
+});
+
+test('a batch left unsealed by a crash is sealed on load', t => {
+  const filePath = ledgerPath(t);
+  const ledger = new ImmutableLedger({ filePath });
+  for (let i = 0; i < 100; i++) {
+    ledger.addToken(token(`ALC_${i}`));
+  }
+  ledger.close();
+
+  // Drop the Merkle root record, as if the process died right after the 100th entry
+  const lines = fs.readFileSync(filePath, 'utf8').trim().split('\n');
+  assert.strictEqual(JSON.parse(lines[lines.length - 1]).kind, 'merkle_root');
+  fs.writeFileSync(filePath, `${lines.slice(0, -1).join('\n')}\n`);
+
+  const reopened = new ImmutableLedger({ filePath });
+  t.after(() => reopened.close());
+  assert.strictEqual(reopened.merkleRoots.length, 1);
+  assert.strictEqual(reopened.verifyMerkleRoots().valid, true);
+});
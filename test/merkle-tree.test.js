@@ -0,0 +1,79 @@
+// Merkle Tree tests
+// Roots over ledger batches and inclusion proofs checked without the ledger
+
+const test = require('node:test');
+const assert = require('node:assert');
+const ImmutableLedger = require('../storage/immutable-ledger');
+const { MERKLE_BATCH_SIZE } = require('../storage/immutable-ledger');
+const { buildMerkleTree, getMerkleRoot, getMerkleProof, verifyInclusionProof } = require('../storage/merkle-tree');
+const { sha256 } = require('../storage/hash-utils');
+
+function sealedLedger(count = MERKLE_BATCH_SIZE) {
+  const ledger = new ImmutableLedger();
+  for (let i = 0; i < count; i++) {
+    ledger.addToken({ id: `ALC_${i}`, type: 'ALC', owner: `owner_${i % 7}`, value: i + 1, immutable: true });
+  }
+  return ledger;
+}
+
+test('an odd node is promoted, so its proof skips that level', () => {
+  const hashes = Array.from({ length: 7 }, (_, i) => sha256(`entry ${i}`));
+  const levels = buildMerkleTree(hashes);
+
+  assert.deepStrictEqual(levels.map(level => level.length), [7, 4, 2, 1]);
+  assert.strictEqual(levels[1][3], levels[0][6]);
+  assert.strictEqual(getMerkleProof(levels, 0).length, 3);
+  assert.strictEqual(getMerkleProof(levels, 6).length, 2);
+  assert.match(getMerkleRoot(levels), /^0x[0-9a-f]{64}$/);
+});
+
+test('an empty tree is refused', () => {
+  assert.throws(() => buildMerkleTree([]), /no entries/);
+});
+
+test('a full batch is sealed under a root that verifies', () => {
+  const ledger = sealedLedger();
+
+  assert.strictEqual(ledger.merkleRoots.length, 1);
+  assert.ok(ledger.ledger.every(e => e.sealed));
+  assert.strictEqual(ledger.verifyMerkleRoots().valid, true);
+});
+
+test('inclusion proofs verify without the ledger', () => {
+  const ledger = sealedLedger();
+  const root = ledger.merkleRoots[0];
+
+  for (const id of ['ALC_0', 'ALC_37', `ALC_${MERKLE_BATCH_SIZE - 1}`]) {
+    const proof = ledger.getInclusionProof(id);
+    const entry = JSON.parse(JSON.stringify(ledger.getToken(id)));
+    assert.strictEqual(verifyInclusionProof(entry, proof, root), true);
+    assert.strictEqual(verifyInclusionProof(entry, proof, root.root_hash), true);
+  }
+});
+
+test('a proof fails for an edited entry or the wrong root', () => {
+  const ledger = sealedLedger();
+  const proof = ledger.getInclusionProof('ALC_5');
+  const entry = JSON.parse(JSON.stringify(ledger.getToken('ALC_5')));
+
+  const edited = { ...entry, token: { ...entry.token, value: 5000 } };
+  assert.strictEqual(verifyInclusionProof(edited, proof, ledger.merkleRoots[0]), false);
+  assert.strictEqual(verifyInclusionProof(entry, proof, sha256('another root')), false);
+
+  const otherProof = ledger.getInclusionProof('ALC_6');
+  assert.strictEqual(verifyInclusionProof(entry, otherProof, ledger.merkleRoots[0]), false);
+});
+
+test('unsealed tokens have no proof yet', () => {
+  const ledger = sealedLedger(3);
+  assert.throws(() => ledger.getInclusionProof('ALC_1'), /not in a sealed batch/);
+});
+
+test('an edited sealed entry breaks its Merkle root', () => {
+  const ledger = sealedLedger();
+  ledger.ledger[10].hash = sha256('forged');
+
+  const result = ledger.verifyMerkleRoots();
+  assert.strictEqual(result.valid, false);
+  assert.strictEqual(result.errors[0].error, 'Merkle root mismatch');
+});
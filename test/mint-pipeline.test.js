@@ -0,0 +1,87 @@
+// Mint Pipeline tests
+// Requests drained from the receiver are minted as their own batch and carried through every stage
+
+const test = require('node:test');
+const assert = require('node:assert');
+const MintPipeline = require('../wiring/mint-pipeline');
+const MintReceiver = require('../wiring/mint-receiver');
+const BatchProcessor = require('../minting/batch-processor');
+
+const wiring = require('../.infinity/wiring-config.json');
+
+// Mints every request as an ALC token owned by its requester
+function fakeMinter() {
+  let next = 0;
+  return {
+    async mint(request) {
+      return { success: true, token: { id: `ALC_${++next}`, type: 'ALC', owner: request.owner, value: request.amount } };
+    }
+  };
+}
+
+function buildPipeline(batchProcessor) {
+  const receiver = new MintReceiver(wiring);
+  const ledger = { entries: [], addToken(token) { this.entries.push(token); return { index: this.entries.length - 1, hash: 'h' }; } };
+  const writer = { async writeToAllLocations() { return { success_count: 1, failure_count: 0 }; } };
+  const distributor = { async distributeToken() { return { success_count: 1, failure_count: 0 }; } };
+
+  return { receiver, ledger, pipeline: new MintPipeline({ receiver, batchProcessor, ledger, writer, distributor }) };
+}
+
+test('drained requests are minted and ledgered in order', async () => {
+  const { receiver, ledger, pipeline } = buildPipeline(new BatchProcessor(null, fakeMinter()));
+
+  await receiver.receiveDashHub({ owner: 'alice', amount: 5 });
+  await receiver.receiveDashHub({ owner: 'bob', amount: 7 });
+
+  const run = await pipeline.run();
+
+  assert.strictEqual(run.requests, 2);
+  assert.strictEqual(run.completed, 2);
+  assert.deepStrictEqual(run.outcomes.map(o => o.owner), ['alice', 'bob']);
+  assert.deepStrictEqual(ledger.entries.map(t => t.owner), ['alice', 'bob']);
+  assert.deepStrictEqual(ledger.entries.map(t => t.value), [5, 7]);
+});
+
+test('requests already queued on the batch processor are left alone', async () => {
+  const batchProcessor = new BatchProcessor(null, fakeMinter());
+  batchProcessor.addToQueue({ owner: 'mallory', trigger: 'user_contribution', amount: 99 });
+
+  const { receiver, ledger, pipeline } = buildPipeline(batchProcessor);
+  await receiver.receiveDashHub({ owner: 'alice', amount: 5 });
+
+  const run = await pipeline.run();
+
+  assert.strictEqual(run.completed, 1);
+  assert.deepStrictEqual(ledger.entries.map(t => t.owner), ['alice']);
+  assert.strictEqual(batchProcessor.queue.length, 1);
+  assert.strictEqual(batchProcessor.queue[0].owner, 'mallory');
+});
+
+test('a failed mint marks only its own request failed', async () => {
+  const minter = {
+    async mint(request) {
+      return request.owner === 'bob'
+        ? { success: false, error: 'Insufficient capacitor charge', code: 'INSUFFICIENT_CHARGE' }
+        : { success: true, token: { id: `ALC_${request.owner}`, type: 'ALC', owner: request.owner, value: 1 } };
+    }
+  };
+  const { receiver, pipeline } = buildPipeline(new BatchProcessor(null, minter));
+
+  await receiver.receiveDashHub({ owner: 'alice', amount: 1 });
+  await receiver.receiveDashHub({ owner: 'bob', amount: 1 });
+
+  const run = await pipeline.run();
+  const byOwner = Object.fromEntries(run.outcomes.map(o => [o.owner, o]));
+
+  assert.strictEqual(byOwner.alice.status, 'completed');
+  assert.strictEqual(byOwner.bob.status, 'failed');
+  assert.strictEqual(byOwner.bob.stages.minted.error, 'Insufficient capacitor charge');
+});
+
+test('an empty receiver produces an empty run', async () => {
+  const { pipeline } = buildPipeline(new BatchProcessor(null, fakeMinter()));
+  const run = await pipeline.run();
+  assert.strictEqual(run.requests, 0);
+  assert.deepStrictEqual(run.outcomes, []);
+});
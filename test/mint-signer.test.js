@@ -0,0 +1,94 @@
+// Mint Signer tests
+// Ed25519 signatures over canonical tokens, and the operator key served to wallets
+
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const MintSigner = require('../minting/mint-signer');
+const ALCMinter = require('../minting/alc-minter');
+const ApiServer = require('../wiring/api-server');
+const { tempDir } = require('./helpers');
+
+const alcConfig = require('../.infinity/alc-config.json');
+const wiring = require('../.infinity/wiring-config.json');
+
+function get(port, pathname) {
+  return new Promise((resolve, reject) => {
+    http.get({ host: '127.0.0.1', port, path: pathname }, res => {
+      let data = '';
+      res.on('data', chunk => { data += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: JSON.parse(data) }));
+    }).on('error', reject);
+  });
+}
+
+const keyDir = tempDir(test, 'keys');
+const signer = MintSigner.generateKeyFiles(keyDir);
+
+test('a signed token verifies against the operator key', () => {
+  const token = { id: 'ALC_1', type: 'ALC', owner: 'alice', value: 10 };
+  token.signature = signer.sign(token);
+
+  assert.strictEqual(signer.keyId, token.signature.key_id);
+  assert.deepStrictEqual(signer.verifyToken(token), { valid: true, key_id: signer.keyId });
+});
+
+test('any edit to the token breaks the signature', () => {
+  const token = { id: 'ALC_2', type: 'ALC', owner: 'alice', value: 10, metadata: { trigger: 'purchase' } };
+  token.signature = signer.sign(token);
+
+  const edited = { ...token, value: 1000 };
+  assert.strictEqual(signer.verifyToken(edited).error, 'Signature does not match token content');
+});
+
+test('a token signed by another key is valid but not ours', () => {
+  const other = new MintSigner(crypto.generateKeyPairSync('ed25519'));
+  const token = { id: 'ALC_3', owner: 'alice' };
+  token.signature = other.sign(token);
+
+  assert.strictEqual(MintSigner.verifySignature(token).valid, true);
+  assert.match(signer.verifyToken(token).error, /Signed by unknown key/);
+});
+
+test('a swapped public key no longer matches the key id', () => {
+  const other = new MintSigner(crypto.generateKeyPairSync('ed25519'));
+  const token = { id: 'ALC_4', owner: 'alice' };
+  token.signature = { ...signer.sign(token), public_key: other.publicKeyJwk };
+
+  assert.strictEqual(MintSigner.verifySignature(token).error, 'Key id does not match public key');
+});
+
+test('key files round-trip and are never overwritten', () => {
+  const loaded = MintSigner.fromKeyFiles(keyDir);
+  assert.strictEqual(loaded.keyId, signer.keyId);
+  assert.strictEqual(fs.statSync(path.join(keyDir, 'operator.key.pem')).mode & 0o777, 0o600);
+  assert.throws(() => MintSigner.generateKeyFiles(keyDir), /already exists/);
+});
+
+test('the API serves the operator key to any origin', async () => {
+  const server = new ApiServer({ config: wiring, alcMinter: new ALCMinter(alcConfig, signer) });
+  const { port } = await server.listen(0);
+
+  try {
+    const response = await get(port, '/api/mint/key');
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.headers['access-control-allow-origin'], '*');
+    assert.deepStrictEqual(response.body, { algorithm: 'ed25519', key_id: signer.keyId, public_key: signer.publicKeyJwk });
+  } finally {
+    await server.close();
+  }
+});
+
+test('without a signer there is no key route', async () => {
+  const server = new ApiServer({ config: wiring, alcMinter: new ALCMinter(alcConfig) });
+  const { port } = await server.listen(0);
+
+  try {
+    assert.strictEqual((await get(port, '/api/mint/key')).status, 404);
+  } finally {
+    await server.close();
+  }
+});
@@ -0,0 +1,69 @@
+// Price Store tests
+// Update validation, point-in-time lookups and staleness of recorded prices
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const PriceStore = require('../storage/price-store');
+const { tempDir } = require('./helpers');
+
+const NOW = Date.parse('2026-01-01T00:00:00Z');
+
+test('malformed updates are refused as INVALID_PRICE', () => {
+  const prices = new PriceStore();
+
+  assert.strictEqual(prices.record({ type: '', usd: 1, timestamp: NOW }, {}, NOW).code, 'INVALID_PRICE');
+  assert.strictEqual(prices.record({ type: 'ALC', usd: -1, timestamp: NOW }, {}, NOW).code, 'INVALID_PRICE');
+  assert.strictEqual(prices.record({ type: 'ALC', usd: 1, timestamp: 'soon' }, {}, NOW).code, 'INVALID_PRICE');
+  assert.strictEqual(prices.getStats().rejected, 3);
+});
+
+test('old, future and out-of-order updates are refused as STALE_PRICE', () => {
+  const prices = new PriceStore({ maxAgeMs: 60000 });
+
+  assert.strictEqual(prices.record({ type: 'ALC', usd: 1, timestamp: NOW - 61000 }, {}, NOW).code, 'STALE_PRICE');
+  assert.strictEqual(prices.record({ type: 'ALC', usd: 1, timestamp: NOW + 60000 }, {}, NOW).code, 'STALE_PRICE');
+
+  assert.strictEqual(prices.record({ type: 'ALC', usd: 1, timestamp: NOW }, {}, NOW).success, true);
+  assert.strictEqual(prices.record({ type: 'ALC', usd: 1.1, timestamp: NOW }, { force: true }, NOW).code, 'STALE_PRICE');
+});
+
+test('large moves and out-of-bounds prices need force', () => {
+  const prices = new PriceStore({ maxDeviation: 0.5, bounds: { ALC: { max_usd: 100 } } });
+  prices.record({ type: 'ALC', usd: 10, timestamp: NOW }, {}, NOW);
+
+  assert.strictEqual(prices.record({ type: 'ALC', usd: 20, timestamp: NOW + 1 }, {}, NOW + 1).code, 'PRICE_OUT_OF_BAND');
+  assert.strictEqual(prices.record({ type: 'ALC', usd: 200, timestamp: NOW + 1 }, { force: true }, NOW + 1).success, true);
+  assert.strictEqual(prices.getPrice('ALC', NOW + 1).usd, 200);
+
+  const fresh = new PriceStore({ bounds: { ALC: { min_usd: 1 } } });
+  assert.strictEqual(fresh.record({ type: 'ALC', usd: 0.5, timestamp: NOW }, {}, NOW).code, 'PRICE_OUT_OF_BAND');
+});
+
+test('getPrice returns the price in effect at a time, with its age and staleness', () => {
+  const prices = new PriceStore({ maxAgeMs: 60000 });
+  prices.record({ type: 'ALC', usd: 1, timestamp: NOW }, {}, NOW);
+  prices.record({ type: 'ALC', usd: 1.2, timestamp: NOW + 10000 }, {}, NOW + 10000);
+
+  assert.strictEqual(prices.getPrice('ALC', NOW - 1), null);
+  assert.strictEqual(prices.getPrice('ALC', NOW + 5000).usd, 1);
+
+  const latest = prices.getPrice('ALC', NOW + 20000);
+  assert.strictEqual(latest.usd, 1.2);
+  assert.strictEqual(latest.age_ms, 10000);
+  assert.strictEqual(latest.stale, false);
+
+  assert.strictEqual(prices.getPrice('ALC', NOW + 80000).stale, true);
+  assert.strictEqual(prices.valueInUsd('GEM', 5, NOW), null);
+});
+
+test('recorded prices survive a restart', t => {
+  const filePath = path.join(tempDir(t, 'prices'), 'prices.jsonl');
+
+  const prices = new PriceStore({ filePath });
+  prices.record({ type: 'ALC', usd: 3, timestamp: NOW }, {}, NOW);
+  prices.close();
+
+  const reopened = new PriceStore({ filePath });
+  assert.strictEqual(reopened.getPrice('ALC', NOW).usd, 3);
+});
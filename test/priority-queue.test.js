@@ -0,0 +1,89 @@
+// Priority Queue tests
+// Heap order with aging, so low priority work can't starve, and per-source backpressure in MintReceiver
+
+const test = require('node:test');
+const assert = require('node:assert');
+const PriorityQueue = require('../wiring/priority-queue');
+const MintReceiver = require('../wiring/mint-receiver');
+const wiringConfig = require('../.infinity/wiring-config.json');
+
+function drain(queue) {
+  const values = [];
+  for (let item = queue.pop(); item; item = queue.pop()) {
+    values.push(item.value);
+  }
+  return values;
+}
+
+test('higher priority leaves first, equal priority in arrival order', () => {
+  const queue = new PriorityQueue({ agingMs: 30000 });
+  queue.push('low', 'low', 0);
+  queue.push('medium-1', 'medium', 0);
+  queue.push('high', 'high', 0);
+  queue.push('medium-2', 'medium', 0);
+
+  assert.deepStrictEqual(drain(queue), ['high', 'medium-1', 'medium-2', 'low']);
+});
+
+test('a low priority request that has waited long enough overtakes fresh high priority traffic', () => {
+  const queue = new PriorityQueue({ agingMs: 1000 });
+  queue.push('pricing', 'low', 0);
+
+  // Two aging intervals later it ranks with a brand new high priority request, and arrived first
+  for (let i = 0; i < 5; i++) {
+    queue.push(`dash-${i}`, 'high', 2000 + i);
+  }
+
+  assert.strictEqual(queue.pop().value, 'pricing');
+});
+
+test('the heap stays ordered under many interleaved pushes and pops', () => {
+  const queue = new PriorityQueue({ agingMs: 100 });
+  const levels = ['low', 'medium', 'high'];
+  const ranks = [];
+
+  for (let i = 0; i < 500; i++) {
+    queue.push(i, levels[i % 3], i * 7 % 300);
+    if (i % 4 === 0) queue.pop();
+  }
+  for (let item = queue.pop(); item; item = queue.pop()) {
+    ranks.push(item.rank);
+  }
+
+  assert.ok(ranks.every((rank, i) => i === 0 || ranks[i - 1] >= rank));
+});
+
+test('changing the aging interval re-ranks what is already queued', () => {
+  const queue = new PriorityQueue({ agingMs: 1000000 });
+  queue.push('low', 'low', 0);
+  queue.push('high', 'high', 5000);
+  assert.strictEqual(queue.peek().value, 'high');
+
+  queue.setAgingMs(1000);
+  assert.strictEqual(queue.peek().value, 'low');
+});
+
+test('a full source is shed with a retry hint while other sources keep queueing', async () => {
+  const config = {
+    ...wiringConfig,
+    receives_from: wiringConfig.receives_from.map(e => e.source === 'dash-hub' ? { ...e, max_queue_depth: 2 } : e)
+  };
+  const receiver = new MintReceiver(config, undefined, { retryAfterMs: 2500 });
+
+  await receiver.receiveDashHub({ owner: 'alice', amount: 1 });
+  await receiver.receiveDashHub({ owner: 'bob', amount: 1 });
+  const shed = await receiver.receiveDashHub({ owner: 'carol', amount: 1 });
+  const other = await receiver.receiveBanksy({ artist: 'dave', art_id: 'ART-1', title: 'Untitled' });
+
+  assert.deepStrictEqual([shed.success, shed.code, shed.retry_after_ms], [false, 'QUEUE_FULL', 2500]);
+  assert.strictEqual(other.success, true);
+
+  // Room frees up as requests are taken off the queue
+  receiver.getNextRequest();
+  assert.strictEqual((await receiver.receiveDashHub({ owner: 'carol', amount: 1 })).success, true);
+
+  const stats = receiver.getQueueStats();
+  assert.deepStrictEqual(stats.by_source['dash-hub'], { depth: 2, max_depth: 2, shed: 1 });
+  assert.strictEqual(stats.total_shed, 1);
+  assert.strictEqual(stats.wait.samples, 1);
+});
@@ -0,0 +1,80 @@
+// Mint Rate Limiter tests
+// Sliding windows per scope, owner cooldown and rollback release
+
+const test = require('node:test');
+const assert = require('node:assert');
+const MintRateLimiter = require('../minting/rate-limiter');
+
+const NOW = 1767225600000;
+
+function limiter(limits, scopeLimits = {}) {
+  return new MintRateLimiter({ minting_rate_limits: limits }, scopeLimits);
+}
+
+test('a minute window refuses the next mint and says when to retry', () => {
+  const rl = limiter({ max_per_minute: 3 });
+  for (let i = 0; i < 3; i++) {
+    rl.consume({ owner: `o${i}` }, NOW + i * 1000);
+  }
+
+  const refused = rl.check({ owner: 'o9' }, NOW + 5000);
+  assert.strictEqual(refused.allowed, false);
+  assert.strictEqual(refused.scope, 'global');
+  assert.strictEqual(refused.window, 'minute');
+  assert.strictEqual(refused.retry_after_ms, 55000);
+
+  // The window slides: once the oldest mint is a minute old there is room again
+  assert.strictEqual(rl.check({ owner: 'o9' }, NOW + 60001).allowed, true);
+});
+
+test('owner and trigger scopes can be tighter than the global one', () => {
+  const rl = limiter({ max_per_minute: 100 }, { owner: { max_per_minute: 2 }, trigger: { max_per_hour: 3 } });
+
+  rl.consume({ owner: 'alice', trigger: 'purchase' }, NOW);
+  rl.consume({ owner: 'alice', trigger: 'purchase' }, NOW + 1);
+  assert.strictEqual(rl.check({ owner: 'alice', trigger: 'purchase' }, NOW + 2).scope, 'owner');
+
+  rl.consume({ owner: 'bob', trigger: 'purchase' }, NOW + 3);
+  const refused = rl.check({ owner: 'carol', trigger: 'purchase' }, NOW + 4);
+  assert.strictEqual(refused.scope, 'trigger');
+  assert.strictEqual(refused.window, 'hour');
+});
+
+test('the cooldown spaces out one owner\'s mints', () => {
+  const rl = limiter({ max_per_minute: 100, cooldown_seconds: 2 });
+  rl.consume({ owner: 'alice' }, NOW);
+
+  const refused = rl.check({ owner: 'alice' }, NOW + 500);
+  assert.strictEqual(refused.window, 'cooldown');
+  assert.strictEqual(refused.retry_after_ms, 1500);
+  assert.strictEqual(rl.check({ owner: 'bob' }, NOW + 500).allowed, true);
+  assert.strictEqual(rl.check({ owner: 'alice' }, NOW + 2000).allowed, true);
+});
+
+test('consume throws RateLimitError with the retry delay', () => {
+  const rl = limiter({ max_per_minute: 1 });
+  rl.consume({ owner: 'alice' }, NOW);
+
+  assert.throws(() => rl.consume({ owner: 'alice' }, NOW + 10), error => {
+    assert.strictEqual(error.code, 'RATE_LIMITED');
+    assert.strictEqual(error.retry_after_ms, 59990);
+    return true;
+  });
+});
+
+test('release forgets a rolled back mint in every scope', () => {
+  const rl = limiter({ max_per_minute: 1 });
+  rl.record({ owner: 'alice', trigger: 'purchase' }, NOW);
+  rl.release({ owner: 'alice', trigger: 'purchase' }, NOW);
+
+  assert.strictEqual(rl.check({ owner: 'alice', trigger: 'purchase' }, NOW + 1).allowed, true);
+  assert.strictEqual(rl.getStats(NOW).tracked_owners, 0);
+});
+
+test('mints older than a day are pruned', () => {
+  const rl = limiter({ max_per_day: 5 });
+  rl.record({ owner: 'alice' }, NOW);
+
+  assert.strictEqual(rl.getUsage('owner:alice', NOW).day.used, 1);
+  assert.strictEqual(rl.getUsage('owner:alice', NOW + 24 * 60 * 60 * 1000 + 1).day.used, 0);
+});
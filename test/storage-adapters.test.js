@@ -0,0 +1,153 @@
+// Storage Adapter tests
+// write/read/exists/list adapters and the registry that builds them from config
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const MemoryAdapter = require('../storage/adapters/memory-adapter');
+const FilesystemAdapter = require('../storage/adapters/filesystem-adapter');
+const SqliteAdapter = require('../storage/adapters/sqlite-adapter');
+const StorageRegistry = require('../storage/adapters/storage-registry');
+const MultiLocationWriter = require('../storage/multi-location-writer');
+const { validateConfig } = require('../config/schemas');
+const { token, tempDir } = require('./helpers');
+
+const hasSqlite = (() => {
+  try {
+    require('node:sqlite');
+    return true;
+  } catch (error) {
+    return false;
+  }
+})();
+
+function alcConfig(locations, adapters) {
+  const config = JSON.parse(fs.readFileSync(path.join(__dirname, '..', '.infinity', 'alc-config.json'), 'utf8'));
+  config.distribution.storage_locations = locations;
+  config.distribution.storage_adapters = adapters;
+  return config;
+}
+
+async function roundTrip(adapter) {
+  const receipt = await adapter.write(token('ALC_1'));
+  assert.strictEqual(receipt.stored, true);
+  assert.deepStrictEqual(await adapter.read('ALC_1'), token('ALC_1'));
+  assert.strictEqual(await adapter.exists('ALC_1'), true);
+  assert.strictEqual(await adapter.read('ALC_2'), null);
+  assert.strictEqual(await adapter.exists('ALC_2'), false);
+
+  // Rewriting the same token is fine, changing it is not
+  await adapter.write(token('ALC_1'));
+  await assert.rejects(adapter.write(token('ALC_1', { value: 99 })), /already stored .* with different content/);
+  assert.deepStrictEqual(await adapter.list(), ['ALC_1']);
+}
+
+test('memory adapter stores immutable copies', async () => {
+  await roundTrip(new MemoryAdapter('memory'));
+});
+
+test('filesystem adapter stores one file per token', async t => {
+  const dir = tempDir(t, 'storage');
+  await roundTrip(new FilesystemAdapter('archive', { path: dir }));
+  assert.deepStrictEqual(fs.readdirSync(dir), ['ALC_1.json']);
+});
+
+test('sqlite adapter stores tokens in a database', { skip: !hasSqlite && 'node:sqlite is not available' }, async t => {
+  const adapter = new SqliteAdapter('db', { path: path.join(tempDir(t, 'storage'), 'mint.db') });
+  t.after(() => adapter.close());
+  await roundTrip(adapter);
+});
+
+test('a sqlite location fails config validation when node:sqlite is missing', { skip: hasSqlite && 'node:sqlite is available' }, () => {
+  const config = alcConfig(['local_mint_database'], { local_mint_database: { adapter: 'sqlite', path: 'data/mint.db' } });
+
+  const { valid, errors } = validateConfig('alc', config);
+
+  assert.strictEqual(valid, false);
+  assert.strictEqual(errors[0].path, 'distribution.storage_adapters.local_mint_database.adapter');
+  assert.match(errors[0].message, /Node 22\.5\+/);
+  assert.throws(() => new SqliteAdapter('db', { path: 'unused.db' }), /needs Node 22\.5\+/);
+});
+
+test('the registry builds adapters per location and keeps unchanged ones across reconfigure', t => {
+  const registry = new StorageRegistry();
+  const dir = tempDir(t, 'storage');
+
+  registry.configure(['a', 'b'], { b: { adapter: 'filesystem', path: dir } });
+  const a = registry.get('a');
+  assert.deepStrictEqual(registry.describe(), { a: 'memory', b: 'filesystem' });
+
+  registry.configure(['a', 'b'], {});
+  assert.strictEqual(registry.get('a'), a);
+  assert.deepStrictEqual(registry.describe(), { a: 'memory', b: 'memory' });
+
+  assert.throws(() => registry.configure(['a'], { a: { adapter: 'tape' } }), /unknown adapter type "tape"/);
+  assert.deepStrictEqual(registry.names(), ['a', 'b']);
+  assert.throws(() => registry.get('c'), /Unknown storage location: c/);
+});
+
+test('adapters dropped or replaced by a reconfigure are closed, and close() closes the rest', async () => {
+  const registry = new StorageRegistry();
+  const closed = [];
+  registry.registerAdapterType('closing', location => Object.assign(new MemoryAdapter(location), {
+    async close() { closed.push(location); }
+  }));
+
+  registry.configure(['a', 'b', 'c'], { a: { adapter: 'closing' }, b: { adapter: 'closing' }, c: { adapter: 'closing' } });
+  registry.configure(['a', 'b'], { a: { adapter: 'closing' }, b: { adapter: 'memory' } });
+  await new Promise(setImmediate);
+  assert.deepStrictEqual(closed.sort(), ['b', 'c']);
+
+  await registry.close();
+  assert.deepStrictEqual(closed.sort(), ['a', 'b', 'c']);
+  assert.deepStrictEqual(registry.names(), []);
+});
+
+test('registered adapter types can be used from config', async () => {
+  const registry = new StorageRegistry();
+  const written = [];
+  registry.registerAdapterType('recording', location => Object.assign(new MemoryAdapter(location), {
+    async write(t) { written.push(t.id); return this.receipt(`REC_${t.id}`); }
+  }));
+
+  const writer = new MultiLocationWriter(alcConfig(['team_archive'], { team_archive: { adapter: 'recording' } }), registry);
+  const result = await writer.writeToAllLocations(token('ALC_1'));
+
+  assert.strictEqual(result.success_count, 1);
+  assert.strictEqual(result.locations.team_archive.backup_id, 'REC_ALC_1');
+  assert.deepStrictEqual(written, ['ALC_1']);
+});
+
+test('the shipped config backs the local locations with files and leaves git opt-in', () => {
+  const { storage_adapters: adapters } = require('../.infinity/alc-config.json').distribution;
+
+  assert.strictEqual(adapters.git_commit_history, undefined);
+  assert.strictEqual(adapters.blockchain_backup.adapter, 'filesystem');
+  assert.strictEqual(adapters.local_mint_database.adapter, 'filesystem');
+});
+
+test('a git location commits the token and verifyRedundancy finds it at that commit', async t => {
+  const dir = tempDir(t, 'storage');
+  const shipped = require('../.infinity/alc-config.json').distribution.storage_adapters;
+  const adapters = {};
+  for (const [location, spec] of Object.entries({ ...shipped, git_commit_history: { adapter: 'git' } })) {
+    adapters[location] = { ...spec, path: path.join(dir, location) };
+  }
+  const writer = new MultiLocationWriter(alcConfig(Object.keys(adapters), adapters));
+
+  const result = await writer.writeToAllLocations(token('ALC_1'));
+
+  assert.strictEqual(result.failure_count, 0);
+  const sha = result.locations.git_commit_history.commit_hash;
+  assert.match(sha, /^[0-9a-f]{40}$/);
+  assert.ok(fs.existsSync(path.join(dir, 'blockchain_backup', 'ALC_1.json')));
+
+  const verification = await writer.verifyRedundancy('ALC_1');
+  assert.deepStrictEqual(verification.missing_locations, []);
+  assert.deepStrictEqual(verification.details.git_commit_history, { token_id: 'ALC_1', commit_hash: sha, present: true });
+
+  const git = writer.registry.get('git_commit_history');
+  await writer.close();
+  await assert.rejects(git.write(token('ALC_2')), /git adapter is closed/);
+});
@@ -0,0 +1,102 @@
+// Token Operations tests
+// Transfers and burns recorded as ledger entries, and factory queries that follow them
+
+const test = require('node:test');
+const assert = require('node:assert');
+const TokenOperations = require('../minting/token-operations');
+const TokenFactory = require('../minting/token-factory');
+const ImmutableLedger = require('../storage/immutable-ledger');
+
+const rules = require('../.infinity/minting-rules.json');
+
+function setup() {
+  const ledger = new ImmutableLedger();
+  const factory = new TokenFactory(rules, null, null, null, null, ledger);
+  const operations = new TokenOperations(rules, ledger);
+
+  const mint = (type, owner = 'alice', value = 10) => {
+    const token = factory.createToken({ type, owner, value });
+    ledger.addToken(token);
+    return token;
+  };
+
+  return { ledger, factory, operations, mint };
+}
+
+test('a transfer moves a transferable token and is appended to the ledger', () => {
+  const { ledger, operations, mint } = setup();
+  const art = mint('ART');
+
+  const result = operations.transfer(art.id, 'alice', 'bob');
+
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.entry.operation, 'transfer');
+  assert.strictEqual(ledger.getCurrentState(art.id).owner, 'bob');
+  assert.strictEqual(ledger.getToken(art.id).owner, 'alice');
+  assert.strictEqual(ledger.verifyIntegrity().valid, true);
+});
+
+test('type flags decide what can move or be destroyed', () => {
+  const { operations, mint } = setup();
+
+  assert.match(operations.transfer(mint('BADGE').id, 'alice', 'bob').error, /not transferable/);
+  assert.match(operations.burn(mint('ALC').id, 'alice').error, /not burnable/);
+  assert.strictEqual(operations.burn(mint('FEATURE').id, 'alice').success, true);
+});
+
+test('only the current owner can transfer or burn', () => {
+  const { operations, mint } = setup();
+  const art = mint('ART');
+  operations.transfer(art.id, 'alice', 'bob');
+
+  assert.match(operations.transfer(art.id, 'alice', 'carol').error, /not owned by alice/);
+  assert.strictEqual(operations.transfer(art.id, 'bob', 'carol').success, true);
+  assert.match(operations.transfer('missing', 'alice', 'bob').error, /not found/);
+});
+
+test('a burned token cannot be used again', () => {
+  const { operations, mint } = setup();
+  const feature = mint('FEATURE');
+  operations.burn(feature.id, 'alice');
+
+  assert.match(operations.burn(feature.id, 'alice').error, /has been burned/);
+  assert.strictEqual(operations.getOwnershipHistory(feature.id).burned, true);
+});
+
+test('factory queries report current owners and leave burned tokens out', () => {
+  const { factory, operations, mint } = setup();
+  const art = mint('ART');
+  const feature = mint('FEATURE', 'alice', 5);
+
+  operations.transfer(art.id, 'alice', 'bob');
+  operations.burn(feature.id, 'alice');
+
+  assert.deepStrictEqual(factory.queryTokens({ owner: 'alice' }), []);
+  assert.deepStrictEqual(factory.queryTokens({ owner: 'bob' }).map(t => t.id), [art.id]);
+  assert.strictEqual(factory.getToken(art.id).owner, 'bob');
+  assert.strictEqual(factory.getToken(feature.id), null);
+  assert.strictEqual(factory.getTotalValue('FEATURE'), 0);
+});
+
+test('the token index survives a rollback', () => {
+  const { ledger, operations, mint } = setup();
+  const art = mint('ART');
+
+  const checkpoint = ledger.checkpoint();
+  operations.transfer(art.id, 'alice', 'bob');
+  ledger.rollback(checkpoint);
+
+  assert.strictEqual(ledger.getCurrentState(art.id).owner, 'alice');
+});
+
+test('lookups do not scan the ledger', () => {
+  const { ledger, mint } = setup();
+  for (let i = 0; i < 50; i++) mint('ALC');
+  const last = mint('ALC');
+
+  ledger.ledger.find = () => assert.fail('getToken scanned the ledger');
+  ledger.ledger.filter = () => assert.fail('getCurrentState scanned the ledger');
+
+  assert.strictEqual(ledger.getToken(last.id).token_id, last.id);
+  assert.strictEqual(ledger.getCurrentState(last.id).operation, 'mint');
+});
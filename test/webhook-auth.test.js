@@ -0,0 +1,79 @@
+// Webhook Authenticator tests
+// Per-source HMAC signatures, timestamp window and replay protection
+
+const test = require('node:test');
+const assert = require('node:assert');
+const WebhookAuthenticator = require('../wiring/webhook-auth');
+
+const SECRET = 'dash-hub-secret';
+const WINDOW_SECONDS = 300;
+const NOW = 1767225600000; // 2026-01-01T00:00:00Z
+
+function auth() {
+  return new WebhookAuthenticator({ secrets: { 'dash-hub': SECRET }, replayWindowSeconds: WINDOW_SECONDS });
+}
+
+function signed(rawBody, timestampSeconds, secret = SECRET) {
+  return { source: 'dash-hub', rawBody, headers: WebhookAuthenticator.signedHeaders(secret, rawBody, timestampSeconds) };
+}
+
+test('a correctly signed request is accepted once', () => {
+  const authenticator = auth();
+  const request = signed('{"owner":"alice"}', NOW / 1000);
+
+  assert.deepStrictEqual(authenticator.verify({ ...request, now: NOW }), { valid: true, source: 'dash-hub' });
+  assert.strictEqual(authenticator.verify({ ...request, now: NOW + 1000 }).error, 'Replayed request');
+});
+
+test('the wrong secret, an edited body or another source is refused', () => {
+  const authenticator = auth();
+
+  assert.strictEqual(authenticator.verify({ ...signed('{}', NOW / 1000, 'other'), now: NOW }).error, 'Signature mismatch');
+
+  const request = signed('{"amount":1}', NOW / 1000);
+  assert.strictEqual(authenticator.verify({ ...request, rawBody: '{"amount":100}', now: NOW }).error, 'Signature mismatch');
+  assert.match(authenticator.verify({ ...request, source: 'banksy', now: NOW }).error, /No shared secret/);
+});
+
+test('missing headers and malformed or stale timestamps are refused', () => {
+  const authenticator = auth();
+
+  assert.match(authenticator.verify({ source: 'dash-hub', rawBody: '{}', headers: {}, now: NOW }).error, /Missing/);
+
+  const malformed = signed('{}', NOW / 1000);
+  malformed.headers['x-infinity-timestamp'] = 'yesterday';
+  assert.strictEqual(authenticator.verify({ ...malformed, now: NOW }).error, 'Malformed timestamp');
+
+  const stale = signed('{}', NOW / 1000 - WINDOW_SECONDS - 1);
+  assert.strictEqual(authenticator.verify({ ...stale, now: NOW }).error, 'Timestamp outside replay window');
+  assert.strictEqual(authenticator.getStats().rejected, 3);
+});
+
+test('a future-dated request cannot be replayed after the seen signatures are pruned', () => {
+  const authenticator = auth();
+  const windowMs = WINDOW_SECONDS * 1000;
+  const request = signed('{"owner":"alice"}', (NOW + windowMs) / 1000);
+
+  assert.strictEqual(authenticator.verify({ ...request, now: NOW }).valid, true);
+
+  // Still inside its own window at every point until NOW + 2 windows; each verify prunes first
+  for (const later of [NOW + windowMs + 1, NOW + 1.5 * windowMs, NOW + 2 * windowMs]) {
+    assert.strictEqual(authenticator.verify({ ...request, now: later }).error, 'Replayed request');
+  }
+
+  assert.strictEqual(authenticator.verify({ ...request, now: NOW + 2 * windowMs + 1 }).error, 'Timestamp outside replay window');
+});
+
+test('seen signatures are forgotten once their timestamp is out of the window', () => {
+  const authenticator = auth();
+  authenticator.verify({ ...signed('{}', NOW / 1000), now: NOW });
+  assert.strictEqual(authenticator.seenSignatures.size, 1);
+
+  authenticator.verify({ ...signed('{"n":2}', (NOW + WINDOW_SECONDS * 1000 + 1) / 1000 | 0), now: NOW + WINDOW_SECONDS * 1000 + 1000 });
+  assert.strictEqual(authenticator.seenSignatures.size, 1);
+});
+
+test('secrets are read from INFINITY_WEBHOOK_SECRET_<SOURCE>', () => {
+  const authenticator = WebhookAuthenticator.fromEnv(['dash-hub', 'banksy'], { INFINITY_WEBHOOK_SECRET_DASH_HUB: 'x' });
+  assert.deepStrictEqual(authenticator.getStats().configured_sources, ['dash-hub']);
+});
@@ -0,0 +1,553 @@
+// API Server
+// Serves the endpoints declared in wiring-config.json over plain node http
+
+const http = require('http');
+const crypto = require('crypto');
+const { canonicalize, sha256 } = require('../storage/hash-utils');
+const MintTransaction = require('../minting/mint-transaction');
+
+const DEFAULT_MAX_BODY_BYTES = 64 * 1024;
+
+// The operator's public key, so wallets can tell this mint's tokens from others'
+const MINT_KEY_PATH = '/api/mint/key';
+
+// Abuse review routes, served only when both a guard and an admin token are given
+const ADMIN_ABUSE_PATHS = {
+  blocks: '/api/admin/abuse/blocks',
+  owner: '/api/admin/abuse/owner',
+  unblock: '/api/admin/abuse/unblock',
+  log: '/api/admin/abuse/log'
+};
+
+// Error codes returned in { error: { code, message } } bodies
+const ERROR_STATUS = {
+  INVALID_JSON: 400,
+  VALIDATION_FAILED: 400,
+  UNAUTHORIZED: 401,
+  OWNER_BLOCKED: 403,
+  NOT_FOUND: 404,
+  METHOD_NOT_ALLOWED: 405,
+  REQUEST_IN_PROGRESS: 409,
+  PAYLOAD_TOO_LARGE: 413,
+  UNSUPPORTED_MEDIA_TYPE: 415,
+  MINT_REJECTED: 422,
+  REQUEST_REJECTED: 422,
+  IDEMPOTENCY_KEY_REUSED: 422,
+  RATE_LIMITED: 429,
+  QUEUE_FULL: 429,
+  ABUSE_COOLDOWN: 429,
+  INTERNAL_ERROR: 500
+};
+
+class ApiError extends Error {
+  constructor(code, message, details) {
+    super(message);
+    this.code = code;
+    this.status = ERROR_STATUS[code] || 500;
+    this.details = details;
+  }
+}
+
+class ApiServer {
+  constructor({ config, alcMinter, tokenFactory, ledger, accountBook, receiver, webhookAuth, idempotency, guard, adminToken, maxBodyBytes }) {
+    this.config = config;
+    this.alcMinter = alcMinter;
+    this.tokenFactory = tokenFactory;
+    this.ledger = ledger;
+    this.accountBook = accountBook;
+    this.receiver = receiver;
+    this.webhookAuth = webhookAuth;
+    // Shared with the receiver by default, so one key can't mint through both paths
+    this.idempotency = idempotency || (receiver ? receiver.idempotency : null);
+    this.guard = guard || (alcMinter ? alcMinter.guard : null);
+    this.adminToken = adminToken || null;
+    this.maxBodyBytes = maxBodyBytes || DEFAULT_MAX_BODY_BYTES;
+    this.routes = new Map();
+    this.server = null;
+    this.requestCount = 0;
+
+    this.registerRoutes();
+  }
+
+  // Swap in a reloaded wiring-config.json: routes are rebuilt, then replaced in one step
+  applyConfig(config) {
+    const previous = { config: this.config, routes: this.routes };
+
+    this.config = config;
+    this.routes = new Map();
+
+    try {
+      this.registerRoutes();
+    } catch (error) {
+      this.config = previous.config;
+      this.routes = previous.routes;
+      throw error;
+    }
+  }
+
+  registerRoutes() {
+    const endpoints = this.config.endpoints;
+
+    this.addRoute('POST', endpoints.mint, {
+      schema: {
+        trigger: { type: 'string', required: true },
+        owner: { type: 'string', required: true },
+        type: { type: 'string' },
+        amount: { type: 'number' },
+        metadata: { type: 'object' },
+        idempotency_key: { type: 'string' }
+      },
+      handler: ({ body, headers }) => this.handleIdempotentMint(body, headers['idempotency-key'] || body.idempotency_key)
+    });
+
+    this.addRoute('GET', endpoints.query, {
+      schema: {
+        owner: { type: 'string' },
+        type: { type: 'string' },
+        minValue: { type: 'number' },
+        maxValue: { type: 'number' }
+      },
+      handler: ({ query }) => {
+        const tokens = this.tokenFactory.queryTokens(query);
+        return { count: tokens.length, tokens };
+      }
+    });
+
+    this.addRoute('GET', endpoints.balance, {
+      schema: {
+        owner: { type: 'string', required: true },
+        type: { type: 'string' },
+        at: { type: 'string' }
+      },
+      handler: ({ query }) => {
+        // USD values use the prices in effect at `at` (ISO time), now by default
+        const at = query.at === undefined ? Date.now() : Date.parse(query.at);
+        if (Number.isNaN(at)) {
+          throw new ApiError('VALIDATION_FAILED', `Invalid time: ${query.at}`);
+        }
+
+        return query.type
+          ? this.accountBook.getBalance(query.owner, query.type, at)
+          : this.accountBook.getHoldings(query.owner, at);
+      }
+    });
+
+    this.addRoute('GET', endpoints.history, {
+      schema: {
+        owner: { type: 'string' },
+        type: { type: 'string' },
+        token_id: { type: 'string' },
+        fromIndex: { type: 'number' },
+        toIndex: { type: 'number' }
+      },
+      handler: ({ query }) => {
+        const entries = query.token_id
+          ? this.ledger.getHistory(query.token_id)
+          : this.ledger.query(query);
+        return { count: entries.length, entries };
+      }
+    });
+
+    this.addRoute('GET', endpoints.stats, {
+      schema: {},
+      handler: () => ({
+        alc: this.alcMinter.getStats(),
+        factory: this.tokenFactory.getStats(),
+        ledger: this.ledger.getStats(),
+        accounts: this.accountBook.getStats()
+      })
+    });
+
+    // Public and read-only, so browsers on any origin (e.g. a file:// wallet viewer) may fetch it
+    if (this.alcMinter?.signer) {
+      this.addRoute('GET', MINT_KEY_PATH, {
+        schema: {},
+        cors: true,
+        handler: () => ({
+          algorithm: 'ed25519',
+          key_id: this.alcMinter.signer.keyId,
+          public_key: this.alcMinter.signer.publicKeyJwk
+        })
+      });
+    }
+
+    if (this.receiver && this.webhookAuth) {
+      this.registerWebhookRoutes();
+    }
+
+    if (this.guard && this.adminToken) {
+      this.registerAdminRoutes();
+    }
+  }
+
+  // Review and lift abuse blocks; every route needs Authorization: Bearer <admin token>, checked before the body is looked at
+  registerAdminRoutes() {
+    this.addRoute('GET', ADMIN_ABUSE_PATHS.blocks, {
+      authorize: ({ headers }) => this.requireAdmin(headers),
+      schema: {},
+      handler: () => {
+        const blocked = this.guard.getBlocked();
+        return { count: blocked.length, blocked, stats: this.guard.getStats() };
+      }
+    });
+
+    this.addRoute('GET', ADMIN_ABUSE_PATHS.owner, {
+      authorize: ({ headers }) => this.requireAdmin(headers),
+      schema: { owner: { type: 'string', required: true } },
+      handler: ({ query }) => this.guard.getOwnerReport(query.owner)
+    });
+
+    this.addRoute('POST', ADMIN_ABUSE_PATHS.unblock, {
+      authorize: ({ headers }) => this.requireAdmin(headers),
+      schema: {
+        owner: { type: 'string', required: true },
+        note: { type: 'string' }
+      },
+      handler: ({ body }) => {
+        const result = this.guard.unblock(body.owner, { by: 'api', note: body.note || null });
+        if (!result.success) {
+          throw new ApiError('NOT_FOUND', result.error);
+        }
+        return result;
+      }
+    });
+
+    this.addRoute('GET', ADMIN_ABUSE_PATHS.log, {
+      authorize: ({ headers }) => this.requireAdmin(headers),
+      schema: { limit: { type: 'number' } },
+      handler: ({ query }) => ({ entries: this.guard.getAdminLog(query.limit) })
+    });
+  }
+
+  // Constant-time bearer token check
+  requireAdmin(headers) {
+    const match = /^Bearer (.+)$/.exec(headers.authorization || '');
+    const given = crypto.createHash('sha256').update(match ? match[1] : '').digest();
+    const expected = crypto.createHash('sha256').update(this.adminToken).digest();
+
+    if (!match || !crypto.timingSafeEqual(given, expected)) {
+      throw new ApiError('UNAUTHORIZED', 'Admin token required');
+    }
+  }
+
+  // One signed inbound route per receives_from source; the path decides the source
+  registerWebhookRoutes() {
+    for (const { source, endpoint } of this.config.receives_from) {
+      this.addRoute('POST', endpoint, {
+        authorize: ({ headers, rawBody }) => this.verifyWebhook(source, headers, rawBody),
+        schema: null,
+        handler: ({ body, headers }) => this.handleWebhook(source, body, headers)
+      });
+    }
+  }
+
+  // The signature covers the raw bytes, so it is checked before the body is parsed
+  verifyWebhook(source, headers, rawBody) {
+    const auth = this.webhookAuth.verify({ source, headers, rawBody });
+    if (!auth.valid) {
+      throw new ApiError('UNAUTHORIZED', auth.error);
+    }
+  }
+
+  async handleWebhook(source, body, headers) {
+    const key = headers['idempotency-key'];
+    const result = await this.receiver.receiveFrom(source, key ? { ...body, idempotency_key: key } : body);
+    if (!result.success) {
+      if (result.code === 'QUEUE_FULL') {
+        throw new ApiError('QUEUE_FULL', result.error, { retry_after_ms: result.retry_after_ms });
+      }
+      throw new ApiError('REQUEST_REJECTED', result.error);
+    }
+
+    return result;
+  }
+
+  // Register a route; handler receives { body, query, headers, rawBody }.
+  // authorize({ headers, rawBody }) throws to refuse a request before its body is parsed or validated
+  addRoute(method, path, { schema, handler, authorize = null, parseBody = true, cors = false }) {
+    if (!this.routes.has(path)) {
+      this.routes.set(path, new Map());
+    }
+    this.routes.get(path).set(method, { schema, handler, authorize, parseBody, cors });
+  }
+
+  // With an Idempotency-Key, a retried mint returns the original token instead of minting again
+  async handleIdempotentMint(body, idempotencyKey) {
+    const { idempotency_key, ...request } = body;
+
+    if (!idempotencyKey || !this.idempotency) {
+      return this.handleMint(request);
+    }
+
+    const key = `api:key:${idempotencyKey}`;
+    const fingerprint = sha256(canonicalize(request));
+    const { reserved, record } = this.idempotency.reserve(key, null, fingerprint);
+
+    if (!reserved) {
+      if (record.fingerprint !== fingerprint) {
+        throw new ApiError('IDEMPOTENCY_KEY_REUSED', `Idempotency key ${idempotencyKey} was already used for a different request`);
+      }
+      if (record.status !== 'completed') {
+        throw new ApiError('REQUEST_IN_PROGRESS', `A request with idempotency key ${idempotencyKey} is still in progress`);
+      }
+
+      const entry = this.ledger.getToken(record.token_id);
+      return { token: record.token, ledger_index: entry?.index, ledger_hash: entry?.hash, duplicate: true };
+    }
+
+    try {
+      const result = await this.handleMint(request);
+      this.idempotency.complete(key, result.token);
+      return result;
+    } catch (error) {
+      this.idempotency.release(key);
+      throw error;
+    }
+  }
+
+  // The mint only counts once its token is in the ledger: until then its charge, rate-limit slot
+  // and token.minted event are held in a transaction, and a failed append rolls them back
+  async handleMint(body) {
+    const transaction = new MintTransaction(`api:${crypto.randomUUID()}`);
+
+    try {
+      const token = await this.mintToken(body, transaction);
+      const entry = this.ledger.addToken(token);
+      transaction.commit();
+
+      return { token, ledger_index: entry.index, ledger_hash: entry.hash };
+    } catch (error) {
+      transaction.rollback();
+      throw error;
+    }
+  }
+
+  async mintToken(body, transaction) {
+    if (body.type && body.type !== 'ALC') {
+      try {
+        return this.tokenFactory.createToken({
+          type: body.type,
+          owner: body.owner,
+          value: body.amount,
+          metadata: { ...body.metadata, trigger: body.trigger }
+        }, { transaction });
+      } catch (error) {
+        throw this.mintError(error.message, error.code, error.retry_after_ms);
+      }
+    }
+
+    const result = await this.alcMinter.mint(body, { transaction });
+    if (!result.success) {
+      throw this.mintError(result.error, result.code, result.retry_after_ms);
+    }
+    return result.token;
+  }
+
+  mintError(message, code, retryAfterMs) {
+    if (code === 'RATE_LIMITED' || code === 'ABUSE_COOLDOWN') {
+      return new ApiError(code, message, { retry_after_ms: retryAfterMs });
+    }
+    if (code === 'OWNER_BLOCKED') {
+      return new ApiError(code, message);
+    }
+    return new ApiError('MINT_REJECTED', message);
+  }
+
+  // Check a body or query against a route schema; query strings are coerced
+  validate(schema, input, fromQuery) {
+    if (!schema) {
+      return input;
+    }
+
+    const output = {};
+    const errors = [];
+
+    for (const key of Object.keys(input)) {
+      if (!schema[key]) {
+        errors.push({ field: key, message: 'Unknown field' });
+      }
+    }
+
+    for (const [field, rule] of Object.entries(schema)) {
+      let value = input[field];
+
+      if (value === undefined || value === '') {
+        if (rule.required) {
+          errors.push({ field, message: 'Required' });
+        }
+        continue;
+      }
+
+      if (fromQuery && rule.type === 'number') {
+        value = Number(value);
+      }
+
+      const actual = Array.isArray(value) ? 'array' : typeof value;
+      if (actual !== rule.type || (rule.type === 'number' && !Number.isFinite(value))) {
+        errors.push({ field, message: `Expected ${rule.type}` });
+        continue;
+      }
+
+      output[field] = value;
+    }
+
+    if (errors.length > 0) {
+      throw new ApiError('VALIDATION_FAILED', 'Request does not match schema', errors);
+    }
+
+    return output;
+  }
+
+  // Read the request body, refusing anything over the size limit
+  readBody(req) {
+    return new Promise((resolve, reject) => {
+      const declared = Number(req.headers['content-length']);
+      if (declared > this.maxBodyBytes) {
+        reject(new ApiError('PAYLOAD_TOO_LARGE', `Body exceeds ${this.maxBodyBytes} bytes`));
+        return;
+      }
+
+      const chunks = [];
+      let size = 0;
+
+      req.on('data', chunk => {
+        size += chunk.length;
+        if (size > this.maxBodyBytes) {
+          req.pause();
+          reject(new ApiError('PAYLOAD_TOO_LARGE', `Body exceeds ${this.maxBodyBytes} bytes`));
+          return;
+        }
+        chunks.push(chunk);
+      });
+      req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+      req.on('error', reject);
+    });
+  }
+
+  parseJson(rawBody) {
+    if (rawBody.length === 0) {
+      return {};
+    }
+
+    let body;
+    try {
+      body = JSON.parse(rawBody);
+    } catch (error) {
+      throw new ApiError('INVALID_JSON', `Malformed JSON: ${error.message}`);
+    }
+
+    if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+      throw new ApiError('VALIDATION_FAILED', 'Body must be a JSON object');
+    }
+
+    return body;
+  }
+
+  async handleRequest(req, res) {
+    this.requestCount++;
+
+    try {
+      const url = new URL(req.url, 'http://localhost');
+      const methods = this.routes.get(url.pathname);
+
+      if (!methods) {
+        throw new ApiError('NOT_FOUND', `No route for ${url.pathname}`);
+      }
+
+      const route = methods.get(req.method);
+      if (!route) {
+        res.setHeader('Allow', [...methods.keys()].join(', '));
+        throw new ApiError('METHOD_NOT_ALLOWED', `${req.method} not allowed on ${url.pathname}`);
+      }
+
+      if (route.cors) {
+        res.setHeader('Access-Control-Allow-Origin', '*');
+      }
+
+      const rawBody = req.method === 'GET' ? '' : await this.readBody(req);
+
+      if (route.authorize) {
+        route.authorize({ headers: req.headers, rawBody });
+      }
+
+      if (rawBody.length > 0 && !/^application\/json\b/.test(req.headers['content-type'] || '')) {
+        throw new ApiError('UNSUPPORTED_MEDIA_TYPE', 'Content-Type must be application/json');
+      }
+
+      const body = route.parseBody ? this.parseJson(rawBody) : {};
+      const query = Object.fromEntries(url.searchParams);
+
+      const result = await route.handler({
+        body: req.method === 'GET' ? {} : this.validate(route.schema, body, false),
+        query: req.method === 'GET' ? this.validate(route.schema, query, true) : query,
+        headers: req.headers,
+        rawBody
+      });
+
+      this.send(res, 200, result);
+    } catch (error) {
+      if (error instanceof ApiError) {
+        if (error.details?.retry_after_ms !== undefined) {
+          res.setHeader('Retry-After', Math.ceil(error.details.retry_after_ms / 1000));
+        }
+        this.send(res, error.status, {
+          error: { code: error.code, message: error.message, details: error.details }
+        });
+      } else {
+        this.send(res, 500, {
+          error: { code: 'INTERNAL_ERROR', message: error.message }
+        });
+      }
+    }
+  }
+
+  send(res, status, body) {
+    const payload = JSON.stringify(body);
+    res.writeHead(status, {
+      'Content-Type': 'application/json; charset=utf-8',
+      'Content-Length': Buffer.byteLength(payload)
+    });
+    res.end(payload);
+  }
+
+  // Start listening (localhost only by default)
+  listen(port = 8787, host = '127.0.0.1') {
+    this.server = http.createServer((req, res) => this.handleRequest(req, res));
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => {
+        const address = this.server.address();
+        resolve({ listening: true, host: address.address, port: address.port });
+      });
+    });
+  }
+
+  close() {
+    if (!this.server) {
+      return Promise.resolve({ listening: false });
+    }
+
+    return new Promise(resolve => {
+      this.server.close(() => {
+        this.server = null;
+        resolve({ listening: false });
+      });
+    });
+  }
+
+  getStats() {
+    return {
+      listening: this.server !== null,
+      routes: [...this.routes.entries()].map(([path, methods]) => `${[...methods.keys()].join('/')} ${path}`),
+      total_requests: this.requestCount,
+      max_body_bytes: this.maxBodyBytes
+    };
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ApiServer;
+  module.exports.ApiError = ApiError;
+}
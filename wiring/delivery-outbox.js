@@ -0,0 +1,250 @@
+// Delivery Outbox
+// Per-destination retry queues and a dead-letter store for failed token deliveries
+
+const fs = require('fs');
+const path = require('path');
+const LedgerFile = require('../storage/ledger-file');
+
+const DEAD_LETTER = 'dead-letter';
+
+class DeliveryOutbox {
+  // Without a directory the queues only last as long as the process
+  constructor({ directory = null, maxAttempts = 8, baseDelayMs = 1000, maxDelayMs = 5 * 60 * 1000 } = {}) {
+    this.directory = directory ? path.resolve(directory) : null;
+    this.maxAttempts = maxAttempts;
+    this.baseDelayMs = baseDelayMs;
+    this.maxDelayMs = maxDelayMs;
+    this.queues = new Map(); // destination -> Map(delivery_id -> delivery)
+    this.deadLetters = new Map(); // delivery_id -> delivery
+    this.files = new Map(); // queue name -> LedgerFile
+    this.deliveredCount = 0;
+    this.replayedCount = 0;
+    this.purgedCount = 0;
+
+    if (this.directory) {
+      this.loadFromDirectory();
+    }
+  }
+
+  // Replay every queue file; each record is the latest state of one delivery
+  loadFromDirectory() {
+    fs.mkdirSync(this.directory, { recursive: true });
+
+    for (const file of fs.readdirSync(this.directory)) {
+      if (!file.endsWith('.jsonl')) continue;
+
+      const name = decodeURIComponent(file.slice(0, -'.jsonl'.length));
+      const deliveries = name === DEAD_LETTER ? this.deadLetters : this.queueFor(name);
+      const records = this.fileFor(name).load();
+
+      for (const record of records) {
+        if (record.kind === 'remove') {
+          deliveries.delete(record.delivery_id);
+        } else {
+          deliveries.set(record.delivery.delivery_id, record.delivery);
+        }
+      }
+
+      // Most records are superseded states; rewrite once they dominate
+      if (records.length > deliveries.size * 4 + 100) {
+        this.compact(name, deliveries);
+      }
+    }
+  }
+
+  fileFor(name) {
+    if (!this.files.has(name)) {
+      this.files.set(name, new LedgerFile(path.join(this.directory, `${encodeURIComponent(name)}.jsonl`)));
+    }
+    return this.files.get(name);
+  }
+
+  compact(name, deliveries) {
+    const file = this.fileFor(name);
+    const temp = `${file.filePath}.tmp`;
+    const lines = [...deliveries.values()].map(delivery => `${JSON.stringify({ kind: 'delivery', delivery })}\n`);
+
+    file.close();
+    fs.writeFileSync(temp, lines.join(''));
+    const fd = fs.openSync(temp, 'r');
+    fs.fsyncSync(fd);
+    fs.closeSync(fd);
+    fs.renameSync(temp, file.filePath);
+
+    this.files.delete(name);
+    this.fileFor(name).load();
+  }
+
+  // Durably record a delivery's new state (or its removal) in one queue
+  persist(name, record) {
+    if (!this.directory) return;
+
+    const file = this.fileFor(name);
+    if (file.fd === null) {
+      file.load();
+    }
+    file.append(record);
+  }
+
+  queueFor(destination) {
+    if (!this.queues.has(destination)) {
+      this.queues.set(destination, new Map());
+    }
+    return this.queues.get(destination);
+  }
+
+  // Queue a delivery whose first attempt failed
+  enqueue(destination, token, error, now = Date.now()) {
+    const delivery = {
+      delivery_id: this.generateDeliveryId(),
+      destination: destination.destination,
+      route: destination,
+      token,
+      attempts: 1,
+      created_at: now,
+      last_attempt_at: now,
+      last_error: error,
+      next_attempt_at: now + this.backoffDelay(1)
+    };
+
+    return this.schedule(delivery);
+  }
+
+  schedule(delivery) {
+    this.queueFor(delivery.destination).set(delivery.delivery_id, delivery);
+    this.persist(delivery.destination, { kind: 'delivery', delivery });
+    return delivery;
+  }
+
+  // Exponential backoff with "equal jitter": half the delay is fixed, half random
+  backoffDelay(attempts) {
+    const delay = Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** (attempts - 1));
+    return Math.round(delay / 2 + Math.random() * (delay / 2));
+  }
+
+  // Deliveries whose next attempt is due, oldest first
+  due(now = Date.now()) {
+    const due = [];
+
+    for (const queue of this.queues.values()) {
+      for (const delivery of queue.values()) {
+        if (delivery.next_attempt_at <= now) {
+          due.push(delivery);
+        }
+      }
+    }
+
+    return due.sort((a, b) => a.next_attempt_at - b.next_attempt_at);
+  }
+
+  markDelivered(delivery) {
+    this.queueFor(delivery.destination).delete(delivery.delivery_id);
+    this.persist(delivery.destination, { kind: 'remove', delivery_id: delivery.delivery_id });
+    this.deliveredCount++;
+  }
+
+  // Count a failed retry; past maxAttempts the delivery moves to the dead-letter store
+  recordFailure(delivery, error, now = Date.now()) {
+    const updated = {
+      ...delivery,
+      attempts: delivery.attempts + 1,
+      last_attempt_at: now,
+      last_error: error
+    };
+
+    if (updated.attempts >= this.maxAttempts) {
+      this.queueFor(delivery.destination).delete(delivery.delivery_id);
+      const dead = { ...updated, next_attempt_at: null, dead_lettered_at: now };
+
+      // Dead letter first: a crash in between leaves a duplicate, never a lost delivery
+      this.deadLetters.set(dead.delivery_id, dead);
+      this.persist(DEAD_LETTER, { kind: 'delivery', delivery: dead });
+      this.persist(delivery.destination, { kind: 'remove', delivery_id: delivery.delivery_id });
+
+      return { dead_lettered: true, delivery: dead };
+    }
+
+    updated.next_attempt_at = now + this.backoffDelay(updated.attempts);
+    return { dead_lettered: false, delivery: this.schedule(updated) };
+  }
+
+  getDeadLetters({ destination, limit = 100 } = {}) {
+    return [...this.deadLetters.values()]
+      .filter(d => !destination || d.destination === destination)
+      .slice(-limit);
+  }
+
+  // Put a dead letter back on its queue with a fresh attempt budget
+  replay(deliveryId, now = Date.now()) {
+    const dead = this.deadLetters.get(deliveryId);
+    if (!dead) {
+      return { success: false, error: `Dead letter not found: ${deliveryId}` };
+    }
+
+    const { dead_lettered_at, ...delivery } = dead;
+    this.schedule({ ...delivery, attempts: 0, next_attempt_at: now, replayed_at: now });
+
+    this.deadLetters.delete(deliveryId);
+    this.persist(DEAD_LETTER, { kind: 'remove', delivery_id: deliveryId });
+    this.replayedCount++;
+
+    return { success: true, delivery_id: deliveryId, destination: dead.destination };
+  }
+
+  // Drop dead letters for good: by id, by destination, and/or dead-lettered before olderThan (ms)
+  purge({ ids, destination, olderThan } = {}) {
+    const purged = [];
+
+    for (const dead of [...this.deadLetters.values()]) {
+      if (ids && !ids.includes(dead.delivery_id)) continue;
+      if (destination && dead.destination !== destination) continue;
+      if (olderThan !== undefined && dead.dead_lettered_at >= olderThan) continue;
+
+      this.deadLetters.delete(dead.delivery_id);
+      this.persist(DEAD_LETTER, { kind: 'remove', delivery_id: dead.delivery_id });
+      purged.push(dead.delivery_id);
+    }
+
+    this.purgedCount += purged.length;
+    return { purged: purged.length, delivery_ids: purged };
+  }
+
+  generateDeliveryId() {
+    return `DLV_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
+  }
+
+  close() {
+    for (const file of this.files.values()) {
+      file.close();
+    }
+  }
+
+  getStats() {
+    const pending = {};
+    const deadLettered = {};
+
+    for (const [destination, queue] of this.queues) {
+      pending[destination] = queue.size;
+    }
+    for (const dead of this.deadLetters.values()) {
+      deadLettered[dead.destination] = (deadLettered[dead.destination] || 0) + 1;
+    }
+
+    return {
+      pending: Object.values(pending).reduce((sum, n) => sum + n, 0),
+      pending_by_destination: pending,
+      dead_lettered: this.deadLetters.size,
+      dead_lettered_by_destination: deadLettered,
+      delivered_on_retry: this.deliveredCount,
+      replayed: this.replayedCount,
+      purged: this.purgedCount,
+      max_attempts: this.maxAttempts,
+      persisted: this.directory !== null
+    };
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DeliveryOutbox;
+}
@@ -0,0 +1,255 @@
+// Event Bus
+// In-process domino cascade: typed mint events, delivered in order per owner to cascade_to subscribers
+
+// Event types and the payload fields each one must carry
+const EVENT_TYPES = {
+  'token.minted': ['token'],
+  'token.transferred': ['token_id', 'from', 'to'],
+  'token.burned': ['token_id', 'owner'],
+  'batch.completed': ['batch_id', 'size', 'minted', 'failed'],
+  'capacitor.discharged': ['source', 'charge_before', 'charge_after']
+};
+
+// Events without an owner share one ordering lane
+const GLOBAL_LANE = '*';
+
+// Subscribers get their own frozen copy of a payload: a minted token is often published
+// before it is appended to the ledger, and a handler must not change what gets hashed
+function freezeCopy(value) {
+  return deepFreeze(structuredClone(value));
+}
+
+function deepFreeze(value) {
+  if (value !== null && typeof value === 'object' && !Object.isFrozen(value)) {
+    Object.freeze(value);
+    Object.values(value).forEach(deepFreeze);
+  }
+  return value;
+}
+
+class EventBus {
+  // Handlers for cascade_to targets are bound afterwards with bindCascadeTarget
+  constructor(config, { handlerTimeoutMs = 5000 } = {}) {
+    this.handlerTimeoutMs = handlerTimeoutMs;
+    this.subscribers = new Map(); // name -> { name, handler, types, lanes, delivered, failed }
+    this.cascadeHandlers = new Map(); // cascade_to target -> { handler, types }
+    this.cascadeTargets = [];
+    this.unboundTargets = [];
+    this.sequence = 0;
+    this.published = {};
+    this.inFlight = new Set();
+    this.failureLog = [];
+    this.applyConfig(config);
+  }
+
+  // Subscribe the cascade_to targets from wiring-config.json that have a bound handler
+  applyConfig(config) {
+    const cascade = config.domino_cascade;
+    const targets = cascade && cascade.enabled ? cascade.cascade_to : [];
+
+    for (const name of this.cascadeTargets) {
+      if (!targets.includes(name)) {
+        this.unsubscribe(name);
+      }
+    }
+
+    this.cascadeTargets = [...targets];
+    this.unboundTargets = [];
+
+    for (const name of targets) {
+      const binding = this.cascadeHandlers.get(name);
+      if (!binding) {
+        this.unboundTargets.push(name);
+      } else if (!this.subscribers.has(name)) {
+        this.subscribe(name, binding.handler, { types: binding.types });
+      }
+    }
+
+    return { subscribed: targets.filter(t => this.subscribers.has(t)), unbound: this.unboundTargets };
+  }
+
+  // Handler for a cascade_to target; it only receives events while the config lists the target
+  bindCascadeTarget(name, handler, { types } = {}) {
+    this.cascadeHandlers.set(name, { handler, types });
+
+    if (this.cascadeTargets.includes(name)) {
+      this.unsubscribe(name);
+      this.subscribe(name, handler, { types });
+      this.unboundTargets = this.unboundTargets.filter(t => t !== name);
+    }
+  }
+
+  // handler(event) may be async; types defaults to every event type
+  subscribe(name, handler, { types = Object.keys(EVENT_TYPES) } = {}) {
+    if (this.subscribers.has(name)) {
+      throw new Error(`Subscriber already registered: ${name}`);
+    }
+
+    for (const type of types) {
+      if (!EVENT_TYPES[type]) {
+        throw new Error(`Unknown event type: ${type}`);
+      }
+    }
+
+    this.subscribers.set(name, {
+      name,
+      handler,
+      types,
+      lanes: new Map(), // ordering key -> tail of that lane's delivery chain
+      delivered: 0,
+      failed: 0
+    });
+
+    return () => this.unsubscribe(name);
+  }
+
+  unsubscribe(name) {
+    return this.subscribers.delete(name);
+  }
+
+  // Queue an event for every interested subscriber and return at once;
+  // subscriber failures are recorded here and never reach the publisher
+  publish(type, payload) {
+    const required = EVENT_TYPES[type];
+    if (!required) {
+      throw new Error(`Unknown event type: ${type}`);
+    }
+
+    const missing = required.filter(field => payload[field] === undefined);
+    if (missing.length > 0) {
+      throw new Error(`${type} event is missing ${missing.join(', ')}`);
+    }
+
+    const event = {
+      event_id: this.generateEventId(),
+      type,
+      sequence: ++this.sequence,
+      timestamp: new Date().toISOString(),
+      payload: freezeCopy(payload)
+    };
+
+    this.published[type] = (this.published[type] || 0) + 1;
+
+    for (const subscriber of this.subscribers.values()) {
+      if (subscriber.types.includes(type)) {
+        this.enqueue(subscriber, event);
+      }
+    }
+
+    return event;
+  }
+
+  // Ordering lanes: a transfer sits in both owners' lanes, so it stays between
+  // the sender's earlier events and the recipient's later ones
+  laneKeys(event) {
+    const { payload } = event;
+
+    switch (event.type) {
+      case 'token.minted':
+        return [payload.token.owner || GLOBAL_LANE];
+      case 'token.transferred':
+        return [payload.from, payload.to];
+      case 'token.burned':
+        return [payload.owner];
+      default:
+        return [payload.owner || GLOBAL_LANE];
+    }
+  }
+
+  enqueue(subscriber, event) {
+    const keys = this.laneKeys(event);
+    const previous = keys.map(key => subscriber.lanes.get(key) || Promise.resolve());
+
+    const delivery = Promise.all(previous).then(() => this.deliver(subscriber, event));
+
+    for (const key of keys) {
+      subscriber.lanes.set(key, delivery);
+    }
+
+    this.inFlight.add(delivery);
+    delivery.then(() => {
+      this.inFlight.delete(delivery);
+
+      // Drop finished lanes so idle owners don't accumulate
+      for (const key of keys) {
+        if (subscriber.lanes.get(key) === delivery) {
+          subscriber.lanes.delete(key);
+        }
+      }
+    });
+  }
+
+  // Run one handler; a throw, rejection or timeout only marks this delivery failed
+  async deliver(subscriber, event) {
+    let timer;
+
+    try {
+      await Promise.race([
+        Promise.resolve().then(() => subscriber.handler(event)),
+        new Promise((resolve, reject) => {
+          timer = setTimeout(() => reject(new Error(`Handler timed out after ${this.handlerTimeoutMs}ms`)), this.handlerTimeoutMs);
+        })
+      ]);
+      subscriber.delivered++;
+    } catch (error) {
+      subscriber.failed++;
+      this.recordFailure(subscriber.name, event, error);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  recordFailure(subscriber, event, error) {
+    this.failureLog.push({
+      subscriber,
+      event_id: event.event_id,
+      type: event.type,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+
+    // Trim log to last 100 failures
+    if (this.failureLog.length > 100) {
+      this.failureLog = this.failureLog.slice(-100);
+    }
+  }
+
+  // Resolves once every event published so far has been handled
+  async drain() {
+    while (this.inFlight.size > 0) {
+      await Promise.all([...this.inFlight]);
+    }
+  }
+
+  generateEventId() {
+    return `EVT_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
+  }
+
+  getFailureLog(limit = 20) {
+    return this.failureLog.slice(-limit);
+  }
+
+  getStats() {
+    return {
+      published: this.published,
+      total_published: this.sequence,
+      in_flight: this.inFlight.size,
+      cascade_to: this.cascadeTargets,
+      unbound_targets: this.unboundTargets,
+      subscribers: [...this.subscribers.values()].map(s => ({
+        name: s.name,
+        types: s.types,
+        delivered: s.delivered,
+        failed: s.failed,
+        active_lanes: s.lanes.size
+      })),
+      recent_failures: this.failureLog.slice(-10)
+    };
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = EventBus;
+  module.exports.EVENT_TYPES = EVENT_TYPES;
+}
@@ -1,44 +1,104 @@
 // Hydrogen Delivery
-// Ultra-fast token delivery system using hydrogen bond physics
+// Token delivery over pluggable transports (HTTP, WebSocket, filesystem drop) with acknowledged receipts
+
+const http = require('http');
+const HttpTransport = require('./transports/http-transport');
+const WebSocketTransport = require('./transports/websocket-transport');
+const FilesystemDropTransport = require('./transports/filesystem-drop-transport');
+
+const DEFAULT_TIMEOUT_MS = 5000;
 
 class HydrogenDelivery {
-  constructor() {
+  // routes: destination -> { transport: 'http' | 'websocket' | 'filesystem', timeout_ms, ...options }
+  constructor({ routes = {}, timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
     this.deliveries = [];
-    this.bondStrength = 100;
-    this.deliverySpeed = 'near_instantaneous';
+    this.timeoutMs = timeoutMs;
+    this.transportTypes = new Map([
+      ['http', (destination, options) => new HttpTransport(destination, options)],
+      ['websocket', (destination, options) => new WebSocketTransport(destination, options)],
+      ['filesystem', (destination, options) => new FilesystemDropTransport(destination, options)]
+    ]);
+    this.routes = new Map(); // destination -> { spec, transport, timeoutMs }
+    this.configureRoutes(routes);
+  }
+
+  // Make a new transport type available to routes ("transport": name)
+  registerTransportType(name, factory) {
+    this.transportTypes.set(name, factory);
+  }
+
+  // Build every route first, so a bad spec leaves the current transports untouched
+  configureRoutes(routes) {
+    const next = new Map();
+
+    for (const [destination, spec] of Object.entries(routes)) {
+      const factory = this.transportTypes.get(spec.transport);
+      if (!factory) {
+        throw new Error(`Destination ${destination}: unknown transport "${spec.transport}"`);
+      }
+
+      const { transport, timeout_ms, ...options } = spec;
+      next.set(destination, {
+        spec,
+        transport: factory(destination, options),
+        timeoutMs: timeout_ms || this.timeoutMs
+      });
+    }
+
+    const previous = this.routes;
+    this.routes = next;
+    for (const route of previous.values()) {
+      route.transport.close();
+    }
+
+    return this.describeRoutes();
+  }
+
+  hasRoute(destination) {
+    return this.routes.has(destination);
   }
 
-  // Deliver token using hydrogen bond
+  // Deliver token over the destination's transport; status is 'delivered' only once acknowledged
   async deliver(token, destination) {
     const deliveryStart = Date.now();
 
-    // Hydrogen bond physics: instant delivery
     const delivery = {
       delivery_id: this.generateDeliveryId(),
       token_id: token.id,
       destination,
       timestamp: new Date().toISOString(),
-      method: 'hydrogen_bond',
-      bond_strength: this.bondStrength,
+      method: null,
       status: 'initiating'
     };
 
-    // Simulate bond formation (very fast)
-    await this.formHydrogenBond(token, destination);
-    
-    delivery.status = 'bonded';
-    
-    // Transfer through bond
-    await this.transferThroughBond(token);
-    
-    delivery.status = 'transferred';
-    
-    // Release bond
-    await this.releaseBond();
-    
-    delivery.status = 'delivered';
+    const route = this.routes.get(destination);
+
+    if (!route) {
+      delivery.status = 'no_route';
+      delivery.error = `No transport configured for ${destination}`;
+    } else {
+      delivery.method = route.transport.type;
+      delivery.status = 'sending';
+
+      const envelope = {
+        delivery_id: delivery.delivery_id,
+        destination,
+        token,
+        sent_at: delivery.timestamp
+      };
+
+      try {
+        delivery.receipt = await route.transport.send(envelope, { timeoutMs: route.timeoutMs });
+        delivery.status = 'delivered';
+      } catch (error) {
+        // timeout, refused, rejected, unacknowledged, disconnected or failed
+        delivery.status = error.status || 'failed';
+        delivery.error = error.message;
+      }
+    }
+
     delivery.delivery_time_ms = Date.now() - deliveryStart;
-    
+
     this.deliveries.push(delivery);
 
     // Trim to last 1000 deliveries
@@ -49,24 +109,49 @@ class HydrogenDelivery {
     return delivery;
   }
 
-  // Form hydrogen bond
-  async formHydrogenBond(token, destination) {
-    // Hydrogen bonds form quickly (3-5ms)
-    await new Promise(resolve => setTimeout(resolve, Math.random() * 2 + 3));
-    return { bonded: true };
+  // Local endpoint that acknowledges (and echoes) every delivery posted to it
+  static startEchoServer(port = 0, host = '127.0.0.1') {
+    const server = http.createServer((req, res) => {
+      const chunks = [];
+      req.on('data', chunk => chunks.push(chunk));
+      req.on('end', () => {
+        let envelope = null;
+        try {
+          envelope = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+        } catch (error) {
+          res.writeHead(400).end();
+          return;
+        }
+
+        res.writeHead(200, { 'content-type': 'application/json' });
+        res.end(JSON.stringify({ ack: envelope.delivery_id, echo: envelope }));
+      });
+    });
+
+    return new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, host, () => {
+        const address = server.address();
+        resolve({
+          url: `http://${host}:${address.port}/`,
+          close: () => new Promise(done => server.close(done))
+        });
+      });
+    });
   }
 
-  // Transfer through bond
-  async transferThroughBond(token) {
-    // Transfer is nearly instantaneous (1-2ms)
-    await new Promise(resolve => setTimeout(resolve, Math.random() + 1));
-    return { transferred: true };
+  describeRoutes() {
+    return [...this.routes].map(([destination, route]) => ({
+      destination,
+      transport: route.transport.type,
+      timeout_ms: route.timeoutMs
+    }));
   }
 
-  // Release bond
-  async releaseBond() {
-    // Bond release is instant
-    return { released: true };
+  async close() {
+    for (const route of this.routes.values()) {
+      await route.transport.close();
+    }
   }
 
   // Cascade delivery (domino effect)
@@ -120,36 +205,65 @@ class HydrogenDelivery {
 
   // Get delivery stats
   getStats() {
-    const avgDeliveryTime = this.deliveries.length > 0
-      ? (this.deliveries.reduce((sum, d) => sum + d.delivery_time_ms, 0) / this.deliveries.length).toFixed(2)
+    const delivered = this.deliveries.filter(d => d.status === 'delivered');
+    const byStatus = {};
+    for (const delivery of this.deliveries) {
+      byStatus[delivery.status] = (byStatus[delivery.status] || 0) + 1;
+    }
+
+    const avgDeliveryTime = delivered.length > 0
+      ? (delivered.reduce((sum, d) => sum + d.delivery_time_ms, 0) / delivered.length).toFixed(2)
+      : 0;
+    const reliability = this.deliveries.length > 0
+      ? (delivered.length / this.deliveries.length * 100).toFixed(2)
       : 0;
 
     return {
       total_deliveries: this.deliveries.length,
+      delivered: delivered.length,
+      by_status: byStatus,
       avg_delivery_time_ms: avgDeliveryTime,
-      bond_strength: this.bondStrength,
-      speed: this.deliverySpeed,
-      reliability: '99.9%',
+      reliability: `${reliability}%`,
+      routes: this.describeRoutes(),
       recent_deliveries: this.deliveries.slice(-10)
     };
   }
 
-  // Test delivery speed
-  async testSpeed() {
+  // Measure real HTTP round-trips against a local echo endpoint
+  async testSpeed({ rounds = 5, timeoutMs = this.timeoutMs } = {}) {
+    const echo = await HydrogenDelivery.startEchoServer();
+    const transport = new HttpTransport('echo', { url: echo.url });
     const testToken = {
       id: 'TEST_TOKEN',
       type: 'TEST',
       value: 1
     };
 
-    const start = Date.now();
-    await this.deliver(testToken, 'test_destination');
-    const end = Date.now();
+    const times = [];
+    try {
+      for (let i = 0; i < rounds; i++) {
+        const start = process.hrtime.bigint();
+        await transport.send({
+          delivery_id: `${this.generateDeliveryId()}_TEST`,
+          destination: 'echo',
+          token: testToken,
+          sent_at: new Date().toISOString()
+        }, { timeoutMs });
+        times.push(Number(process.hrtime.bigint() - start) / 1e6);
+      }
+    } catch (error) {
+      return { status: error.status || 'failed', error: error.message, rounds_completed: times.length };
+    } finally {
+      await echo.close();
+    }
 
     return {
-      test_delivery_time_ms: end - start,
-      speed: 'near_instantaneous',
-      status: 'success'
+      status: 'success',
+      endpoint: echo.url,
+      rounds,
+      min_ms: Number(Math.min(...times).toFixed(3)),
+      avg_ms: Number((times.reduce((sum, t) => sum + t, 0) / times.length).toFixed(3)),
+      max_ms: Number(Math.max(...times).toFixed(3))
     };
   }
 }
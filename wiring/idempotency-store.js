@@ -0,0 +1,173 @@
+// Idempotency Store
+// Remembers which mint requests were already accepted, so retried requests return the original result
+
+const fs = require('fs');
+const LedgerFile = require('../storage/ledger-file');
+
+const DEFAULT_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+class IdempotencyStore {
+  // Without a filePath the dedupe window only lasts as long as the process
+  constructor({ filePath = null, windowMs = DEFAULT_WINDOW_MS } = {}) {
+    this.windowMs = windowMs;
+    this.records = new Map(); // key -> { key, request_id, status, fingerprint, token_id, token, created_at, updated_at }
+    this.duplicateCount = 0;
+    this.releasedOnLoad = 0;
+    this.file = null;
+
+    if (filePath) {
+      this.file = new LedgerFile(filePath);
+      this.loadFromFile();
+    }
+  }
+
+  // Replay the JSONL log; expired keys are dropped and the file compacted.
+  // Pending keys are released: the queue that held their requests died with the process,
+  // so nothing would ever complete them and every retry would be turned away
+  loadFromFile(now = Date.now()) {
+    const records = this.file.load();
+
+    for (const record of records) {
+      if (record.kind === 'release') {
+        this.records.delete(record.key);
+      } else {
+        this.records.set(record.key, record.record);
+      }
+    }
+
+    const expired = this.prune(now);
+
+    for (const [key, record] of this.records) {
+      if (record.status === 'pending') {
+        this.records.delete(key);
+        this.releasedOnLoad++;
+      }
+    }
+    if (this.releasedOnLoad > 0) {
+      console.warn(`⚠️ Released ${this.releasedOnLoad} idempotency key(s) left pending by the last run`);
+    }
+
+    if (expired > 0 || this.releasedOnLoad > 0 || records.length > this.records.size * 2) {
+      this.compact();
+    }
+  }
+
+  // Rewrite the log with only the live records
+  compact() {
+    const filePath = this.file.filePath;
+    const temp = `${filePath}.tmp`;
+    const lines = [...this.records.values()].map(record => `${JSON.stringify({ kind: 'record', key: record.key, record })}\n`);
+
+    this.file.close();
+    fs.writeFileSync(temp, lines.join(''));
+    const fd = fs.openSync(temp, 'r');
+    fs.fsyncSync(fd);
+    fs.closeSync(fd);
+    fs.renameSync(temp, filePath);
+
+    this.file = new LedgerFile(filePath);
+    this.file.load();
+  }
+
+  // Live record for a key, or null once its window has passed
+  get(key, now = Date.now()) {
+    const record = this.records.get(key);
+    if (!record) return null;
+
+    if (now - record.created_at > this.windowMs) {
+      this.records.delete(key);
+      return null;
+    }
+
+    return record;
+  }
+
+  // Claim a key for a new request; returns the existing record instead if there is one
+  reserve(key, requestId, fingerprint = null, now = Date.now()) {
+    const existing = this.get(key, now);
+    if (existing) {
+      this.duplicateCount++;
+      return { reserved: false, record: existing };
+    }
+
+    const record = {
+      key,
+      request_id: requestId,
+      status: 'pending',
+      fingerprint,
+      token_id: null,
+      token: null,
+      created_at: now,
+      updated_at: now
+    };
+
+    this.save(record);
+    return { reserved: true, record };
+  }
+
+  // The request minted a token; retries now get this token back
+  complete(key, token, now = Date.now()) {
+    const record = this.records.get(key);
+    if (!record) return null;
+
+    return this.save({ ...record, status: 'completed', token_id: token.id, token, updated_at: now });
+  }
+
+  // The request failed before minting; let a retry try again
+  release(key) {
+    if (!this.records.has(key)) return false;
+
+    if (this.file) {
+      this.file.append({ kind: 'release', key });
+    }
+    this.records.delete(key);
+    return true;
+  }
+
+  save(record) {
+    if (this.file) {
+      this.file.append({ kind: 'record', key: record.key, record });
+    }
+    this.records.set(record.key, record);
+    return record;
+  }
+
+  // Forget keys older than the window
+  prune(now = Date.now()) {
+    let removed = 0;
+
+    for (const [key, record] of this.records) {
+      if (now - record.created_at > this.windowMs) {
+        this.records.delete(key);
+        removed++;
+      }
+    }
+
+    return removed;
+  }
+
+  close() {
+    if (this.file) {
+      this.file.close();
+    }
+  }
+
+  getStats() {
+    const records = [...this.records.values()];
+
+    return {
+      window_ms: this.windowMs,
+      tracked_keys: records.length,
+      pending: records.filter(r => r.status === 'pending').length,
+      completed: records.filter(r => r.status === 'completed').length,
+      duplicates_suppressed: this.duplicateCount,
+      released_on_load: this.releasedOnLoad,
+      storage: this.file ? this.file.getStats() : null
+    };
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = IdempotencyStore;
+}
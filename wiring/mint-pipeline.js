@@ -0,0 +1,176 @@
+// Mint Pipeline
+// Carries received mint requests through minting, ledger, storage and distribution
+
+class MintPipeline {
+  constructor({ receiver, batchProcessor, ledger, writer, distributor }) {
+    this.receiver = receiver;
+    this.batchProcessor = batchProcessor;
+    this.ledger = ledger;
+    this.writer = writer;
+    this.distributor = distributor;
+    this.runHistory = [];
+  }
+
+  // Drain the receiver queue and push every request through all stages
+  async run() {
+    const requests = this.drainReceiver();
+
+    const run = {
+      run_id: this.generateRunId(),
+      timestamp: new Date().toISOString(),
+      requests: requests.length,
+      completed: 0,
+      partial: 0,
+      failed: 0,
+      outcomes: []
+    };
+
+    if (requests.length === 0) {
+      return run;
+    }
+
+    // Minted as one batch of their own, so nothing else in the processor's queue is mixed in
+    const batch = await this.batchProcessor.processRequests(requests.map(request => ({
+      ...request,
+      value: request.value !== undefined ? request.value : request.amount
+    })));
+    const minted = this.matchBatchResults(requests, batch);
+
+    for (let i = 0; i < requests.length; i++) {
+      const outcome = await this.processMinted(requests[i], minted[i]);
+      this.receiver.recordOutcome(requests[i], minted[i].token);
+      run.outcomes.push(outcome);
+      run[outcome.status]++;
+    }
+
+    this.runHistory.push({
+      run_id: run.run_id,
+      timestamp: run.timestamp,
+      requests: run.requests,
+      completed: run.completed,
+      partial: run.partial,
+      failed: run.failed
+    });
+
+    // Trim history to last 100 runs
+    if (this.runHistory.length > 100) {
+      this.runHistory = this.runHistory.slice(-100);
+    }
+
+    return run;
+  }
+
+  // Pull every pending request from the receiver (priority order)
+  drainReceiver() {
+    const requests = [];
+    let request = this.receiver.getNextRequest();
+
+    while (request) {
+      requests.push(request);
+      request = this.receiver.getNextRequest();
+    }
+
+    return requests;
+  }
+
+  // Map batch tokens and errors back onto the requests that produced them
+  matchBatchResults(requests, batch) {
+    if (batch.error) {
+      return requests.map(() => ({ error: batch.error }));
+    }
+
+    const errors = new Map((batch.errors || []).map(e => [e.index, e.error]));
+    const tokens = [...(batch.tokens || [])];
+
+    // Atomic batches with a ledger have already appended their tokens
+    const entries = batch.ledger_entries ? [...batch.ledger_entries] : null;
+
+    return requests.map((request, index) => {
+      if (errors.has(index)) {
+        return { error: errors.get(index) };
+      }
+      return entries ? { token: tokens.shift(), entry: entries.shift() } : { token: tokens.shift() };
+    });
+  }
+
+  // Run ledger, storage and distribution stages for one minted request
+  async processMinted(request, minted) {
+    const outcome = {
+      request_id: request.request_id,
+      source: request.source,
+      owner: request.owner,
+      token_id: null,
+      status: 'failed',
+      stages: {
+        received: { status: 'success', timestamp: request.received_at },
+        minted: { status: 'skipped' },
+        ledgered: { status: 'skipped' },
+        stored: { status: 'skipped' },
+        distributed: { status: 'skipped' }
+      }
+    };
+
+    if (!minted.token) {
+      outcome.stages.minted = { status: 'failed', error: minted.error };
+      return outcome;
+    }
+
+    const token = minted.token;
+    outcome.token_id = token.id;
+    outcome.stages.minted = { status: 'success', token_type: token.type, value: token.value };
+
+    try {
+      const entry = minted.entry || this.ledger.addToken(token);
+      outcome.stages.ledgered = { status: 'success', index: entry.index, hash: entry.hash };
+    } catch (error) {
+      outcome.stages.ledgered = { status: 'failed', error: error.message };
+      return outcome;
+    }
+
+    try {
+      const write = await this.writer.writeToAllLocations(token);
+      outcome.stages.stored = {
+        status: write.failure_count === 0 ? 'success' : 'failed',
+        success_count: write.success_count,
+        failure_count: write.failure_count
+      };
+    } catch (error) {
+      outcome.stages.stored = { status: 'failed', error: error.message };
+    }
+
+    try {
+      const distribution = await this.distributor.distributeToken(token);
+      outcome.stages.distributed = {
+        status: distribution.failure_count === 0 ? 'success' : 'failed',
+        success_count: distribution.success_count,
+        failure_count: distribution.failure_count
+      };
+    } catch (error) {
+      outcome.stages.distributed = { status: 'failed', error: error.message };
+    }
+
+    const allSucceeded = Object.values(outcome.stages).every(s => s.status === 'success');
+    outcome.status = allSucceeded ? 'completed' : 'partial';
+
+    return outcome;
+  }
+
+  generateRunId() {
+    return `RUN_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
+  }
+
+  getStats() {
+    return {
+      total_runs: this.runHistory.length,
+      total_completed: this.runHistory.reduce((sum, r) => sum + r.completed, 0),
+      total_partial: this.runHistory.reduce((sum, r) => sum + r.partial, 0),
+      total_failed: this.runHistory.reduce((sum, r) => sum + r.failed, 0),
+      recent_runs: this.runHistory.slice(-10)
+    };
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MintPipeline;
+}
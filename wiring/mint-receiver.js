@@ -1,12 +1,40 @@
 // Mint Receiver
 // Receives mint requests from various sources via hydrogen bond wiring
 
+const IdempotencyStore = require('./idempotency-store');
+const PriorityQueue = require('./priority-queue');
+const PriceStore = require('../storage/price-store');
+const { canonicalize, sha256 } = require('../storage/hash-utils');
+
+// Metadata fields that identify the real-world event behind a request
+const NATURAL_KEYS = ['purchase_id', 'art_id'];
+
+// How many recent queue waits the percentiles are computed over
+const WAIT_SAMPLE_SIZE = 1000;
+
 class MintReceiver {
-  constructor(config) {
+  // maxQueueDepth applies to sources without their own max_queue_depth in receives_from.
+  // prices records what pricing-engine sends; share it with the AccountBook for USD valuations
+  constructor(config, idempotency = new IdempotencyStore(), { maxQueueDepth = 1000, agingMs = 30000, retryAfterMs = 5000, prices = new PriceStore() } = {}) {
     this.config = config;
     this.endpoints = config.receives_from;
-    this.requestQueue = [];
+    this.idempotency = idempotency;
+    this.prices = prices;
+    this.maxQueueDepth = maxQueueDepth;
+    this.retryAfterMs = retryAfterMs;
+    this.requestQueue = new PriorityQueue({ agingMs });
+    this.depthBySource = {};
+    this.shedBySource = {};
     this.receivedCount = 0;
+    this.dequeuedCount = 0;
+    this.waits = [];
+    this.maxWaitMs = 0;
+  }
+
+  // Swap in a reloaded wiring-config.json
+  applyConfig(config) {
+    this.config = config;
+    this.endpoints = config.receives_from;
   }
 
   // Receive mint request
@@ -20,15 +48,60 @@ class MintReceiver {
       };
     }
 
+    const requestId = this.generateRequestId();
+    const idempotencyKey = this.idempotencyKeyFor(request);
+    const queued = this.depthBySource[request.source] || 0;
+
+    // A retry gets the original request (and its token, once minted) instead of a second mint
+    if (idempotencyKey) {
+      const { reserved, record } = this.idempotency.reserve(idempotencyKey, requestId, this.fingerprint(request));
+
+      if (!reserved) {
+        if (request.idempotency_key && record.fingerprint !== this.fingerprint(request)) {
+          return {
+            success: false,
+            error: `Idempotency key ${request.idempotency_key} was already used for a different request`
+          };
+        }
+
+        return {
+          success: true,
+          duplicate: true,
+          request_id: record.request_id,
+          status: record.status,
+          token_id: record.token_id,
+          token: record.token
+        };
+      }
+    }
+
+    // Backpressure: a full source is told to come back later; its key is freed for that retry
+    if (queued >= this.getMaxDepth(request.source)) {
+      if (idempotencyKey) {
+        this.idempotency.release(idempotencyKey);
+      }
+      this.shedBySource[request.source] = (this.shedBySource[request.source] || 0) + 1;
+
+      return {
+        success: false,
+        code: 'QUEUE_FULL',
+        error: `Queue for ${request.source} is full (${queued} pending)`,
+        retry_after_ms: this.retryAfterMs
+      };
+    }
+
+    const { idempotency_key, ...fields } = request;
     const enrichedRequest = {
-      ...request,
+      ...fields,
       received_at: new Date().toISOString(),
-      request_id: this.generateRequestId(),
+      request_id: requestId,
+      idempotency_key: idempotencyKey,
       source_validated: true,
       priority: this.getPriority(request.source)
     };
 
-    this.requestQueue.push(enrichedRequest);
+    this.requestQueue.push(enrichedRequest, enrichedRequest.priority);
+    this.depthBySource[request.source] = queued + 1;
     this.receivedCount++;
 
     return {
@@ -60,31 +133,113 @@ class MintReceiver {
     return { valid: true };
   }
 
+  // Explicit key, or one derived from the source's natural key (purchase_id, art_id)
+  idempotencyKeyFor(request) {
+    if (request.idempotency_key) {
+      return `${request.source}:key:${request.idempotency_key}`;
+    }
+
+    for (const field of NATURAL_KEYS) {
+      const value = request.metadata?.[field];
+      if (value !== undefined && value !== null && value !== '') {
+        return `${request.source}:${field}:${value}`;
+      }
+    }
+
+    return null;
+  }
+
+  // Explicit keys must come back with the same request; fingerprint what would be minted
+  fingerprint({ source, trigger, type, owner, amount, value, metadata }) {
+    return sha256(canonicalize({ source, trigger, type, owner, amount, value, metadata }));
+  }
+
+  // Settle a request's key once the pipeline is done with it
+  recordOutcome(request, token) {
+    if (!request.idempotency_key) return null;
+
+    // No token means nothing was minted, so a retry may try again
+    return token
+      ? this.idempotency.complete(request.idempotency_key, token)
+      : this.idempotency.release(request.idempotency_key);
+  }
+
   // Get priority for source
   getPriority(source) {
     const endpoint = this.endpoints.find(e => e.source === source);
     return endpoint?.priority || 'medium';
   }
 
-  // Get next request from queue (priority-based)
-  getNextRequest() {
-    if (this.requestQueue.length === 0) {
+  getMaxDepth(source) {
+    const endpoint = this.endpoints.find(e => e.source === source);
+    return endpoint?.max_queue_depth || this.maxQueueDepth;
+  }
+
+  // Get next request from queue: highest priority first, raised by time spent waiting
+  getNextRequest(now = Date.now()) {
+    const item = this.requestQueue.pop();
+    if (!item) {
       return null;
     }
 
-    // Sort by priority: high > medium > low
-    const priorityOrder = { high: 3, medium: 2, low: 1 };
-    this.requestQueue.sort((a, b) => {
-      return priorityOrder[b.priority] - priorityOrder[a.priority];
-    });
+    const request = item.value;
+    this.depthBySource[request.source]--;
+    this.recordWait(now - item.enqueued_at);
+
+    return request;
+  }
+
+  recordWait(waitMs) {
+    this.dequeuedCount++;
+    this.maxWaitMs = Math.max(this.maxWaitMs, waitMs);
+    this.waits.push(waitMs);
+
+    // Trim samples to the most recent waits
+    if (this.waits.length > WAIT_SAMPLE_SIZE) {
+      this.waits = this.waits.slice(-WAIT_SAMPLE_SIZE);
+    }
+  }
+
+  getWaitStats(now = Date.now()) {
+    const sorted = [...this.waits].sort((a, b) => a - b);
+    const percentile = p => sorted.length > 0 ? sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))] : 0;
+    const oldest = this.requestQueue.items().reduce((min, item) => Math.min(min, item.enqueued_at), now);
+
+    return {
+      samples: sorted.length,
+      avg_ms: sorted.length > 0 ? Math.round(sorted.reduce((sum, w) => sum + w, 0) / sorted.length) : 0,
+      p50_ms: percentile(0.5),
+      p95_ms: percentile(0.95),
+      max_ms: this.maxWaitMs,
+      oldest_pending_ms: now - oldest
+    };
+  }
+
+  // Route data from an (already authenticated) source to its handler
+  async receiveFrom(source, data) {
+    switch (source) {
+      case 'dash-hub':
+        return await this.receiveDashHub(data);
+
+      case 'banksy':
+        return await this.receiveBanksy(data);
 
-    return this.requestQueue.shift();
+      case 'commerce':
+        return await this.receiveCommerce(data);
+
+      case 'pricing-engine':
+        return await this.receivePricingEngine(data);
+
+      default:
+        return { success: false, error: `Unknown source: ${source}` };
+    }
   }
 
   // Receive from dash-hub
   async receiveDashHub(data) {
     return await this.receiveRequest({
       source: 'dash-hub',
+      idempotency_key: data.idempotency_key,
       trigger: data.trigger || 'user_contribution',
       owner: data.owner,
       amount: data.amount,
@@ -96,6 +251,7 @@ class MintReceiver {
   async receiveBanksy(data) {
     return await this.receiveRequest({
       source: 'banksy',
+      idempotency_key: data.idempotency_key,
       trigger: 'purchase',
       type: 'ART',
       owner: data.artist,
@@ -112,6 +268,7 @@ class MintReceiver {
   async receiveCommerce(data) {
     return await this.receiveRequest({
       source: 'commerce',
+      idempotency_key: data.idempotency_key,
       trigger: 'purchase',
       type: 'RECEIPT',
       owner: data.buyer,
@@ -124,13 +281,35 @@ class MintReceiver {
     });
   }
 
-  // Receive value data from pricing engine
+  // Receive prices from pricing engine: { type, usd, timestamp } or { prices: [...] }.
+  // This doesn't create tokens; each update is recorded or rejected on its own
   async receivePricingEngine(data) {
-    // This doesn't create tokens, just updates values
+    const updates = Array.isArray(data.prices) ? data.prices : [data];
+    const accepted = [];
+    const rejected = [];
+
+    for (const update of updates) {
+      const result = this.prices.record(update, { source: 'pricing-engine' });
+      if (result.success) {
+        accepted.push(result);
+      } else {
+        rejected.push({ type: result.type, code: result.code, error: result.error });
+      }
+    }
+
+    if (accepted.length === 0) {
+      return {
+        success: false,
+        error: `No price updates accepted: ${rejected.map(r => r.error).join('; ')}`,
+        rejected
+      };
+    }
+
     return {
       success: true,
-      message: 'Value data received',
-      data
+      message: 'Prices recorded',
+      accepted,
+      rejected
     };
   }
 
@@ -139,23 +318,45 @@ class MintReceiver {
   }
 
   getQueueStats() {
-    const byPriority = {
-      high: this.requestQueue.filter(r => r.priority === 'high').length,
-      medium: this.requestQueue.filter(r => r.priority === 'medium').length,
-      low: this.requestQueue.filter(r => r.priority === 'low').length
-    };
+    const byPriority = { high: 0, medium: 0, low: 0 };
+    for (const item of this.requestQueue.items()) {
+      byPriority[item.priority]++;
+    }
+
+    const bySource = {};
+    for (const endpoint of this.endpoints) {
+      bySource[endpoint.source] = {
+        depth: this.depthBySource[endpoint.source] || 0,
+        max_depth: this.getMaxDepth(endpoint.source),
+        shed: this.shedBySource[endpoint.source] || 0
+      };
+    }
 
     return {
       queue_length: this.requestQueue.length,
       by_priority: byPriority,
-      total_received: this.receivedCount
+      by_source: bySource,
+      aging_ms: this.requestQueue.agingMs,
+      total_received: this.receivedCount,
+      total_dequeued: this.dequeuedCount,
+      total_shed: Object.values(this.shedBySource).reduce((sum, n) => sum + n, 0),
+      wait: this.getWaitStats(),
+      idempotency: this.idempotency.getStats()
     };
   }
 
+  // Dropped requests were never minted, so their keys are freed for a retry
   clearQueue() {
-    const cleared = this.requestQueue.length;
-    this.requestQueue = [];
-    return { cleared };
+    const items = this.requestQueue.clear();
+
+    for (const { value } of items) {
+      if (value.idempotency_key) {
+        this.idempotency.release(value.idempotency_key);
+      }
+    }
+
+    this.depthBySource = {};
+    return { cleared: items.length };
   }
 }
 
@@ -0,0 +1,110 @@
+// Priority Queue
+// Binary heap of mint requests where waiting raises priority (aging), so low priority work can't starve
+
+const PRIORITY_LEVELS = { high: 3, medium: 2, low: 1 };
+
+class PriorityQueue {
+  // agingMs: how long a request waits to climb one priority level
+  constructor({ agingMs = 30000 } = {}) {
+    this.agingMs = agingMs;
+    this.heap = [];
+    this.sequence = 0;
+  }
+
+  get length() {
+    return this.heap.length;
+  }
+
+  // Effective priority is level + waited / agingMs. Every item ages at the same rate,
+  // so comparing two items never depends on the current time and the heap stays valid.
+  rank(item) {
+    return (PRIORITY_LEVELS[item.priority] || PRIORITY_LEVELS.medium) * this.agingMs - item.enqueued_at;
+  }
+
+  // Higher rank first; equal ranks leave in arrival order
+  before(a, b) {
+    const diff = a.rank - b.rank;
+    return diff !== 0 ? diff > 0 : a.sequence < b.sequence;
+  }
+
+  push(value, priority, now = Date.now()) {
+    const item = { value, priority, enqueued_at: now, sequence: this.sequence++ };
+    item.rank = this.rank(item);
+
+    this.heap.push(item);
+    this.siftUp(this.heap.length - 1);
+    return item;
+  }
+
+  pop() {
+    if (this.heap.length === 0) {
+      return null;
+    }
+
+    const top = this.heap[0];
+    const last = this.heap.pop();
+    if (this.heap.length > 0) {
+      this.heap[0] = last;
+      this.siftDown(0);
+    }
+    return top;
+  }
+
+  peek() {
+    return this.heap[0] || null;
+  }
+
+  // Every queued item, in no particular order
+  items() {
+    return this.heap;
+  }
+
+  clear() {
+    const items = this.heap;
+    this.heap = [];
+    return items;
+  }
+
+  // Aging interval changed (config reload): ranks are recomputed, O(n)
+  setAgingMs(agingMs) {
+    if (agingMs === this.agingMs) return;
+
+    this.agingMs = agingMs;
+    this.heap.forEach(item => { item.rank = this.rank(item); });
+    for (let i = (this.heap.length >> 1) - 1; i >= 0; i--) {
+      this.siftDown(i);
+    }
+  }
+
+  siftUp(index) {
+    const heap = this.heap;
+    while (index > 0) {
+      const parent = (index - 1) >> 1;
+      if (!this.before(heap[index], heap[parent])) break;
+      [heap[index], heap[parent]] = [heap[parent], heap[index]];
+      index = parent;
+    }
+  }
+
+  siftDown(index) {
+    const heap = this.heap;
+    for (;;) {
+      const left = index * 2 + 1;
+      const right = left + 1;
+      let first = index;
+
+      if (left < heap.length && this.before(heap[left], heap[first])) first = left;
+      if (right < heap.length && this.before(heap[right], heap[first])) first = right;
+      if (first === index) return;
+
+      [heap[index], heap[first]] = [heap[first], heap[index]];
+      index = first;
+    }
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PriorityQueue;
+  module.exports.PRIORITY_LEVELS = PRIORITY_LEVELS;
+}
@@ -1,11 +1,25 @@
 // Token Distributor
 // Distributes minted tokens to destinations via hydrogen delivery
 
+const DeliveryOutbox = require('./delivery-outbox');
+
 class TokenDistributor {
-  constructor(config) {
+  // delivery: a HydrogenDelivery; destinations it has a route for are sent over the wire
+  constructor(config, outbox = new DeliveryOutbox(), delivery = null) {
+    this.outbox = outbox;
+    this.delivery = delivery;
+    this.distributionLog = [];
+    this.retryInterval = null;
+    this.retrying = false;
+    this.applyConfig(config);
+  }
+
+  // Swap in a reloaded wiring-config.json
+  applyConfig(config) {
     this.config = config;
     this.destinations = config.sends_to;
-    this.distributionLog = [];
+    // hydrogen_bonds.fallback decides whether failed deliveries are queued for retry
+    this.queueFailures = config.hydrogen_bonds?.fallback === 'queue_and_retry';
   }
 
   // Distribute token to all destinations
@@ -32,6 +46,13 @@ class TokenDistributor {
           success: false,
           error: error.message
         };
+
+        if (this.queueFailures) {
+          const delivery = this.outbox.enqueue(dest, token, error.message);
+          distribution.destinations[dest.destination].queued = true;
+          distribution.destinations[dest.destination].delivery_id = delivery.delivery_id;
+          distribution.destinations[dest.destination].next_attempt_at = new Date(delivery.next_attempt_at).toISOString();
+        }
         distribution.failure_count++;
       }
     }
@@ -46,8 +67,94 @@ class TokenDistributor {
     return distribution;
   }
 
+  // Retry every queued delivery that is due; runs one pass at a time
+  async retryPending(now = Date.now()) {
+    const pass = { attempted: 0, delivered: 0, failed: 0, dead_lettered: 0 };
+
+    if (this.retrying) {
+      return { ...pass, skipped: true };
+    }
+
+    this.retrying = true;
+    try {
+      for (const delivery of this.outbox.due(now)) {
+        // Use the current route for the destination, in case the config was reloaded
+        const route = this.destinations.find(d => d.destination === delivery.destination) || delivery.route;
+        pass.attempted++;
+
+        try {
+          await this.sendToDestination(route, delivery.token);
+          this.outbox.markDelivered(delivery);
+          pass.delivered++;
+        } catch (error) {
+          const result = this.outbox.recordFailure(delivery, error.message);
+          pass.failed++;
+          if (result.dead_lettered) {
+            pass.dead_lettered++;
+            console.warn(`⚠️ Delivery ${delivery.delivery_id} to ${delivery.destination} dead-lettered: ${error.message}`);
+          }
+        }
+      }
+    } finally {
+      this.retrying = false;
+    }
+
+    return pass;
+  }
+
+  // Start retrying queued deliveries in the background
+  startRetryLoop(intervalMs = 1000) {
+    if (this.retryInterval) {
+      clearInterval(this.retryInterval);
+    }
+
+    this.retryInterval = setInterval(() => {
+      this.retryPending().catch(error => console.error('Delivery retry pass failed:', error.message));
+    }, intervalMs);
+
+    return { enabled: true, interval_ms: intervalMs };
+  }
+
+  stopRetryLoop() {
+    if (this.retryInterval) {
+      clearInterval(this.retryInterval);
+      this.retryInterval = null;
+    }
+
+    return { enabled: false };
+  }
+
+  // Dead-letter store: inspect, replay onto the queue, or purge
+  getDeadLetters(filter) {
+    return this.outbox.getDeadLetters(filter);
+  }
+
+  replayDeadLetter(deliveryId) {
+    return this.outbox.replay(deliveryId);
+  }
+
+  replayDeadLetters({ destination } = {}) {
+    const results = this.outbox
+      .getDeadLetters({ destination, limit: Infinity })
+      .map(dead => this.outbox.replay(dead.delivery_id));
+
+    return { replayed: results.filter(r => r.success).length };
+  }
+
+  purgeDeadLetters(filter) {
+    return this.outbox.purge(filter);
+  }
+
   // Send to specific destination
   async sendToDestination(destination, token) {
+    if (this.delivery && this.delivery.hasRoute(destination.destination)) {
+      const delivery = await this.delivery.deliver(token, destination.destination);
+      if (delivery.status !== 'delivered') {
+        throw new Error(`${destination.destination} delivery ${delivery.status}: ${delivery.error}`);
+      }
+      return delivery;
+    }
+
     switch (destination.destination) {
       case 'dash-hub':
         return await this.sendToDashHub(token, destination.method);
@@ -123,24 +230,6 @@ class TokenDistributor {
     };
   }
 
-  // Hydrogen bond instant delivery
-  async hydrogenDelivery(token, destination) {
-    const start = Date.now();
-    
-    // Simulate near-instantaneous delivery
-    await new Promise(resolve => setTimeout(resolve, 10));
-    
-    const end = Date.now();
-    
-    return {
-      method: 'hydrogen_bond',
-      delivery_time_ms: end - start,
-      speed: 'near_instantaneous',
-      reliability: '99.9%',
-      delivered: true
-    };
-  }
-
   // Get distribution stats
   getStats() {
     const totalDistributions = this.distributionLog.length;
@@ -153,6 +242,9 @@ class TokenDistributor {
       total_distributions: totalDistributions,
       destinations: this.destinations.length,
       success_rate: `${successRate}%`,
+      queue_failures: this.queueFailures,
+      retry_loop_enabled: this.retryInterval !== null,
+      outbox: this.outbox.getStats(),
       recent_distributions: this.distributionLog.slice(-10)
     };
   }
@@ -0,0 +1,51 @@
+// Delivery Transport
+// Interface every HydrogenDelivery transport implements: send an envelope, return an acknowledged receipt
+
+// A delivery that did not complete; status names the failure mode
+// (timeout, refused, rejected, unacknowledged, disconnected, failed)
+class DeliveryError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+class DeliveryTransport {
+  constructor(destination, type) {
+    this.destination = destination;
+    this.type = type;
+  }
+
+  // Send { delivery_id, destination, token, sent_at }; resolves with a receipt once the
+  // peer acknowledges it, rejects with a DeliveryError otherwise
+  async send(envelope, { timeoutMs }) {
+    throw new Error(`${this.constructor.name} does not implement send()`);
+  }
+
+  // Peers acknowledge by answering { ack: <delivery_id> }
+  assertAcknowledged(envelope, reply) {
+    if (!reply || reply.ack !== envelope.delivery_id) {
+      throw new DeliveryError('unacknowledged', `${this.destination} did not acknowledge ${envelope.delivery_id}`);
+    }
+  }
+
+  receipt(envelope, extra = {}) {
+    return {
+      transport: this.type,
+      destination: this.destination,
+      delivery_id: envelope.delivery_id,
+      acknowledged: true,
+      acknowledged_at: new Date().toISOString(),
+      ...extra
+    };
+  }
+
+  // Release connections or handles; transports without any need not override
+  async close() {}
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DeliveryTransport;
+  module.exports.DeliveryError = DeliveryError;
+}
@@ -0,0 +1,73 @@
+// Filesystem Drop Transport
+// Leaves each delivery as a JSON file in a local directory for peers that are offline
+
+const fs = require('fs');
+const path = require('path');
+const DeliveryTransport = require('./delivery-transport');
+const { DeliveryError } = DeliveryTransport;
+
+class FilesystemDropTransport extends DeliveryTransport {
+  constructor(destination, { path: directory }) {
+    super(destination, 'filesystem');
+
+    if (!directory) {
+      throw new Error(`Destination ${destination}: filesystem transport needs a path`);
+    }
+
+    this.directory = path.resolve(directory);
+  }
+
+  // The fsynced, renamed file is the acknowledgement; the peer deletes it once processed
+  async send(envelope, { timeoutMs }) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        reject(new DeliveryError('timeout', `Drop to ${this.directory} took longer than ${timeoutMs}ms`));
+      }, timeoutMs);
+    });
+
+    try {
+      const file = await Promise.race([this.drop(envelope), timeout]);
+      return this.receipt(envelope, { path: file });
+    } catch (error) {
+      throw error instanceof DeliveryError ? error : new DeliveryError('failed', `Drop failed: ${error.message}`);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  async drop(envelope) {
+    await fs.promises.mkdir(this.directory, { recursive: true });
+
+    const file = path.join(this.directory, `${encodeURIComponent(envelope.delivery_id)}.json`);
+    const temp = `${file}.tmp`;
+    const handle = await fs.promises.open(temp, 'w');
+
+    try {
+      await handle.writeFile(JSON.stringify(envelope, null, 2));
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+
+    // Readers only ever see complete files
+    await fs.promises.rename(temp, file);
+    return file;
+  }
+
+  // Deliveries the peer has not picked up yet
+  async listPending() {
+    try {
+      const files = await fs.promises.readdir(this.directory);
+      return files.filter(f => f.endsWith('.json')).map(f => decodeURIComponent(f.slice(0, -'.json'.length)));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = FilesystemDropTransport;
+}
@@ -0,0 +1,93 @@
+// HTTP Transport
+// POSTs each delivery as JSON and waits for the peer's acknowledgement
+
+const http = require('http');
+const https = require('https');
+const DeliveryTransport = require('./delivery-transport');
+const { DeliveryError } = DeliveryTransport;
+
+const REFUSED_CODES = ['ECONNREFUSED', 'ECONNRESET', 'EHOSTUNREACH', 'ENOTFOUND', 'EAI_AGAIN'];
+
+class HttpTransport extends DeliveryTransport {
+  constructor(destination, { url, headers = {} }) {
+    super(destination, 'http');
+
+    if (!url) {
+      throw new Error(`Destination ${destination}: http transport needs a url`);
+    }
+
+    this.url = new URL(url);
+    this.headers = headers;
+  }
+
+  send(envelope, { timeoutMs }) {
+    const body = JSON.stringify(envelope);
+    const client = this.url.protocol === 'https:' ? https : http;
+
+    return new Promise((resolve, reject) => {
+      const req = client.request(this.url, {
+        method: 'POST',
+        headers: {
+          ...this.headers,
+          'content-type': 'application/json',
+          'content-length': Buffer.byteLength(body)
+        }
+      });
+
+      // Covers connect, send and waiting for the reply. A timeout mid-body surfaces as a
+      // response error, which loses the reason passed to destroy, so it is remembered here
+      let timedOut = null;
+      const timer = setTimeout(() => {
+        timedOut = new DeliveryError('timeout', `${this.destination} did not answer within ${timeoutMs}ms`);
+        req.destroy(timedOut);
+      }, timeoutMs);
+
+      req.on('response', res => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => {
+          clearTimeout(timer);
+
+          if (res.statusCode < 200 || res.statusCode >= 300) {
+            reject(new DeliveryError('rejected', `${this.destination} answered HTTP ${res.statusCode}`));
+            return;
+          }
+
+          try {
+            const reply = JSON.parse(Buffer.concat(chunks).toString('utf8') || 'null');
+            this.assertAcknowledged(envelope, reply);
+            resolve(this.receipt(envelope, { http_status: res.statusCode, url: this.url.href }));
+          } catch (error) {
+            reject(error instanceof DeliveryError
+              ? error
+              : new DeliveryError('unacknowledged', `${this.destination} sent an unreadable acknowledgement`));
+          }
+        });
+        res.on('error', error => {
+          clearTimeout(timer);
+          reject(timedOut || new DeliveryError('disconnected', error.message));
+        });
+      });
+
+      req.on('error', error => {
+        clearTimeout(timer);
+        if (timedOut) {
+          reject(timedOut);
+        } else if (error instanceof DeliveryError) {
+          reject(error);
+        } else if (REFUSED_CODES.includes(error.code)) {
+          reject(new DeliveryError('refused', `${this.destination} unreachable: ${error.code}`));
+        } else {
+          reject(new DeliveryError('failed', error.message));
+        }
+      });
+
+      req.end(body);
+    });
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = HttpTransport;
+}
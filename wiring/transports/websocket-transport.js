@@ -0,0 +1,142 @@
+// WebSocket Transport
+// Pushes deliveries over one long-lived WebSocket and matches acknowledgements by delivery id
+
+const DeliveryTransport = require('./delivery-transport');
+const { DeliveryError } = DeliveryTransport;
+
+const OPEN = 1;
+
+class WebSocketTransport extends DeliveryTransport {
+  // Uses the global WebSocket (Node 22+); pass { WebSocket } to supply another client
+  constructor(destination, { url, WebSocket = globalThis.WebSocket }) {
+    super(destination, 'websocket');
+
+    if (!url) {
+      throw new Error(`Destination ${destination}: websocket transport needs a url`);
+    }
+    if (!WebSocket) {
+      throw new Error(`Destination ${destination}: websocket transport needs Node 22+ or a WebSocket option`);
+    }
+
+    this.url = url;
+    this.WebSocket = WebSocket;
+    this.socket = null;
+    this.connecting = null;
+    this.pending = new Map(); // delivery_id -> { resolve, reject }
+  }
+
+  connect(timeoutMs) {
+    if (this.socket && this.socket.readyState === OPEN) {
+      return Promise.resolve(this.socket);
+    }
+
+    if (!this.connecting) {
+      this.connecting = new Promise((resolve, reject) => {
+        const socket = new this.WebSocket(this.url);
+
+        const timer = setTimeout(() => {
+          socket.close();
+          reject(new DeliveryError('timeout', `${this.destination} did not accept a connection within ${timeoutMs}ms`));
+        }, timeoutMs);
+
+        socket.addEventListener('open', () => {
+          clearTimeout(timer);
+          this.socket = socket;
+          resolve(socket);
+        });
+
+        // Before open this refuses the connection; after open it fails the socket, since
+        // clients need not follow an error with close
+        socket.addEventListener('error', () => {
+          clearTimeout(timer);
+          reject(new DeliveryError('refused', `${this.destination} unreachable at ${this.url}`));
+          this.dropSocket(socket, new DeliveryError('disconnected', `${this.destination} connection failed before acknowledging`));
+        });
+
+        socket.addEventListener('message', event => this.handleMessage(event.data));
+
+        socket.addEventListener('close', () => {
+          this.dropSocket(socket, new DeliveryError('disconnected', `${this.destination} closed the connection before acknowledging`));
+        });
+      }).finally(() => {
+        this.connecting = null;
+      });
+    }
+
+    return this.connecting;
+  }
+
+  // Forget a dead socket; anything still waiting for an ack on it will never get one.
+  // Events from an older socket (e.g. one abandoned on timeout) leave the current one alone
+  dropSocket(socket, error) {
+    if (this.socket !== socket) return;
+
+    this.socket = null;
+    for (const [deliveryId, waiter] of this.pending) {
+      this.pending.delete(deliveryId);
+      waiter.reject(error);
+    }
+  }
+
+  handleMessage(data) {
+    let reply;
+    try {
+      reply = JSON.parse(typeof data === 'string' ? data : data.toString());
+    } catch (error) {
+      return;
+    }
+
+    const waiter = reply && this.pending.get(reply.ack);
+    if (waiter) {
+      this.pending.delete(reply.ack);
+      waiter.resolve(reply);
+    }
+  }
+
+  // One deadline covers connecting, sending and the acknowledgement
+  async send(envelope, { timeoutMs }) {
+    const started = Date.now();
+    const socket = await this.connect(timeoutMs);
+    const remaining = Math.max(0, timeoutMs - (Date.now() - started));
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(envelope.delivery_id);
+        reject(new DeliveryError('timeout', `${this.destination} did not acknowledge within ${timeoutMs}ms`));
+      }, remaining);
+
+      this.pending.set(envelope.delivery_id, {
+        resolve: () => {
+          clearTimeout(timer);
+          resolve(this.receipt(envelope, { url: this.url }));
+        },
+        reject: error => {
+          clearTimeout(timer);
+          reject(error);
+        }
+      });
+
+      // The socket can close between connect and send; send then throws instead of erroring later
+      try {
+        socket.send(JSON.stringify(envelope));
+      } catch (error) {
+        this.pending.delete(envelope.delivery_id);
+        clearTimeout(timer);
+        reject(new DeliveryError('disconnected', `${this.destination} connection closed before sending: ${error.message}`));
+      }
+    });
+  }
+
+  async close() {
+    const socket = this.socket;
+    if (socket) {
+      this.dropSocket(socket, new DeliveryError('disconnected', `${this.destination} transport closed before acknowledging`));
+      socket.close();
+    }
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = WebSocketTransport;
+}
@@ -0,0 +1,137 @@
+// Webhook Authenticator
+// HMAC-SHA256 signatures with per-source secrets and a timestamp replay window
+
+const crypto = require('crypto');
+
+const SIGNATURE_HEADER = 'x-infinity-signature';
+const TIMESTAMP_HEADER = 'x-infinity-timestamp';
+
+class WebhookAuthenticator {
+  constructor({ secrets, replayWindowSeconds = 300 }) {
+    this.secrets = secrets;
+    this.replayWindowMs = replayWindowSeconds * 1000;
+    this.seenSignatures = new Map(); // signature -> expiry time
+    this.rejectionLog = [];
+    this.acceptedCount = 0;
+  }
+
+  // Secrets from INFINITY_WEBHOOK_SECRET_<SOURCE>, e.g. ..._DASH_HUB
+  static fromEnv(sources, env = process.env) {
+    const secrets = {};
+
+    for (const source of sources) {
+      const name = `INFINITY_WEBHOOK_SECRET_${source.toUpperCase().replace(/[^A-Z0-9]/g, '_')}`;
+      if (env[name]) {
+        secrets[source] = env[name];
+      }
+    }
+
+    return new WebhookAuthenticator({ secrets });
+  }
+
+  // Signature a sender attaches: hex HMAC over "<timestamp>.<raw body>"
+  static sign(secret, rawBody, timestamp) {
+    const digest = crypto
+      .createHmac('sha256', secret)
+      .update(`${timestamp}.${rawBody}`)
+      .digest('hex');
+    return `sha256=${digest}`;
+  }
+
+  // Headers a sender needs for one request
+  static signedHeaders(secret, rawBody, timestamp = Math.floor(Date.now() / 1000)) {
+    return {
+      [SIGNATURE_HEADER]: WebhookAuthenticator.sign(secret, rawBody, timestamp),
+      [TIMESTAMP_HEADER]: String(timestamp)
+    };
+  }
+
+  // Check a request really came from the source it is addressed as
+  verify({ source, headers, rawBody, now = Date.now() }) {
+    const secret = this.secrets[source];
+    if (!secret) {
+      return this.reject(source, 'No shared secret configured for source', now);
+    }
+
+    const signature = headers[SIGNATURE_HEADER];
+    const timestamp = headers[TIMESTAMP_HEADER];
+
+    if (!signature || !timestamp) {
+      return this.reject(source, 'Missing signature or timestamp header', now);
+    }
+
+    if (!/^\d+$/.test(timestamp)) {
+      return this.reject(source, 'Malformed timestamp', now);
+    }
+
+    const skew = Math.abs(now - Number(timestamp) * 1000);
+    if (skew > this.replayWindowMs) {
+      return this.reject(source, 'Timestamp outside replay window', now);
+    }
+
+    const expected = Buffer.from(WebhookAuthenticator.sign(secret, rawBody, timestamp));
+    const actual = Buffer.from(String(signature));
+
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return this.reject(source, 'Signature mismatch', now);
+    }
+
+    this.pruneSeen(now);
+    if (this.seenSignatures.has(signature)) {
+      return this.reject(source, 'Replayed request', now);
+    }
+    // Remembered for as long as its own timestamp passes the window check (a future-dated one, up to 2 windows)
+    this.seenSignatures.set(signature, Number(timestamp) * 1000 + this.replayWindowMs);
+
+    this.acceptedCount++;
+    return { valid: true, source };
+  }
+
+  reject(source, reason, now) {
+    this.rejectionLog.push({
+      source,
+      reason,
+      timestamp: new Date(now).toISOString()
+    });
+
+    // Trim log to last 1000 rejections
+    if (this.rejectionLog.length > 1000) {
+      this.rejectionLog = this.rejectionLog.slice(-1000);
+    }
+
+    return { valid: false, source, error: reason };
+  }
+
+  // Forget signatures whose timestamps can no longer pass the window check
+  pruneSeen(now) {
+    for (const [signature, expiresAt] of this.seenSignatures) {
+      if (expiresAt < now) {
+        this.seenSignatures.delete(signature);
+      }
+    }
+  }
+
+  getRejectionLog(limit = 50) {
+    return this.rejectionLog.slice(-limit);
+  }
+
+  getStats() {
+    const bySource = {};
+    this.rejectionLog.forEach(r => {
+      bySource[r.source] = (bySource[r.source] || 0) + 1;
+    });
+
+    return {
+      configured_sources: Object.keys(this.secrets),
+      accepted: this.acceptedCount,
+      rejected: this.rejectionLog.length,
+      rejected_by_source: bySource,
+      replay_window_seconds: this.replayWindowMs / 1000
+    };
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = WebhookAuthenticator;
+}